@@ -6,9 +6,9 @@
  * Project: Black Swan
  *
  * This service determines if the crypto market has peaked by combining multiple data sources:
- * - Bull Market Peak Indicators (CoinGlass-derived, via Firestore real-time listeners)
- * - BTC/ETH/SOL: 24h minute-by-minute series (live fetch from data service)
- * - BTC/ETH/SOL: ~900 days of daily closes (cached for performance)
+ * - Bull Market Peak Indicators (CoinGlass-derived, from a Firestore listener, HTTP endpoint or file)
+ * - Configured assets (BTC/ETH/SOL by default): 24h minute-by-minute series (live fetch from data service)
+ * - Configured assets: ~900 days of daily closes (cached for performance)
  *
  * The service uses AI analysis via OpenRouter to assess market peak conditions
  * and provides a score from 1-100 indicating peak likelihood.
@@ -16,7 +16,7 @@
  * Output Format: { score, analysis, reasoning, key_factors }
  *
  * Architecture:
- * - Real-time Firestore listeners for bull market peak indicators
+ * - Bull market peak indicators from the configured source (Firestore listener by default)
  * - Cached daily price data with automatic refresh
  * - AI-powered analysis using GPT models via OpenRouter
  * - RESTful API endpoints for triggering and retrieving analyses
@@ -31,9 +31,112 @@ const helmet = require("helmet"); // Security headers middleware
 const rateLimit = require("express-rate-limit"); // Rate limiting middleware
 const compression = require("compression"); // Response compression middleware
 const admin = require("firebase-admin"); // Firebase Admin SDK for Firestore
-const axios = require("axios"); // HTTP client for external API calls
 const cron = require("node-cron"); // Cron job scheduler for automated analysis
+const crypto = require("crypto"); // Random ids for backtest runs
+const path = require("path"); // Cache and storage file locations
 const PromptManager = require("./prompts/prompt-config"); // Custom prompt management system
+const {
+  computeCycleMetrics,
+  toMillis,
+  toIsoDate,
+} = require("./lib/cycle-metrics"); // Deterministic cycle metrics
+const { LLM_PROVIDERS, createLLMProvider } = require("./lib/llm-providers"); // Pluggable LLM provider layer
+const {
+  INDICATOR_SOURCE_TYPES,
+  createIndicatorSource,
+} = require("./lib/indicator-sources"); // Pluggable bull peak indicator sources
+const {
+  STORAGE_BACKENDS,
+  createAnalysisRepository,
+} = require("./lib/analysis-repository"); // Firestore or local file storage for analyses
+const { Authenticator, parseApiKeys, roleAllows } = require("./lib/auth"); // API keys, JWTs and roles
+const { AuditLog } = require("./lib/audit-log"); // Who triggered what through the API
+const {
+  applyConfigFile,
+  parseSetting,
+  envNumber,
+  oneOfError,
+  validateConfig,
+  redactConfig,
+  parseRuntimeUpdate,
+  RUNTIME_SETTINGS,
+} = require("./lib/config"); // Config file, validation, redaction, runtime settings
+const { ServiceMetrics } = require("./lib/metrics"); // Prometheus metrics
+const {
+  runChecks,
+  cachedProbe,
+  httpStatusFor,
+  scheduleIntervalMs,
+} = require("./lib/health"); // Readiness checks
+const { EventStream } = require("./lib/event-stream"); // Server-Sent Events for live dashboards
+const { useJsonConsole, withLogContext, logContext } = require("./lib/logger"); // JSON logs with a correlation id per analysis run
+const { buildEnsemblePlan, aggregateScores } = require("./lib/ensemble"); // Multi-model ensemble scoring
+const {
+  ANALYSIS_OUTPUT_SCHEMA,
+  validateAgainstSchema,
+  buildResponseFormat,
+} = require("./lib/output-schema"); // Output schema and validator
+const {
+  INTERVALS,
+  ROLLING_LOOKBACK_MS,
+  toHistoryPoint,
+  encodeHistoryCursor,
+  decodeHistoryCursor,
+  bucketStart,
+  bucketizeScores,
+} = require("./lib/score-history"); // Score time-series helpers
+const { AlertEngine, scoreBand } = require("./lib/alert-engine"); // Alert rule engine
+const { createAlertSinks } = require("./lib/alert-sinks"); // Alert delivery sinks
+const {
+  diffIndicatorSnapshots,
+  formatChangesForPrompt,
+} = require("./lib/indicator-diff"); // Bull peak indicator change detection
+const { AnalysisTriggerScheduler } = require("./lib/analysis-triggers"); // Event-driven analysis triggers
+const { AnalysisJobRunner } = require("./lib/job-runner"); // Single-flight analysis jobs
+const { parseAssetList } = require("./lib/assets"); // Configured asset universe
+const {
+  COMPRESSION_LEVELS,
+  estimateTokens,
+  promptTokenBudget,
+  downsampleDailyCloses,
+  summarizeMinuteSeries,
+  describeDailyResolution,
+  describeMinuteResolution,
+} = require("./lib/prompt-budget"); // Prompt token budget and compression
+const {
+  UsageLedger,
+  buildCallRecord,
+  summarizeCalls,
+  usagePeriods,
+} = require("./lib/usage-ledger"); // LLM usage and spend accounting
+const {
+  DataServiceClient,
+  inputStatus,
+  describeInputWarnings,
+} = require("./lib/data-service-client"); // Data service retries and circuit breaker
+const { assessDataQuality } = require("./lib/data-quality"); // Pre-LLM input checks
+const {
+  incrementalDays,
+  mergeDailyCloses,
+  readCacheFile,
+  writeCacheFile,
+} = require("./lib/daily-cache"); // Persisted, incrementally refreshed daily closes
+const {
+  DAY_MS,
+  DAILY_WINDOW,
+  snapshotTime,
+  normalizeBacktestParams,
+  summarizeBacktest,
+  replayBacktest,
+} = require("./lib/backtest"); // Historical replay through the analysis pipeline
+
+// Settings from CONFIG_FILE (YAML or JSON) fill in environment variables that are not set
+const configFile = applyConfigFile(process.env.CONFIG_FILE);
+
+// JSON log lines instead of the emoji console output, set up before anything is logged
+if (process.env.LOG_FORMAT === "json") {
+  useJsonConsole({ service: "market-peak-analysis-service" });
+}
 
 // Initialize Firebase Admin SDK for Firestore access
 // This allows the service to read bull market peak indicators and store analysis results
@@ -52,31 +155,235 @@ try {
   console.log("ℹ️ [FIRESTORE] Service will run without Firestore integration");
 }
 
+// Errors of settings that failed to parse below, reported by validateConfig()
+const configParseErrors = [];
+
 // Service configuration object containing all environment variables and constants
 const CONFIG = {
+  // LLM provider used for analysis: "openrouter", "openai-compatible" or "rules-only"
+  LLM_PROVIDER: process.env.LLM_PROVIDER || "openrouter",
+
   // OpenRouter API configuration for AI analysis
   OPENROUTER_API_KEY: process.env.OPENROUTER_API_KEY, // API key for OpenRouter service
   OPENROUTER_URL: "https://openrouter.ai/api/v1/chat/completions", // OpenRouter API endpoint
-  MODEL: "openai/gpt-5-mini", // AI model to use for market analysis
+  MODEL: process.env.MODEL || "openai/gpt-5-mini", // AI model to use for market analysis
+
+  // OpenAI-compatible endpoint configuration (e.g. local llama.cpp or Ollama server)
+  OPENAI_COMPATIBLE_URL: process.env.OPENAI_COMPATIBLE_URL, // Full chat completions URL
+  OPENAI_COMPATIBLE_MODEL: process.env.OPENAI_COMPATIBLE_MODEL || "llama3", // Model name served by the endpoint
+  OPENAI_COMPATIBLE_API_KEY: process.env.OPENAI_COMPATIBLE_API_KEY, // Optional bearer token
+
+  // Ensemble scoring: fan out to several models and/or samples and aggregate the scores
+  // Disabled (single call) unless more than one model or sample is configured
+  ENSEMBLE: {
+    MODELS: (process.env.ENSEMBLE_MODELS || "")
+      .split(",")
+      .map((m) => m.trim())
+      .filter(Boolean), // Models to query (empty = provider default model)
+    SAMPLES: envNumber("ENSEMBLE_SAMPLES", 1), // Samples drawn per model
+    METHOD: process.env.ENSEMBLE_METHOD || "median", // "median" or "trimmed-mean"
+    TRIM_RATIO: 0.2, // Fraction dropped from each end for trimmed-mean
+    DISAGREEMENT_THRESHOLD: envNumber("ENSEMBLE_DISAGREEMENT_THRESHOLD", 15), // Max score spread before flagging
+  },
+
+  // Prompt versions (prompts/market-peak-analysis-<version>.md)
+  PROMPT: {
+    VERSION: process.env.PROMPT_VERSION || "v1", // Production prompt version
+    SHADOW_VERSION: process.env.PROMPT_SHADOW_VERSION || null, // Candidate run alongside production (A/B)
+    HOT_RELOAD: process.env.PROMPT_HOT_RELOAD !== "false", // Reload templates when their files change
+    STRICT: process.env.PROMPT_STRICT || "error", // Placeholders without data: "error" fails the analysis, "warn" logs
+  },
+
+  // Prompt token budget: the filled prompt is compressed until it fits
+  TOKEN_BUDGET: {
+    MAX_PROMPT_TOKENS: envNumber("PROMPT_TOKEN_BUDGET", null), // Prompt budget (default: context window minus completion tokens)
+    CONTEXT_WINDOW: envNumber("MODEL_CONTEXT_WINDOW", null), // Context window override for unlisted models
+    COMPLETION_TOKENS: envNumber("LLM_MAX_TOKENS", 20000), // Tokens reserved for (and requested as) the response
+  },
+
+  // LLM spend: scheduled and event-driven analyses stop once the month's
+  // cost reaches the budget (manual runs still go through). The cost is what
+  // the provider reports, or estimated from token counts and these prices
+  USAGE: {
+    MONTHLY_BUDGET_USD: envNumber("LLM_MONTHLY_BUDGET_USD", null), // null = unlimited
+    PROMPT_PRICE_PER_MTOK: envNumber("LLM_PROMPT_PRICE_PER_MTOK", null), // USD per million prompt tokens
+    COMPLETION_PRICE_PER_MTOK: envNumber("LLM_COMPLETION_PRICE_PER_MTOK", null), // USD per million completion tokens
+  },
+
+  // Structured output enforcement
+  STRUCTURED_OUTPUT: {
+    RESPONSE_FORMAT: process.env.LLM_RESPONSE_FORMAT || "json_schema", // "json_schema", "json_object" or "none"
+    MAX_REPAIR_ATTEMPTS: envNumber("MAX_REPAIR_ATTEMPTS", 2), // Repair round-trips after a failed parse/validation
+  },
 
   // External Data Service configuration
-  // This service provides real-time crypto price data (BTC, ETH, SOL)
+  // This service provides real-time crypto price data for the configured assets
   DATA_SERVICE_URL: process.env.DATA_SERVICE_URL,
 
+  // Data service client resilience
+  DATA_SERVICE: {
+    RETRIES: envNumber("DATA_SERVICE_RETRIES", 2), // Retries per request after the first attempt
+    BACKOFF_MS: 500, // Base delay of the exponential backoff between retries
+    MAX_BACKOFF_MS: 8000, // Backoff cap
+    BREAKER_THRESHOLD: envNumber("DATA_SERVICE_BREAKER_THRESHOLD", 5), // Consecutive failed requests that open the circuit
+    BREAKER_RESET_MS:
+      envNumber("DATA_SERVICE_BREAKER_RESET_SECONDS", 60) * 1000, // Time the circuit stays open before a trial request
+  },
+
+  // Input checks before the LLM is asked for a score
+  DATA_QUALITY: {
+    MODE: process.env.DATA_QUALITY_GATE || "enforce", // "enforce" aborts on fatal issues, "warn" only records them, "off" skips the checks
+    BULL_PEAK_STALE_HOURS: envNumber("DATA_QUALITY_BULL_PEAK_STALE_HOURS", 26), // Older snapshots lower confidence
+    BULL_PEAK_MAX_AGE_HOURS: envNumber(
+      "DATA_QUALITY_BULL_PEAK_MAX_AGE_HOURS",
+      72
+    ), // Older snapshots abort the analysis
+    MIN_DAILY_DAYS: envNumber("DATA_QUALITY_MIN_DAILY_DAYS", 365), // Fewer primary-asset closes abort, other assets lower confidence
+    MAX_GAP_DAYS: 3, // Larger gaps between consecutive daily closes lower confidence
+    OUTLIER_MOVE_PCT: 50, // Larger day-over-day moves are flagged as outliers
+    MIN_MINUTE_COVERAGE: 0.5, // Minimum share of the last 24h covered by minute data
+  },
+
+  // Assets analyzed, as data service ids with optional symbols ("bitcoin,ethereum:ETH,...")
+  // The first asset is the primary asset used for price-move triggers
+  ASSETS: parseSetting(
+    () => parseAssetList(process.env.ASSETS || undefined),
+    parseAssetList(),
+    configParseErrors
+  ),
+
+  // Where bull market peak indicators come from
+  INDICATOR_SOURCE: {
+    TYPE: process.env.INDICATOR_SOURCE || "firestore", // "firestore", "http" or "file"
+    URL: process.env.INDICATOR_SOURCE_URL, // JSON endpoint polled by the http source
+    POLL_MS: envNumber("INDICATOR_POLL_SECONDS", 300) * 1000, // Poll interval of the http source
+    FILE: process.env.INDICATOR_SOURCE_FILE, // Snapshot JSON read by the file source
+    WATCH: process.env.INDICATOR_SOURCE_WATCH !== "false", // Reload the file when it changes
+  },
+
+  // Where completed analyses are stored
+  STORAGE: {
+    BACKEND: process.env.STORAGE_BACKEND || "firestore", // "firestore" or "jsonl"
+    FILE: path.resolve(
+      __dirname,
+      process.env.STORAGE_FILE || ".data/analyses.jsonl"
+    ), // Analyses file of the jsonl backend
+  },
+
+  // API authentication: enabled once API keys or a JWT secret are configured
+  AUTH: {
+    API_KEYS: parseSetting(
+      () => parseApiKeys(process.env.API_KEYS || ""),
+      [],
+      configParseErrors
+    ), // "name:role:key[:limit]" entries (roles: reader, operator, admin)
+    JWT_SECRET: process.env.AUTH_JWT_SECRET, // HS256 secret that enables bearer JWTs
+    JWT_ISSUER: process.env.AUTH_JWT_ISSUER, // Required "iss" claim, if set
+    JWT_AUDIENCE: process.env.AUTH_JWT_AUDIENCE, // Required "aud" claim, if set
+    JWT_ROLE_CLAIM: process.env.AUTH_JWT_ROLE_CLAIM || "role", // Claim holding the role (string or array)
+    RATE_LIMIT_WINDOW_MS: 15 * 60 * 1000, // 15 minute window
+    RATE_LIMIT_IP: envNumber("RATE_LIMIT_IP", 100), // Requests per window per IP without credentials
+    RATE_LIMIT_KEY: envNumber("RATE_LIMIT_KEY", 300), // Requests per window per API key or JWT subject
+  },
+
   // Firestore collection paths for data storage and retrieval
   COLLECTIONS: {
     BULL_PEAK_LATEST: "bull-market-peak-indicators/latest", // Real-time bull market peak indicators
     STORAGE: "market_peak_analyses", // Storage for completed market peak analyses
+    FAILED_RESPONSES: "market_peak_failed_responses", // Raw model responses that failed parsing/validation
+    ALERTS: "market_peak_alerts", // Alerts fired by the alert engine
+    INDICATOR_CHANGES: "market_peak_indicator_changes", // Per-indicator changes between snapshots
+    INDICATOR_SNAPSHOTS: "market_peak_indicator_snapshots", // Archived bull peak snapshots for backtests
+    BACKTESTS: "market_peak_backtests", // Backtest reports
+    SHADOW_ANALYSES: "market_peak_shadow_analyses", // Candidate prompt results next to production
+    LLM_USAGE: "market_peak_llm_usage", // Daily and monthly LLM usage and spend
+    AUDIT_LOG: "market_peak_audit_log", // Operator actions taken through the API
   },
 
   // Request timeout for external API calls (90 seconds)
-  REQUEST_TIMEOUT: 90000,
+  REQUEST_TIMEOUT: envNumber("REQUEST_TIMEOUT", 90000),
+
+  // Daily closes cache: persisted to a local file, refreshed incrementally
+  DAILY_CACHE: {
+    FILE:
+      process.env.DAILY_CACHE_FILE === ""
+        ? null // Empty disables persistence
+        : path.resolve(
+            __dirname,
+            process.env.DAILY_CACHE_FILE || ".cache/daily-closes.json"
+          ),
+    TTL_MS: envNumber("DAILY_CACHE_TTL_HOURS", 24) * 60 * 60 * 1000, // Age after which an asset is refreshed
+    WINDOW_DAYS: 900, // Daily closes kept per asset
+    CHECK_INTERVAL: "*/15 * * * *", // How often expired assets are looked for
+  },
 
   // Server port (defaults to 3010 if not specified in environment)
   PORT: process.env.PORT || 3010,
 
   // Cron schedule for automated analysis (every hour at minute 0)
-  ANALYSIS_INTERVAL: "0 * * * *",
+  ANALYSIS_INTERVAL: process.env.ANALYSIS_INTERVAL || "0 * * * *",
+
+  // Readiness checks (/health/ready)
+  HEALTH: {
+    MAX_ANALYSIS_AGE_HOURS: envNumber("HEALTH_MAX_ANALYSIS_AGE_HOURS", null), // Longer without a successful analysis is unhealthy (default: two schedule intervals plus an hour)
+    MAX_FAILED_ANALYSES: envNumber("HEALTH_MAX_FAILED_ANALYSES", 3), // Consecutive failed analyses that are unhealthy (fewer are degraded)
+    PROBE_INTERVAL_MS: envNumber("HEALTH_PROBE_INTERVAL_SECONDS", 60) * 1000, // How often Firestore and the LLM provider are actually contacted
+    CHECK_TIMEOUT_MS: 5000, // Time allowed per check
+  },
+
+  // Observability: log output format and the Prometheus /metrics endpoint
+  LOG_FORMAT: process.env.LOG_FORMAT || "pretty", // "pretty" (emoji console lines) or "json"
+  METRICS: {
+    ENABLED: process.env.METRICS_ENABLED !== "false", // Serve /metrics
+    PROCESS: process.env.METRICS_PROCESS !== "false", // Include process CPU, memory and event loop metrics
+  },
+
+  // Live event stream (/api/stream): completed analyses, indicator updates and job progress
+  STREAM: {
+    BUFFER_SIZE: envNumber("STREAM_BUFFER_SIZE", 200), // Recent events replayed to reconnecting clients
+    MAX_CLIENTS: envNumber("STREAM_MAX_CLIENTS", 100), // Concurrent stream connections
+    HEARTBEAT_MS: 25000, // Keep-alive comment interval so proxies keep idle streams open
+  },
+
+  // Event-driven analyses queued between scheduled runs
+  EVENT_TRIGGERS: {
+    ENABLED: process.env.EVENT_TRIGGERS_ENABLED !== "false", // Enabled by default
+    DEBOUNCE_MS: envNumber("EVENT_TRIGGER_DEBOUNCE_SECONDS", 60) * 1000, // Quiet period before running
+    MIN_INTERVAL_MS:
+      envNumber("EVENT_TRIGGER_MIN_INTERVAL_MINUTES", 15) * 60 * 1000, // Minimum gap between analyses
+    PRICE_MOVE_PCT: envNumber("EVENT_TRIGGER_PRICE_MOVE_PCT", 5), // Primary asset move within 24h that triggers
+    PRICE_CHECK_INTERVAL: "*/5 * * * *", // How often the primary asset minute series is checked
+  },
+
+  // Number of indicator change entries kept in memory (and loaded from Firestore on startup)
+  INDICATOR_CHANGES_HISTORY: 500,
+
+  // Backtests: replay historical dates through the analysis pipeline
+  BACKTEST: {
+    LLM_PROVIDER: process.env.BACKTEST_LLM_PROVIDER, // Provider for backtests (defaults to LLM_PROVIDER)
+    STEP_DAYS: 7, // Days between evaluated dates
+    HORIZONS_DAYS: [30, 90, 180], // Forward horizons for return / drawdown
+    MAX_POINTS: 500, // Maximum dates per backtest
+  },
+
+  // Alert rules and delivery sinks (a sink is enabled when its settings are present)
+  ALERTS: {
+    HYSTERESIS: envNumber("ALERT_HYSTERESIS", 3), // Points past a band boundary before the band changes
+    SCORE_JUMP: envNumber("ALERT_SCORE_JUMP", 15), // Score change between runs that counts as a jump
+    FAILURE_STREAK: envNumber("ALERT_FAILURE_STREAK", 3), // Consecutive failed analyses before alerting
+    COOLDOWN_MS: envNumber("ALERT_COOLDOWN_MINUTES", 60) * 60 * 1000, // Minimum gap between identical alerts
+    WEBHOOK_URL: process.env.ALERT_WEBHOOK_URL, // Generic JSON webhook
+    SLACK_WEBHOOK_URL: process.env.ALERT_SLACK_WEBHOOK_URL, // Slack-compatible incoming webhook
+    EMAIL: {
+      TO: process.env.ALERT_EMAIL_TO, // Comma-separated recipients
+      FROM: process.env.ALERT_EMAIL_FROM || "market-peak-alerts@localhost",
+      SMTP_HOST: process.env.SMTP_HOST,
+      SMTP_PORT: envNumber("SMTP_PORT", 587),
+      SMTP_SECURE: process.env.SMTP_SECURE === "true", // Use TLS from the start (port 465)
+      SMTP_USER: process.env.SMTP_USER,
+      SMTP_PASS: process.env.SMTP_PASS,
+    },
+  },
 };
 
 // Initialize Express application with security and performance middleware
@@ -93,24 +400,188 @@ app.use(compression()); // Compress responses to reduce bandwidth usage
 app.use(express.json({ limit: "8mb" })); // Parse JSON bodies up to 8MB
 app.use(express.urlencoded({ extended: true, limit: "8mb" })); // Parse URL-encoded bodies up to 8MB
 
-// Rate limiting middleware to prevent API abuse
+// API key / JWT authentication; routes declare the role they need with authorize()
+const authenticator = new Authenticator({
+  apiKeys: CONFIG.AUTH.API_KEYS,
+  jwt: {
+    secret: CONFIG.AUTH.JWT_SECRET,
+    issuer: CONFIG.AUTH.JWT_ISSUER,
+    audience: CONFIG.AUTH.JWT_AUDIENCE,
+    roleClaim: CONFIG.AUTH.JWT_ROLE_CLAIM,
+  },
+  queryTokenPaths: ["/api/stream"], // Browser EventSource cannot send headers
+});
+
+// Audit trail of operator actions, kept in memory and stored in Firestore
+const auditLog = new AuditLog({
+  recordEntry: (entry) =>
+    db &&
+    db
+      .collection(CONFIG.COLLECTIONS.AUDIT_LOG)
+      .add({ ...entry, createdAt: admin.firestore.Timestamp.now() }),
+});
+
+/**
+ * Identify the caller (req.auth) before rate limiting, so limits apply per key.
+ * Invalid credentials are only rejected by authorize(), which keeps failed
+ * attempts under the per-IP limit.
+ */
+function authenticate(req, res, next) {
+  const { principal, error } = authenticator.authenticateRequest(req);
+  req.auth = principal || null;
+  req.authError = error || null;
+  next();
+}
+
+/**
+ * Require a role for a route (every caller passes while authentication is disabled)
+ * @param {string} role - "reader", "operator" or "admin"
+ * @returns {Function} Express middleware
+ */
+function authorize(role) {
+  return (req, res, next) => {
+    if (!authenticator.enabled) return next();
+    if (!req.auth) {
+      res.set("WWW-Authenticate", 'Bearer realm="market-peak-analysis"');
+      return res.status(401).json({
+        error: "unauthorized",
+        message: req.authError || "API key or bearer token required",
+      });
+    }
+    if (!roleAllows(req.auth.role, role)) {
+      return res.status(403).json({
+        error: "forbidden",
+        required_role: role,
+        role: req.auth.role,
+      });
+    }
+    next();
+  };
+}
+
+/**
+ * Record a route's use in the audit log once the response is sent, including
+ * rejected attempts. Handlers can add details through res.locals.audit.
+ * @param {string} action - Action name, e.g. "analysis.trigger"
+ * @returns {Function} Express middleware
+ */
+function audit(action) {
+  return (req, res, next) => {
+    res.on("finish", () => {
+      auditLog.add({
+        action,
+        actor: req.auth?.name || "anonymous",
+        role: req.auth?.role || null,
+        auth_method: req.auth?.method || null,
+        ...(req.authError && { auth_error: req.authError }),
+        request: { method: req.method, path: req.path, query: req.query },
+        status: res.statusCode,
+        ip: req.ip,
+        details: res.locals.audit || null,
+      });
+    });
+    next();
+  };
+}
+
+app.use(authenticate);
+
+// Rate limiting middleware to prevent API abuse: per API key or JWT subject
+// for authenticated callers, per IP otherwise
 const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minute window
-  max: 100, // Maximum 100 requests per window per IP
+  windowMs: CONFIG.AUTH.RATE_LIMIT_WINDOW_MS,
+  skip: (req) => req.path === "/health" || req.path.startsWith("/health/"), // Orchestrator probes
+  limit: (req) =>
+    req.auth
+      ? req.auth.rateLimit || CONFIG.AUTH.RATE_LIMIT_KEY
+      : CONFIG.AUTH.RATE_LIMIT_IP,
+  keyGenerator: (req) =>
+    req.auth ? `${req.auth.method}:${req.auth.name}` : `ip:${req.ip}`,
   message: { error: "Too many requests", retryAfter: 900 }, // Error message with retry time
 });
 app.use(limiter);
 
 // Daily price data cache for performance optimization
-// This cache stores ~900 days of daily closing prices for BTC, ETH, and SOL
-// to avoid repeated API calls and improve analysis speed
+// This cache stores ~900 days of daily closing prices for every configured asset
+// to avoid repeated API calls and improve analysis speed. It is persisted to
+// DAILY_CACHE_FILE and refreshed incrementally once its TTL expires.
 const dailyClosesCache = {
-  bitcoin: [], // Array of {timestamp, close} objects for Bitcoin
-  ethereum: [], // Array of {timestamp, close} objects for Ethereum
-  solana: [], // Array of {timestamp, close} objects for Solana
+  assets: Object.fromEntries(CONFIG.ASSETS.map((a) => [a.id, []])), // Asset id -> array of {timestamp, close}
+  fetchedAt: {}, // Asset id -> time of its last successful fetch
+  errors: {}, // Asset id -> error of its last failed refresh (cleared on success)
+  refreshing: {}, // Asset id -> in-flight refresh promise
   lastFetchedAt: 0, // Timestamp of last cache refresh
+  savedAt: null, // Timestamp of the last write to DAILY_CACHE_FILE
 };
 
+// Prometheus metrics; cache age and indicator hits are read when scraped
+const metrics = new ServiceMetrics({
+  collectDefaults: CONFIG.METRICS.PROCESS,
+  sources: {
+    cacheAges: () =>
+      Object.fromEntries(
+        CONFIG.ASSETS.map((a) => {
+          const fetchedAt = dailyClosesCache.fetchedAt[a.id];
+          return [a.id, fetchedAt ? (Date.now() - fetchedAt) / 1000 : null];
+        })
+      ),
+    indicatorSummary: () =>
+      aggregator.summarizeIndicators(aggregator.latestData.BULL_PEAK),
+  },
+});
+
+// Live events for dashboards; recent events are kept for Last-Event-ID replay
+const eventStream = new EventStream({
+  bufferSize: CONFIG.STREAM.BUFFER_SIZE,
+  heartbeatMs: CONFIG.STREAM.HEARTBEAT_MS,
+  maxClients: CONFIG.STREAM.MAX_CLIENTS,
+});
+
+// Client for the external data service, shared by the cache and the aggregator
+const dataService = new DataServiceClient({
+  baseUrl: CONFIG.DATA_SERVICE_URL,
+  timeoutMs: CONFIG.REQUEST_TIMEOUT,
+  retries: CONFIG.DATA_SERVICE.RETRIES,
+  backoffMs: CONFIG.DATA_SERVICE.BACKOFF_MS,
+  maxBackoffMs: CONFIG.DATA_SERVICE.MAX_BACKOFF_MS,
+  failureThreshold: CONFIG.DATA_SERVICE.BREAKER_THRESHOLD,
+  resetMs: CONFIG.DATA_SERVICE.BREAKER_RESET_MS,
+  // Paths are /<asset>?hours=24 (minutes) or /<asset>/daily?days=N
+  onRequest: ({ path, ok, code }) => {
+    const [, asset, endpoint = "minutes"] =
+      path.match(/^\/([^/?]+)(?:\/([^/?]+))?/) || [];
+    metrics.recordDataServiceRequest({
+      asset: asset || "unknown",
+      endpoint,
+      ok,
+      code,
+    });
+  },
+});
+
+/**
+ * Points of a minute series response (the service wraps them in prices or data)
+ * @param {Object|Array} response - Data service response for /<id>?hours=24
+ * @returns {Array} Minute points (empty when there are none)
+ */
+function minutePoints(response) {
+  const points = response?.prices || response?.data || response;
+  return Array.isArray(points) ? points : [];
+}
+
+/**
+ * Daily close counts per asset for health/status output
+ * @returns {Object} { <asset>_daily: count } for every configured asset
+ */
+function dailyCacheCounts() {
+  return Object.fromEntries(
+    CONFIG.ASSETS.map((a) => [
+      `${a.id}_daily`,
+      dailyClosesCache.assets[a.id].length,
+    ])
+  );
+}
+
 /**
  * MarketPeakDataAggregator Class
  * ==============================
@@ -119,12 +590,31 @@ const dailyClosesCache = {
  * It combines multiple data sources and provides AI-powered market peak analysis.
  *
  * Key Responsibilities:
- * - Real-time Firestore listeners for bull market peak indicators
+ * - Bull market peak indicators from the configured source (Firestore listener by default)
  * - Data aggregation from multiple sources (Firestore, external APIs)
  * - AI analysis coordination via OpenRouter
  * - Result storage and retrieval
  * - Cache management for performance optimization
  */
+/**
+ * Create a component selected by name in CONFIG. An unknown name is recorded
+ * in configParseErrors instead of thrown, so requiring index.js does not fail
+ * and startup reports it with the other configuration errors.
+ * @param {string} setting - Setting that names the component
+ * @param {string} value - Configured name
+ * @param {Array} names - Known names
+ * @param {Function} create - Factory called for a known name
+ * @returns {Object|null} Component, or null for an unknown name
+ */
+function createConfiguredComponent(setting, value, names, create) {
+  const error = oneOfError(setting, value, names);
+  if (error) {
+    configParseErrors.push(error);
+    return null;
+  }
+  return create();
+}
+
 class MarketPeakDataAggregator {
   constructor() {
     // Latest data from various sources
@@ -135,84 +625,300 @@ class MarketPeakDataAggregator {
     // Active Firestore listeners for cleanup
     this.listeners = {};
 
+    // Last successfully fetched 24h minute series per asset, served (marked
+    // stale) when the data service is unavailable
+    this.lastGoodMinutes = {}; // Asset id -> { series, fetchedAt }
+
+    // Rolling history of indicator changes between bull peak snapshots
+    this.indicatorChanges = []; // Entries in ascending detected_at order
+    this.lastIndicatorSnapshot = null; // Last non-empty snapshot, kept across listener errors
+
+    // Timestamp of the last successful analysis, for "what changed since" in the prompt
+    this.lastAnalysisAt = null;
+
     // Prompt management system for AI analysis
-    this.promptManager = new PromptManager();
+    this.promptManager = new PromptManager({
+      version: CONFIG.PROMPT.VERSION,
+      strict: CONFIG.PROMPT.STRICT,
+    });
 
-    // Initialize real-time data listeners
-    this.initializeListeners();
+    // LLM provider used to obtain the analysis (OpenRouter, OpenAI-compatible or rules-only)
+    this.llmProvider = createConfiguredComponent(
+      "LLM_PROVIDER",
+      CONFIG.LLM_PROVIDER,
+      LLM_PROVIDERS,
+      () => createLLMProvider(CONFIG)
+    );
+
+    // Source of the bull market peak indicator snapshot
+    this.indicatorSource = createConfiguredComponent(
+      "INDICATOR_SOURCE",
+      CONFIG.INDICATOR_SOURCE.TYPE,
+      INDICATOR_SOURCE_TYPES,
+      () => createIndicatorSource(CONFIG, { db })
+    );
+
+    // Storage for completed analyses (Firestore collection or local JSONL file)
+    this.analyses = createConfiguredComponent(
+      "STORAGE_BACKEND",
+      CONFIG.STORAGE.BACKEND,
+      STORAGE_BACKENDS,
+      () => createAnalysisRepository(CONFIG, { db })
+    );
+
+    // Single-flight job runner: every analysis goes through it so concurrent
+    // triggers coalesce onto the run in progress. The job id is the run's
+    // correlation id in logs (run_id) and in analysis_metadata.
+    this.jobs = new AnalysisJobRunner({
+      run: (trigger, onProgress, job) =>
+        withLogContext({ run_id: job.id }, () =>
+          this.analyze({ trigger, onProgress })
+        ),
+      onJobStarted: (job) =>
+        eventStream.publish("job.started", this.describeJobEvent(job)),
+      onStepUpdated: (job, step) =>
+        eventStream.publish("job.progress", {
+          job_id: job.id,
+          step: step.name,
+          status: step.status,
+          ...(step.detail !== undefined && { detail: step.detail }),
+        }),
+      onStepFinished: (job, step, durationMs) =>
+        metrics.observeStep(step.name, step.status, durationMs),
+      onJobFinished: (job) => {
+        metrics.observeAnalysis({
+          trigger: job.trigger.type,
+          status: job.status,
+          durationMs: Date.parse(job.finished_at) - Date.parse(job.created_at),
+          score: job.result?.analysis?.score,
+        });
+        eventStream.publish("job.finished", this.describeJobEvent(job));
+      },
+    });
+
+    // Out-of-band analyses for indicator hits and large primary asset moves
+    this.eventTriggers = new AnalysisTriggerScheduler({
+      runAnalysis: (trigger) => this.jobs.submit(trigger).promise,
+      debounceMs: CONFIG.EVENT_TRIGGERS.DEBOUNCE_MS,
+      minIntervalMs: CONFIG.EVENT_TRIGGERS.MIN_INTERVAL_MS,
+      priceMovePct: CONFIG.EVENT_TRIGGERS.PRICE_MOVE_PCT,
+    });
+
+    // Alert engine for score band changes, jumps, indicator hits and failure streaks
+    this.alertEngine = new AlertEngine({
+      rules: CONFIG.ALERTS,
+      sinks: createAlertSinks(CONFIG.ALERTS),
+      recordAlert: (alert) => this.storeAlert(alert),
+    });
+
+    // Backtest runs started through the API (running and recently finished)
+    this.backtests = new Map(); // Backtest id -> run state
+
+    // LLM token and cost accounting with the monthly budget
+    this.usage = new UsageLedger({
+      monthlyBudgetUsd: CONFIG.USAGE.MONTHLY_BUDGET_USD,
+      persist: (record, periods) => this.storeUsage(record, periods),
+    });
   }
 
   /**
    * Initialize real-time Firestore listeners for data sources
    * Sets up listeners for bull market peak indicators and other data streams
+   * Called from startService() so scripts can use the aggregator without listeners
    */
   initializeListeners() {
-    if (!db) {
-      console.warn(
-        "⚠️ [FIRESTORE] Database not available, cannot initialize listeners"
-      );
+    console.log(
+      `🔄 [LISTENER] Starting ${this.indicatorSource.name} indicator source`
+    );
+
+    // Listen for bull market peak indicator snapshots
+    this.indicatorSource.start(
+      (snapshot) => this.onBullPeakSnapshot(snapshot),
+      (error) =>
+        console.error(
+          `❌ [LISTENER] Error in ${this.indicatorSource.name} indicator source:`,
+          error.message
+        )
+    );
+    this.listeners["BULL_PEAK"] = () => this.indicatorSource.stop();
+  }
+
+  /**
+   * Handle a bull market peak indicator snapshot from the indicator source
+   * Updates the local cache, records indicator changes and archives the snapshot.
+   * @param {Object|null} data - Snapshot document, or null when the source has none
+   */
+  onBullPeakSnapshot(data) {
+    if (!data) {
+      // No snapshot available - clear local cache
+      console.warn(`⚠️ [LISTENER] No latest Bull Market Peak Indicators`);
+      this.latestData.BULL_PEAK = null;
+      eventStream.publish("indicators.updated", {
+        snapshot: null,
+        summary: null,
+        indicators: [],
+      });
       return;
     }
 
-    console.log("🔄 [FIRESTORE] Initializing snapshot listeners");
+    // Update local cache with new data
+    this.latestData.BULL_PEAK = data;
+    eventStream.publish("indicators.updated", {
+      snapshot: data.timestamp || data.collected_at || null,
+      summary: this.summarizeIndicators(data),
+      indicators: data.indicators || [],
+    });
+
+    // Diff against the previous snapshot, record changes and evaluate alerts
+    this.recordIndicatorChanges(data).catch((e) =>
+      console.error(
+        "❌ [LISTENER] Indicator change detection failed:",
+        e.message
+      )
+    );
 
-    // Set up listener for bull market peak indicators
-    this.setupBullPeakLatestListener();
+    // Archive the snapshot so backtests can replay it later
+    this.archiveIndicatorSnapshot(data).catch((e) =>
+      console.error(
+        "❌ [STORAGE] Failed to archive indicator snapshot:",
+        e.message
+      )
+    );
+    const ts = data?.timestamp || data?.collected_at || null;
+    console.log(
+      `✅ [LISTENER] Updated BULL_PEAK latest (${ts || "no timestamp"})`
+    );
   }
 
   /**
-   * Set up real-time listener for bull market peak indicators
-   * This listener monitors the latest bull market peak indicators document
-   * and updates the local cache whenever new data is available
+   * Diff a new bull peak snapshot against the previous one and record the changes
+   * Changes are kept in memory, persisted to Firestore and passed to the alert engine.
+   * @param {Object} snapshot - New bull market peak indicators document
+   * @returns {Object|null} The recorded change entry, or null if nothing changed
    */
-  setupBullPeakLatestListener() {
-    try {
-      console.log(
-        `📡 [LISTENER] Setting up Bull Market Peak Indicators (latest)`
-      );
-
-      // Reference to the latest bull market peak indicators document
-      const latestRef = db
-        .collection("bull-market-peak-indicators")
-        .doc("latest");
-
-      // Set up real-time listener for document changes
-      const unsubscribe = latestRef.onSnapshot(
-        (doc) => {
-          if (doc.exists) {
-            // Document exists - update local cache with new data
-            const data = { id: doc.id, ...doc.data() };
-            this.latestData.BULL_PEAK = data;
-            const ts = data?.timestamp || data?.collected_at || null;
-            console.log(
-              `✅ [LISTENER] Updated BULL_PEAK latest (${ts || "no timestamp"})`
-            );
-          } else {
-            // Document doesn't exist - clear local cache
-            console.warn(
-              `⚠️ [LISTENER] No latest Bull Market Peak Indicators document`
-            );
-            this.latestData.BULL_PEAK = null;
-          }
-        },
-        (error) => {
-          // Error occurred - log and clear local cache
+  async recordIndicatorChanges(snapshot) {
+    const previous = this.lastIndicatorSnapshot;
+    this.lastIndicatorSnapshot = snapshot;
+    if (!previous) return null; // First snapshot after startup: nothing to compare
+
+    const changes = diffIndicatorSnapshots(previous, snapshot);
+    if (changes.length === 0) return null;
+
+    const entry = {
+      detected_at: new Date().toISOString(),
+      from_snapshot: previous.timestamp || previous.collected_at || null,
+      to_snapshot: snapshot.timestamp || snapshot.collected_at || null,
+      changes,
+    };
+    this.indicatorChanges.push(entry);
+    if (this.indicatorChanges.length > CONFIG.INDICATOR_CHANGES_HISTORY) {
+      this.indicatorChanges.shift();
+    }
+    eventStream.publish("indicators.changed", entry);
+    console.log(
+      `🔀 [LISTENER] ${changes.length} indicator change(s) detected (${changes
+        .map((c) => `${c.indicator}:${c.type}`)
+        .join(", ")})`
+    );
+
+    if (db) {
+      await db
+        .collection(CONFIG.COLLECTIONS.INDICATOR_CHANGES)
+        .add({ ...entry, createdAt: admin.firestore.Timestamp.now() })
+        .catch((e) =>
           console.error(
-            `❌ [LISTENER] Error in BULL_PEAK listener:`,
-            error.message
-          );
-          this.latestData.BULL_PEAK = null;
-        }
-      );
+            "❌ [STORAGE] Failed to store indicator changes:",
+            e.message
+          )
+        );
+    }
 
-      // Store unsubscribe function for cleanup
-      this.listeners["BULL_PEAK"] = unsubscribe;
-    } catch (error) {
-      console.error(
-        `❌ [LISTENER] Failed to setup BULL_PEAK listener:`,
-        error.message
-      );
+    // Queue an out-of-band analysis when an indicator flips to hit
+    if (CONFIG.EVENT_TRIGGERS.ENABLED)
+      this.eventTriggers.onIndicatorChanges(changes);
+
+    await this.alertEngine.evaluateIndicatorChanges(changes, snapshot);
+    return entry;
+  }
+
+  /**
+   * Load the most recent indicator change entries from Firestore into memory
+   */
+  async loadIndicatorChangeHistory() {
+    if (!db) return;
+    const snap = await db
+      .collection(CONFIG.COLLECTIONS.INDICATOR_CHANGES)
+      .orderBy("detected_at", "desc")
+      .limit(CONFIG.INDICATOR_CHANGES_HISTORY)
+      .get();
+    const rows = [];
+    snap.forEach((d) => {
+      const { createdAt, ...entry } = d.data();
+      rows.push({ id: d.id, ...entry });
+    });
+    // Entries recorded by the listener before the load finished stay at the end
+    this.indicatorChanges = [...rows.reverse(), ...this.indicatorChanges];
+    console.log(`✅ [LISTENER] Loaded ${rows.length} indicator change entries`);
+  }
+
+  /**
+   * Get recorded indicator changes
+   * @param {Object} options - Query options
+   * @param {string} [options.since] - Only entries detected after this ISO timestamp
+   * @param {string} [options.indicator] - Only changes for this indicator name
+   * @param {number} [options.limit] - Maximum number of entries (most recent kept)
+   * @returns {Array} Change entries in ascending detected_at order
+   */
+  getIndicatorChanges({ since = null, indicator = null, limit = 100 } = {}) {
+    let entries = this.indicatorChanges;
+    if (since) entries = entries.filter((e) => e.detected_at > since);
+    if (indicator) {
+      entries = entries
+        .map((e) => ({
+          ...e,
+          changes: e.changes.filter((c) => c.indicator === indicator),
+        }))
+        .filter((e) => e.changes.length > 0);
     }
+    return entries.slice(-limit);
+  }
+
+  /**
+   * Archive a bull peak snapshot keyed by its own timestamp (idempotent on restarts)
+   * @param {Object} snapshot - Bull market peak indicators document
+   */
+  async archiveIndicatorSnapshot(snapshot) {
+    if (!db) return;
+    const asOf = new Date(snapshotTime(snapshot) ?? Date.now()).toISOString();
+    const { id, ...data } = snapshot;
+    await db
+      .collection(CONFIG.COLLECTIONS.INDICATOR_SNAPSHOTS)
+      .doc(asOf)
+      .set({
+        ...data,
+        as_of: asOf,
+        createdAt: admin.firestore.Timestamp.now(),
+      });
+  }
+
+  /**
+   * Load archived bull peak snapshots up to a date
+   * @param {number} until - Latest snapshot time to include (ms)
+   * @returns {Array} Snapshots in ascending as_of order (empty without Firestore)
+   */
+  async loadIndicatorSnapshots(until) {
+    if (!db) return [];
+    const snap = await db
+      .collection(CONFIG.COLLECTIONS.INDICATOR_SNAPSHOTS)
+      .where("as_of", "<=", new Date(until).toISOString())
+      .orderBy("as_of", "asc")
+      .get();
+    const rows = [];
+    snap.forEach((d) => {
+      const { createdAt, ...snapshot } = d.data();
+      rows.push(snapshot);
+    });
+    return rows;
   }
 
   /**
@@ -244,129 +950,459 @@ class MarketPeakDataAggregator {
   }
 
   /**
-   * Fetch data from the external data service
+   * Job state for stream events: the analysis itself is sent as analysis.completed
+   * @param {Object} job - Analysis job
+   * @returns {Object} Job view without its result, with the score of a successful run
+   */
+  describeJobEvent(job) {
+    const { id, result, ...view } = this.jobs.describe(job);
+    return {
+      job_id: id,
+      ...view,
+      score: result?.analysis?.score ?? null,
+    };
+  }
+
+  /**
+   * Count triggered bull market peak indicators for storage alongside each analysis
+   * @param {Object} latestBullPeakDoc - The latest bull market peak indicators document
+   * @returns {Object|null} { hit, total, hit_indicators } or null if no indicators are available
+   */
+  summarizeIndicators(latestBullPeakDoc) {
+    if (!latestBullPeakDoc || !Array.isArray(latestBullPeakDoc.indicators)) {
+      return null;
+    }
+    const hits = latestBullPeakDoc.indicators.filter(
+      (ind) => !!ind?.hit_status
+    );
+    return {
+      hit: hits.length,
+      total: latestBullPeakDoc.indicators.length,
+      hit_indicators: hits.map(
+        (ind) => ind?.indicator_name || "Unknown Indicator"
+      ),
+    };
+  }
+
+  /**
+   * Fetch data from the external data service (with retries and the circuit breaker)
    * @param {string} path - API endpoint path to fetch data from
    * @returns {Object} Response data from the data service
    */
   async fetchDataServiceJson(path) {
-    const url = `${CONFIG.DATA_SERVICE_URL}${path}`;
-    const res = await axios.get(url, { timeout: CONFIG.REQUEST_TIMEOUT });
-    return res.data;
+    return dataService.getJson(path);
   }
 
   /**
-   * Fetch 24-hour minute-by-minute price data for BTC, ETH, and SOL
-   * This provides recent price action for short-term analysis
-   * @returns {Object} Object containing 24h data for each cryptocurrency
+   * Fetch 24-hour minute-by-minute price data for every configured asset
+   * This provides recent price action for short-term analysis. An asset whose
+   * fetch fails falls back to its last good series, reported as stale.
+   * @returns {Object} { series, status } - asset id -> 24h series (null when
+   *   nothing is available) and asset id -> inputStatus()
    */
   async fetchCryptoMinuteSeries() {
-    // Fetch 24h minute-by-minute data for BTC/ETH/SOL in parallel
-    const requests = [
-      this.fetchDataServiceJson("/bitcoin?hours=24").catch(() => null),
-      this.fetchDataServiceJson("/ethereum?hours=24").catch(() => null),
-      this.fetchDataServiceJson("/solana?hours=24").catch(() => null),
-    ];
-    const [btc24, eth24, sol24] = await Promise.all(requests);
-    return { btc24, eth24, sol24 };
+    // Fetch 24h minute-by-minute data for all assets in parallel
+    const responses = await Promise.allSettled(
+      CONFIG.ASSETS.map((a) => this.fetchDataServiceJson(`/${a.id}?hours=24`))
+    );
+
+    const series = {};
+    const status = {};
+    responses.forEach((resp, i) => {
+      const asset = CONFIG.ASSETS[i];
+      if (resp.status === "fulfilled") {
+        this.lastGoodMinutes[asset.id] = {
+          series: resp.value,
+          fetchedAt: Date.now(),
+        };
+        series[asset.id] = resp.value;
+        status[asset.id] = inputStatus({
+          available: minutePoints(resp.value).length > 0,
+          fetchedAt: Date.now(),
+        });
+        return;
+      }
+
+      const lastGood = this.lastGoodMinutes[asset.id];
+      console.warn(
+        `⚠️ [DATA] ${asset.symbol} 24h minutes unavailable (${
+          resp.reason.message
+        })${lastGood ? ", using last good series" : ""}`
+      );
+      series[asset.id] = lastGood ? lastGood.series : null;
+      status[asset.id] = inputStatus({
+        available: !!lastGood && minutePoints(lastGood.series).length > 0,
+        fetchedAt: lastGood?.fetchedAt,
+        stale: true,
+        error: resp.reason.message,
+      });
+    });
+    return { series, status };
   }
 
-  formatSeriesForPrompt(arr, label) {
+  /**
+   * Freshness of every live input to the prompt
+   * @param {Object} minuteStatus - Asset id -> 24h minutes status from fetchCryptoMinuteSeries()
+   * @returns {Object} Input name -> inputStatus(): bull_peak, <asset>_24h, <asset>_daily
+   */
+  describeDataInputs(minuteStatus) {
+    const inputs = {
+      bull_peak: inputStatus({ available: !!this.latestData.BULL_PEAK }),
+    };
+    CONFIG.ASSETS.forEach((a) => {
+      inputs[`${a.id}_24h`] = minuteStatus[a.id];
+      inputs[`${a.id}_daily`] = dailyClosesStatus(a.id);
+    });
+    return inputs;
+  }
+
+  /**
+   * Check the primary asset's 24h minute series for a move large enough to queue an analysis
+   * @returns {Object|null} The measured move when it triggered an analysis
+   */
+  async checkPriceTrigger() {
+    const primary = CONFIG.ASSETS[0];
+    const data = await this.fetchDataServiceJson(`/${primary.id}?hours=24`);
+    return this.eventTriggers.onPriceSeries(minutePoints(data), primary.id);
+  }
+
+  /**
+   * Format a minute series for the prompt
+   * @param {Array} arr - Minute points (oldest first)
+   * @param {string} label - Series label used when data is missing
+   * @param {number} [barMinutes] - OHLC bar size; sampled points when not set
+   * @returns {string} JSON string of points or bars
+   */
+  formatSeriesForPrompt(arr, label, barMinutes = null) {
     if (!arr || !Array.isArray(arr) || arr.length === 0) {
       return `insufficient_${label}_data`;
     }
+    if (barMinutes)
+      return JSON.stringify(summarizeMinuteSeries(arr, barMinutes));
     // Keep compact to avoid huge prompts: sample every 5th point for minute data
     const sampled = arr.filter((_, i) => i % 5 === 0);
     return JSON.stringify(sampled.slice(-288));
   }
 
   /**
-   * Build comprehensive data object for AI analysis
-   * Aggregates all data sources into a structured format for the AI prompt
-   * @returns {Object} Complete data object with all market indicators and price data
+   * Collect the raw inputs for the prompt: indicator snapshot, daily closes,
+   * 24h minute series and indicator changes
+   * @param {Object} [historical] - Data as of a past date for backtests, instead of live data
+   * @param {number} historical.asOf - Date being replayed (ms)
+   * @param {Object} historical.bullPeak - Indicator snapshot as of that date (or null)
+   * @param {Object} historical.dailyCloses - Asset id -> daily closes known on that date
+   * @param {string} historical.indicatorChanges - Indicator changes text for the prompt
+   * @returns {Object} { asOf, bullPeak, dailyCloses, minuteSeries, indicatorChanges,
+   *   dataInputs } where dataInputs is the freshness of each live input ({} for backtests)
    */
-  async buildPromptData() {
+  async collectPromptInputs(historical = null) {
     // Fetch recent minute-by-minute data for short-term analysis
-    const [minuteSeries] = await Promise.all([this.fetchCryptoMinuteSeries()]);
+    // (no minute history exists for backtests)
+    const minutes = historical
+      ? { series: {}, status: {} }
+      : await this.fetchCryptoMinuteSeries();
+
+    // Cached daily closes for long-term analysis
+    const dailyCloses = {};
+    for (const asset of CONFIG.ASSETS) {
+      dailyCloses[asset.id] = historical
+        ? historical.dailyCloses[asset.id] || []
+        : await getCachedDailyCloses(asset.id);
+    }
+
+    return {
+      asOf: historical ? historical.asOf : Date.now(),
+      bullPeak: historical ? historical.bullPeak : this.latestData.BULL_PEAK,
+      dailyCloses,
+      minuteSeries: minutes.series,
+      dataInputs: historical ? {} : this.describeDataInputs(minutes.status),
+      indicatorChanges: historical
+        ? historical.indicatorChanges
+        : formatChangesForPrompt(
+            this.getIndicatorChanges({
+              since: this.lastAnalysisAt,
+              limit: CONFIG.INDICATOR_CHANGES_HISTORY,
+            }),
+            this.lastAnalysisAt
+          ),
+    };
+  }
+
+  /**
+   * Assemble the template data from collected inputs at a compression level
+   * @param {Object} inputs - Result of collectPromptInputs()
+   * @param {Object} [level] - Compression level from COMPRESSION_LEVELS (default: none)
+   * @returns {Object} Complete data object with all market indicators and price data
+   */
+  assemblePromptData(inputs, level = COMPRESSION_LEVELS[0]) {
+    const { bullPeak } = inputs;
 
     // Generate summary of bull market peak indicators
-    const bullSummary = this.generateBullPeakSummary(this.latestData.BULL_PEAK);
+    const bullSummary = this.generateBullPeakSummary(bullPeak);
 
-    // Get cached daily closing prices for long-term analysis
-    const btcDaily = await getCachedDailyCloses("bitcoin");
-    const ethDaily = await getCachedDailyCloses("ethereum");
-    const solDaily = await getCachedDailyCloses("solana");
+    // Per-asset data: daily closes for long-term analysis, deterministic cycle
+    // metrics (always from the full series) so the model works from audited
+    // numbers, and 24h minutes
+    const cycleMetrics = {};
+    const assets = [];
+    const assetData = {};
+    for (const asset of CONFIG.ASSETS) {
+      const daily = inputs.dailyCloses[asset.id] || [];
+      cycleMetrics[asset.id] = computeCycleMetrics(daily);
+      assetData[`${asset.id}_recent_minutes_24h`] = this.formatSeriesForPrompt(
+        minutePoints(inputs.minuteSeries[asset.id]),
+        `${asset.id}_24h`,
+        level.minuteBarMinutes
+      );
+      assetData[`${asset.id}_cycle_metrics`] = cycleMetrics[asset.id];
+      assetData[`${asset.id}_daily_900d_close`] = JSON.stringify(
+        downsampleDailyCloses(daily.slice(-900), level)
+      );
+      assets.push({
+        ...asset,
+        cycle_metrics: cycleMetrics[asset.id],
+        recent_minutes_24h: assetData[`${asset.id}_recent_minutes_24h`],
+        daily_900d_close: assetData[`${asset.id}_daily_900d_close`],
+      });
+    }
 
     // Return structured data object for AI analysis
     return {
-      timestamp: new Date().toISOString(),
+      timestamp: new Date(inputs.asOf).toISOString(),
+      assets, // Configured assets with their data, for {{#each assets}}
+      primary_asset: CONFIG.ASSETS[0],
+      asset_symbols: CONFIG.ASSETS.map((a) => a.symbol).join(", "),
       bull_market_peak_indicators: bullSummary,
-      bull_market_peak_raw: this.latestData.BULL_PEAK || {
+      bull_market_peak_raw: bullPeak || {
         note: "no_bull_peak_data",
       },
-      // Bitcoin data
-      bitcoin_recent_minutes_24h: this.formatSeriesForPrompt(
-        minuteSeries.btc24?.prices ||
-          minuteSeries.btc24?.data ||
-          minuteSeries.btc24,
-        "btc24"
-      ),
-      bitcoin_daily_900d_close: JSON.stringify(btcDaily.slice(-900)),
-      // Ethereum data
-      ethereum_recent_minutes_24h: this.formatSeriesForPrompt(
-        minuteSeries.eth24?.prices ||
-          minuteSeries.eth24?.data ||
-          minuteSeries.eth24,
-        "eth24"
-      ),
-      ethereum_daily_900d_close: JSON.stringify(ethDaily.slice(-900)),
-      // Solana data
-      solana_recent_minutes_24h: this.formatSeriesForPrompt(
-        minuteSeries.sol24?.prices ||
-          minuteSeries.sol24?.data ||
-          minuteSeries.sol24,
-        "sol24"
-      ),
-      solana_daily_900d_close: JSON.stringify(solDaily.slice(-900)),
+      cycle_metrics: cycleMetrics,
+      indicator_changes_since_last_analysis: inputs.indicatorChanges,
+      data_warnings: describeInputWarnings(inputs.dataInputs || {}),
+      daily_resolution: describeDailyResolution(level),
+      minute_resolution: describeMinuteResolution(level),
+      // Individual per-asset values for templates that don't loop over assets
+      ...assetData,
     };
   }
 
   /**
-   * Call the AI model via OpenRouter to analyze market peak conditions
-   * @param {Object} templateData - Data object containing all market indicators and price data
-   * @returns {string} Raw AI response text
-   * @throws {Error} If OpenRouter API key is not configured
+   * Build comprehensive data object for AI analysis
+   * Aggregates all data sources into a structured format for the AI prompt
+   * @param {Object} [historical] - Data as of a past date for backtests (see collectPromptInputs())
+   * @returns {Object} Complete data object with all market indicators and price data
    */
-  async callLLM(templateData) {
-    if (!CONFIG.OPENROUTER_API_KEY) {
-      throw new Error("OpenRouter API key not configured");
-    }
+  async buildPromptData(historical = null) {
+    return this.assemblePromptData(await this.collectPromptInputs(historical));
+  }
 
-    // Generate the complete prompt using the prompt manager
-    const prompt = this.promptManager.getFilledPrompt(templateData);
+  /**
+   * Build the prompt data within the token budget of the models it is sent to.
+   * Compression levels are tried in order until the filled prompt fits; if none
+   * does, the most compressed data is used and the overrun is logged.
+   * @param {Object} [historical] - Data as of a past date for backtests (see collectPromptInputs())
+   * @param {Object} [options] - Budget options
+   * @param {string} [options.promptVersion] - Prompt version the data fills
+   * @param {Array} [options.models] - Models the prompt is sent to (default: provider model)
+   * @returns {Object} { templateData, tokens, inputs } where tokens describes
+   *   the estimate, budget and compression applied and inputs are the raw
+   *   inputs from collectPromptInputs()
+   */
+  async buildBudgetedPromptData(
+    historical = null,
+    { promptVersion = null, models = [this.llmProvider.model] } = {}
+  ) {
+    const inputs = await this.collectPromptInputs(historical);
+    const { budget, context_window } = promptTokenBudget(models, {
+      maxPromptTokens: CONFIG.TOKEN_BUDGET.MAX_PROMPT_TOKENS,
+      contextWindow: CONFIG.TOKEN_BUDGET.CONTEXT_WINDOW,
+      completionTokens: CONFIG.TOKEN_BUDGET.COMPLETION_TOKENS,
+    });
 
-    // Make API call to OpenRouter
-    const response = await axios.post(
-      CONFIG.OPENROUTER_URL,
-      {
-        model: CONFIG.MODEL, // AI model to use for analysis
-        messages: [{ role: "user", content: prompt }],
-        temperature: 0.3, // Low temperature for consistent analysis
-        max_tokens: 20000, // Large token limit for comprehensive analysis
-      },
-      {
-        headers: {
-          Authorization: `Bearer ${CONFIG.OPENROUTER_API_KEY}`,
-          "Content-Type": "application/json",
-        },
-        timeout: CONFIG.REQUEST_TIMEOUT, // 90 second timeout
+    let templateData;
+    let estimated;
+    let level;
+    for (level of COMPRESSION_LEVELS) {
+      templateData = this.assemblePromptData(inputs, level);
+      estimated = estimateTokens(
+        this.promptManager.getFilledPrompt(
+          templateData,
+          "market-peak-analysis",
+          promptVersion
+        )
+      );
+      if (estimated <= budget) break;
+    }
+
+    const withinBudget = estimated <= budget;
+    if (!withinBudget) {
+      console.warn(
+        `⚠️ [TOKENS] Prompt is ~${estimated} tokens after maximum compression, over the ${budget} token budget`
+      );
+    } else if (level.name !== "none") {
+      console.log(
+        `🗜️ [TOKENS] Prompt compressed (${level.name}) to ~${estimated} of ${budget} tokens`
+      );
+    }
+
+    return {
+      templateData,
+      tokens: {
+        estimated_prompt_tokens: estimated,
+        budget_tokens: budget,
+        context_window,
+        compression: level.name,
+        within_budget: withinBudget,
+      },
+      inputs,
+    };
+  }
+
+  /**
+   * Check the inputs of an analysis before the LLM call (see lib/data-quality.js)
+   * @param {Object} inputs - Result of collectPromptInputs()
+   * @returns {Object} { passed, confidence, issues, checked_at }
+   */
+  assessInputs(inputs) {
+    const q = CONFIG.DATA_QUALITY;
+    return assessDataQuality(
+      {
+        asOf: inputs.asOf,
+        bullPeak: inputs.bullPeak,
+        assets: CONFIG.ASSETS.map((a) => ({
+          ...a,
+          daily: inputs.dailyCloses[a.id],
+          minutes: minutePoints(inputs.minuteSeries[a.id]),
+        })),
+        dataInputs: inputs.dataInputs,
+      },
+      {
+        bullPeakStaleHours: q.BULL_PEAK_STALE_HOURS,
+        bullPeakMaxAgeHours: q.BULL_PEAK_MAX_AGE_HOURS,
+        minDailyDays: q.MIN_DAILY_DAYS,
+        maxGapDays: q.MAX_GAP_DAYS,
+        outlierMovePct: q.OUTLIER_MOVE_PCT,
+        minMinuteCoverage: q.MIN_MINUTE_COVERAGE,
       }
     );
+  }
+
+  /**
+   * Check prompt templates against the shape of buildPromptData()
+   * Uses historical mode with no snapshot or closes, so no data is fetched.
+   * @param {Array} [templates] - { name, version } to check (default: every template)
+   * @returns {Array} Per-template results from PromptManager.validateTemplates()
+   */
+  async validatePrompts(templates) {
+    const data = await this.buildPromptData({
+      asOf: Date.now(),
+      bullPeak: null,
+      dailyCloses: {},
+      indicatorChanges: "",
+    });
+    return this.promptManager.validateTemplates(data, templates);
+  }
+
+  /**
+   * Call the configured LLM provider to analyze market peak conditions
+   * @param {Object} templateData - Data object containing all market indicators and price data
+   * @param {Object} options - Call options
+   * @param {string} [options.model] - Model override for ensemble members
+   * @param {Array} [options.followUp] - Messages appended after the prompt (repair rounds)
+   * @param {Object} [options.provider] - Provider override (backtests), defaults to the service provider
+   * @param {string} [options.promptVersion] - Prompt version (default: the production version)
+   * @param {string} [options.purpose] - Accounting purpose: "analysis", "shadow" or "backtest"
+   * @param {Array} [options.calls] - Receives the usage record of this call
+   * @returns {Object} { text, usage } - raw AI response text and the token usage
+   *   reported by the provider (null when not reported)
+   * @throws {Error} If the provider is not configured (e.g. missing OpenRouter API key)
+   */
+  async callLLM(
+    templateData,
+    {
+      model,
+      followUp = [],
+      provider = this.llmProvider,
+      promptVersion,
+      purpose = "analysis",
+      calls = null,
+    } = {}
+  ) {
+    // Generate the complete prompt using the prompt manager
+    const prompt = this.promptManager.getFilledPrompt(
+      templateData,
+      "market-peak-analysis",
+      promptVersion
+    );
+
+    const t0 = Date.now();
+    const callMetrics = {
+      provider: provider.name,
+      model: model || provider.model,
+      purpose,
+    };
+    let response;
+    try {
+      response = await provider.complete({
+        prompt,
+        messages: [{ role: "user", content: prompt }, ...followUp],
+        model: model || undefined, // Provider default when not overridden
+        responseFormat: buildResponseFormat(
+          CONFIG.STRUCTURED_OUTPUT.RESPONSE_FORMAT
+        ),
+        templateData, // Used by the rules-only provider instead of the prompt
+        temperature: 0.3, // Low temperature for consistent analysis
+        maxTokens: CONFIG.TOKEN_BUDGET.COMPLETION_TOKENS, // Large token limit for comprehensive analysis
+      });
+    } catch (error) {
+      metrics.observeLlmCall({
+        ...callMetrics,
+        ok: false,
+        latencyMs: Date.now() - t0,
+      });
+      throw error;
+    }
+    const { text, usage = null, finishReason = null } = response;
+    metrics.observeLlmCall({
+      ...callMetrics,
+      ok: true,
+      latencyMs: Date.now() - t0,
+    });
 
-    // Extract the AI response text
-    const text = response.data?.choices?.[0]?.message?.content || "";
-    return text;
+    // Account for the call: tokens, cost, latency and finish reason
+    const record = buildCallRecord({
+      provider: provider.name,
+      model: model || provider.model,
+      purpose,
+      usage,
+      finishReason,
+      latencyMs: Date.now() - t0,
+      prices: {
+        promptPerMtok: CONFIG.USAGE.PROMPT_PRICE_PER_MTOK,
+        completionPerMtok: CONFIG.USAGE.COMPLETION_PRICE_PER_MTOK,
+      },
+    });
+    if (calls) calls.push(record);
+    const budget = await this.usage.record(record);
+    if (budget.exceeded) {
+      await this.alertEngine
+        .evaluateBudget(budget)
+        .catch((e) =>
+          console.error("❌ [ALERT] Budget evaluation failed:", e.message)
+        );
+    }
+
+    return { text, usage };
   }
 
+  /**
+   * Parse the model's JSON output, trying progressively more aggressive cleanup.
+   * Output that still does not parse is not forced into shape: the caller sends
+   * it back to the model for repair (generateValidatedOutput).
+   * @param {string} text - Raw model response
+   * @returns {Object} Parsed output
+   * @throws {Error} If the response is empty or no sanitization level parses it
+   */
   parseJsonFromText(text) {
     if (!text || typeof text !== "string") throw new Error("Empty AI response");
 
@@ -374,7 +1410,6 @@ class MarketPeakDataAggregator {
     const sanitizationLevels = [
       (text) => this.sanitizeJsonText(text), // Basic sanitization
       (text) => this.aggressiveSanitizeJsonText(text), // More aggressive sanitization
-      (text) => this.emergencySanitizeJsonText(text), // Emergency fallback
     ];
 
     for (let level = 0; level < sanitizationLevels.length; level++) {
@@ -390,6 +1425,7 @@ class MarketPeakDataAggregator {
             console.log(
               `✅ [JSON] Successfully parsed fenced JSON at level ${level + 1}`
             );
+            metrics.recordJsonParse(level + 1);
             return result;
           } catch (error) {
             console.warn(
@@ -405,6 +1441,7 @@ class MarketPeakDataAggregator {
           console.log(
             `✅ [JSON] Successfully parsed full text at level ${level + 1}`
           );
+          metrics.recordJsonParse(level + 1);
           return result;
         } catch (error) {
           console.warn(
@@ -425,6 +1462,7 @@ class MarketPeakDataAggregator {
                 level + 1
               }`
             );
+            metrics.recordJsonParse(level + 1);
             return result;
           } catch (error) {
             console.warn(
@@ -452,6 +1490,7 @@ class MarketPeakDataAggregator {
       }
     }
 
+    metrics.recordJsonParse("failed");
     throw new Error(
       `JSON parsing failed at all sanitization levels. Raw response length: ${text.length}`
     );
@@ -521,43 +1560,6 @@ class MarketPeakDataAggregator {
     }
   }
 
-  /**
-   * Emergency fallback sanitization - very aggressive cleanup
-   */
-  emergencySanitizeJsonText(text) {
-    try {
-      let sanitized = text
-        // Keep only printable ASCII characters plus basic whitespace
-        .replace(/[^\x20-\x7E\n\t\r]/g, "")
-        // Fix any remaining escape sequences
-        .replace(/\\(?!["\\/bfnrt])/g, "\\\\")
-        // Clean up quotes - remove any problematic quote patterns
-        .replace(/"+/g, '"')
-        // Remove any remaining control characters
-        .replace(/[\x00-\x1F\x7F]/g, (match) => {
-          if (match === "\n" || match === "\t" || match === "\r") return match;
-          return "";
-        })
-        // Normalize all whitespace
-        .replace(/\s+/g, " ")
-        .replace(/\s*([{}[\],:])\s*/g, "$1")
-        // Ensure proper spacing around JSON structural elements
-        .replace(/([{}[\]])/g, " $1 ")
-        .replace(/: /g, ": ")
-        .replace(/, /g, ", ")
-        .replace(/\s+/g, " ")
-        .trim();
-
-      return sanitized;
-    } catch (error) {
-      console.warn(
-        "❌ [JSON] Error during emergency sanitization:",
-        error.message
-      );
-      return text;
-    }
-  }
-
   /**
    * Debug helper to show character codes around error position
    */
@@ -586,263 +1588,1931 @@ class MarketPeakDataAggregator {
     }
   }
 
+  /**
+   * Validate parsed model output against the analysis output schema
+   * @param {Object} obj - Parsed model output
+   * @throws {Error} With every schema violation listed (also on error.validationErrors)
+   */
   validateOutput(obj) {
-    const required = ["score", "analysis", "reasoning", "key_factors"];
-    for (const k of required) if (!(k in obj)) throw new Error(`Missing: ${k}`);
-    if (
-      typeof obj.score !== "number" ||
-      obj.score < 1 ||
-      obj.score > 100 ||
-      !Number.isFinite(obj.score)
-    )
-      throw new Error("score must be 1..100 number");
-    if (!Array.isArray(obj.key_factors))
-      throw new Error("key_factors must be array");
+    const errors = validateAgainstSchema(obj, ANALYSIS_OUTPUT_SCHEMA);
+    if (errors.length > 0) {
+      const error = new Error(`Output validation failed: ${errors.join("; ")}`);
+      error.validationErrors = errors;
+      throw error;
+    }
   }
 
-  async storeResult(result) {
+  /**
+   * Call the model, then parse and validate its output, sending validation errors
+   * back to the model for repair up to CONFIG.STRUCTURED_OUTPUT.MAX_REPAIR_ATTEMPTS times
+   * @param {Object} templateData - Data object for the prompt
+   * @param {Object} options - Call options
+   * @param {string} [options.model] - Model override for ensemble members
+   * @param {Object} [options.provider] - Provider override (backtests)
+   * @param {string} [options.promptVersion] - Prompt version (default: the production version)
+   * @param {Function} [options.onProgress] - Step progress callback (step, status, detail)
+   * @param {string} [options.purpose] - Accounting purpose passed to callLLM()
+   * @param {Array} [options.calls] - Receives the usage record of every call, repairs included
+   * @returns {Object} { output, attempts, promptTokens } with the validated output and
+   *   the prompt tokens reported by the provider (null when not reported)
+   * @throws {Error} If the output is still invalid after every repair attempt
+   */
+  async generateValidatedOutput(
+    templateData,
+    {
+      model,
+      provider = this.llmProvider,
+      promptVersion,
+      onProgress = () => {},
+      purpose,
+      calls,
+    } = {}
+  ) {
+    const maxAttempts =
+      1 + Math.max(0, CONFIG.STRUCTURED_OUTPUT.MAX_REPAIR_ATTEMPTS || 0);
+    const followUp = [];
+    let lastError = null;
+    let promptTokens = null;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      // Step 2: Call AI model for analysis (with repair history after the first attempt)
+      const attemptDetail =
+        attempt > 1 ? `repair attempt ${attempt}` : undefined;
+      onProgress("llm", "running", attemptDetail);
+      const { text: aiText, usage } = await this.callLLM(templateData, {
+        model,
+        followUp,
+        provider,
+        promptVersion,
+        purpose,
+        calls,
+      });
+      onProgress("llm", "completed", attemptDetail);
+      // Prompt size as counted by the provider, from the first call (repairs add history)
+      if (attempt === 1) promptTokens = usage?.prompt_tokens ?? null;
+
+      let stage = "parse";
+      try {
+        // Step 3: Parse AI response into structured JSON
+        onProgress("parse", "running", attemptDetail);
+        const parsed = this.parseJsonFromText(aiText);
+        onProgress("parse", "completed", attemptDetail);
+
+        // Step 4: Validate the output format
+        stage = "validate";
+        onProgress("validate", "running", attemptDetail);
+        this.validateOutput(parsed);
+        onProgress("validate", "completed", attemptDetail);
+
+        if (attempt > 1) {
+          console.log(`🔧 [REPAIR] Output repaired on attempt ${attempt}`);
+        }
+        return { output: parsed, attempts: attempt, promptTokens };
+      } catch (error) {
+        lastError = error;
+        onProgress(stage, "failed", attemptDetail);
+        console.warn(
+          `❌ [REPAIR] Attempt ${attempt}/${maxAttempts} failed at ${stage}:`,
+          error.message
+        );
+        await this.storeFailedResponse({
+          rawResponse: aiText,
+          error: error.message,
+          stage,
+          attempt,
+          provider: provider.name,
+          model: model || provider.model,
+        });
+
+        // Send the errors back so the model can correct its own output
+        const problems = error.validationErrors
+          ? error.validationErrors.map((e) => `- ${e}`).join("\n")
+          : `- Response was not valid JSON (${error.message})`;
+        followUp.push(
+          { role: "assistant", content: aiText },
+          {
+            role: "user",
+            content: `Your previous response did not match the required output schema:\n${problems}\n\nReturn the corrected analysis as a single JSON object with exactly the keys score (integer 1-100), analysis, reasoning and key_factors (array of strings). Only output valid JSON. No additional text.`,
+          }
+        );
+      }
+    }
+
+    throw new Error(
+      `Model output invalid after ${maxAttempts} attempts: ${lastError.message}`
+    );
+  }
+
+  /**
+   * Persist a raw model response that failed parsing or validation for debugging
+   * @param {Object} failure - Failure details (rawResponse, error, stage, attempt, provider, model)
+   * @returns {Object} Storage result
+   */
+  async storeFailedResponse({
+    rawResponse,
+    error,
+    stage,
+    attempt,
+    provider = this.llmProvider.name,
+    model,
+  }) {
     if (!db) return { stored: false, reason: "firestore_not_available" };
+    try {
+      const ref = await db.collection(CONFIG.COLLECTIONS.FAILED_RESPONSES).add({
+        raw_response: String(rawResponse || "").slice(0, 500000), // Stay well under the 1MB document limit
+        raw_response_length: String(rawResponse || "").length,
+        error,
+        stage,
+        attempt,
+        provider,
+        model,
+        timestamp: new Date().toISOString(),
+        createdAt: admin.firestore.Timestamp.now(),
+      });
+      return { stored: true, id: ref.id };
+    } catch (e) {
+      console.error("❌ [STORAGE] Failed to store failed response:", e.message);
+      return { stored: false, reason: e.message };
+    }
+  }
+
+  /**
+   * Run a single ensemble member: call the model, then parse and validate its output
+   * @param {Object} templateData - Data object for the prompt
+   * @param {Object} member - Member spec { model, sample }
+   * @param {string} [promptVersion] - Prompt version (default: the production version)
+   * @returns {Object} Member result with either `output` or `error`
+   */
+  async runEnsembleMember(
+    templateData,
+    { model, sample },
+    promptVersion,
+    calls
+  ) {
+    const memberModel = model || this.llmProvider.model;
+    try {
+      const { output, attempts } = await this.generateValidatedOutput(
+        templateData,
+        { model, promptVersion, calls }
+      );
+      return { model: memberModel, sample, success: true, output, attempts };
+    } catch (error) {
+      console.warn(
+        `⚠️ [ENSEMBLE] Member ${memberModel} #${sample} failed:`,
+        error.message
+      );
+      return {
+        model: memberModel,
+        sample,
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * Fan the analysis out to every configured ensemble member and aggregate the scores
+   * The narrative fields come from the member whose score is closest to the aggregate.
+   * @param {Object} templateData - Data object for the prompt
+   * @param {Array} plan - Member specs from buildEnsemblePlan()
+   * @param {string} [promptVersion] - Prompt version (default: the production version)
+   * @param {Array} [calls] - Receives the usage record of every member call
+   * @returns {Object} { output, ensemble } where output has the standard output shape
+   * @throws {Error} If every member failed
+   */
+  async runEnsemble(templateData, plan, promptVersion, calls) {
+    const members = await Promise.all(
+      plan.map((member) =>
+        this.runEnsembleMember(templateData, member, promptVersion, calls)
+      )
+    );
+    const successful = members.filter((m) => m.success);
+    if (successful.length === 0) {
+      throw new Error(
+        `All ${members.length} ensemble members failed: ${members
+          .map((m) => m.error)
+          .join("; ")}`
+      );
+    }
+
+    const aggregate = aggregateScores(
+      successful.map((m) => m.output.score),
+      {
+        method: CONFIG.ENSEMBLE.METHOD,
+        trimRatio: CONFIG.ENSEMBLE.TRIM_RATIO,
+        disagreementThreshold: CONFIG.ENSEMBLE.DISAGREEMENT_THRESHOLD,
+      }
+    );
+
+    // Use the most representative member for analysis, reasoning and key factors
+    const representative = successful.reduce((best, m) =>
+      Math.abs(m.output.score - aggregate.score) <
+      Math.abs(best.output.score - aggregate.score)
+        ? m
+        : best
+    );
+
+    if (aggregate.disagreement) {
+      console.warn(
+        `⚠️ [ENSEMBLE] Members disagree: spread ${aggregate.spread} exceeds ${aggregate.disagreement_threshold}`
+      );
+    }
+
+    return {
+      output: { ...representative.output, score: aggregate.score },
+      ensemble: {
+        ...aggregate,
+        member_scores: successful.map((m) => ({
+          model: m.model,
+          sample: m.sample,
+          score: m.output.score,
+        })),
+        representative: {
+          model: representative.model,
+          sample: representative.sample,
+        },
+        succeeded: successful.length,
+        failed: members.length - successful.length,
+        members, // Full output (or error) of every member
+      },
+    };
+  }
+
+  /**
+   * Store a completed analysis in the configured storage backend
+   * @param {Object} result - Enriched analysis result
+   * @returns {Object} { stored, id, backend } or { stored: false, reason }
+   */
+  async storeResult(result) {
+    if (!this.analyses.available) {
+      return { stored: false, reason: `${this.analyses.name}_not_available` };
+    }
     const doc = {
       ...result,
       timestamp: new Date().toISOString(),
-      createdAt: admin.firestore.Timestamp.now(),
       service: "market-peak-analysis-service",
       serviceVersion: "1.0.0",
     };
-    const ref = await db.collection(CONFIG.COLLECTIONS.STORAGE).add(doc);
-    return { stored: true, id: ref.id };
+    const { id } = await this.analyses.save(doc);
+    return { stored: true, id, backend: this.analyses.name };
   }
 
   /**
    * Main analysis method that orchestrates the entire market peak analysis process
    * This is the core method that combines all data sources and generates the final analysis
+   * @param {Object} options - Analysis options
+   * @param {Object} [options.trigger] - What started this run ({ type: "schedule" | "manual" | "event", reasons?, prompt_version? })
+   * @param {Function} [options.onProgress] - Step progress callback (step, status, detail)
    * @returns {Object} Analysis result with score, reasoning, and metadata
+   *   ({ success: false, skipped: true } when the monthly LLM budget stopped it)
    */
-  async analyze() {
+  async analyze({ trigger = { type: "manual" }, onProgress = () => {} } = {}) {
+    // Unattended runs stop once the monthly budget is spent; manual runs go through
+    const budget = this.usage.budgetStatus();
+    if (budget.exceeded && trigger.type !== "manual") {
+      console.warn(
+        `💸 [USAGE] Skipping ${trigger.type} analysis: monthly LLM budget exceeded ($${budget.spent_usd} of $${budget.budget_usd})`
+      );
+      await this.alertEngine
+        .evaluateBudget(budget, trigger.type)
+        .catch((e) =>
+          console.error("❌ [ALERT] Budget evaluation failed:", e.message)
+        );
+      return {
+        success: false,
+        skipped: true,
+        error: "monthly_budget_exceeded",
+        budget,
+        timestamp: new Date().toISOString(),
+      };
+    }
+
+    this.eventTriggers.noteRun(); // Counts towards the event trigger minimum interval
+    const calls = []; // Usage record of every LLM call made for this analysis
     try {
       const t0 = Date.now(); // Start timing for performance tracking
 
-      // Step 1: Build comprehensive data object from all sources
-      const templateData = await this.buildPromptData();
+      const plan = buildEnsemblePlan(
+        CONFIG.ENSEMBLE.MODELS,
+        CONFIG.ENSEMBLE.SAMPLES
+      );
+
+      // Prompt version for this run: per-request override or the production version
+      const promptInfo = this.promptManager.getTemplateInfo(
+        "market-peak-analysis",
+        trigger.prompt_version || null
+      );
+
+      // Step 1: Build comprehensive data object from all sources, compressed to
+      // fit the prompt token budget of every model it is sent to
+      onProgress("data_build", "running");
+      const { templateData, tokens, inputs } =
+        await this.buildBudgetedPromptData(null, {
+          promptVersion: promptInfo.version,
+          models: plan.map((m) => m.model || this.llmProvider.model),
+        });
+      onProgress("data_build", "completed", tokens.compression);
+      const dataInputs = inputs.dataInputs;
+      const degraded = Object.entries(dataInputs).filter(
+        ([, s]) => s.status !== "fresh"
+      );
+      if (degraded.length > 0) {
+        console.warn(
+          `⚠️ [DATA] Analyzing with degraded inputs: ${degraded
+            .map(([name, s]) => `${name} ${s.status}`)
+            .join(", ")}`
+        );
+      }
+
+      // Step 1b: Refuse to score on inputs that would make the score meaningless
+      const quality = this.checkDataQuality(inputs, onProgress);
 
-      // Step 2: Call AI model for analysis
-      const aiText = await this.callLLM(templateData);
+      // Shadow candidate runs in parallel on the same data; it never fails the analysis
+      const shadowVersion = CONFIG.PROMPT.SHADOW_VERSION;
+      const shadowRun =
+        shadowVersion && shadowVersion !== promptInfo.version
+          ? this.runShadow(templateData, shadowVersion, plan[0])
+          : null;
 
-      // Step 3: Parse AI response into structured JSON
-      const parsed = this.parseJsonFromText(aiText);
+      let parsed;
+      let attempts = null;
+      let promptTokens = null;
+      let ensemble = null;
 
-      // Step 4: Validate the output format
-      this.validateOutput(parsed);
+      if (plan.length > 1) {
+        // Steps 2-4 (ensemble): Call, parse and validate every member, then aggregate
+        const detail = `${plan.length} ensemble members`;
+        onProgress("llm", "running", detail);
+        ({ output: parsed, ensemble } = await this.runEnsemble(
+          templateData,
+          plan,
+          promptInfo.version,
+          calls
+        ));
+        ["llm", "parse", "validate"].forEach((step) =>
+          onProgress(step, "completed", detail)
+        );
+      } else {
+        // Steps 2-4: Call AI model, parse and validate (with repair round-trips)
+        ({
+          output: parsed,
+          attempts,
+          promptTokens,
+        } = await this.generateValidatedOutput(templateData, {
+          ...plan[0],
+          promptVersion: promptInfo.version,
+          onProgress,
+          calls,
+        }));
+      }
 
-      // Step 5: Enrich with metadata
+      // Step 5: Enrich with metadata and the cycle metrics the model was given
       const enriched = {
         ...parsed,
+        confidence: quality?.confidence ?? null,
+        cycle_metrics: templateData.cycle_metrics,
+        indicator_summary: this.summarizeIndicators(
+          templateData.bull_market_peak_raw
+        ),
+        ...(ensemble && { ensemble }),
         analysis_metadata: {
-          model: CONFIG.MODEL,
-          data_sources: ["BULL_PEAK", "BTC", "ETH", "SOL"],
+          provider: this.llmProvider.name,
+          model: plan[0].model || this.llmProvider.model,
+          ...(ensemble && {
+            models: [...new Set(plan.map((m) => m.model))].map(
+              (m) => m || this.llmProvider.model
+            ),
+          }),
+          ...(attempts && { llm_attempts: attempts }),
+          prompt_version: promptInfo.version,
+          prompt_hash: promptInfo.hash,
+          prompt_tokens: { ...tokens, reported_prompt_tokens: promptTokens },
+          llm_usage: { ...summarizeCalls(calls), per_call: calls },
+          trigger,
+          ...(logContext().run_id && { run_id: logContext().run_id }),
+          data_sources: [
+            "BULL_PEAK",
+            ...templateData.assets.map((a) => a.symbol),
+          ],
+          data_inputs: dataInputs,
+          ...(quality && { data_quality: quality }),
           collection_duration_ms: Date.now() - t0,
         },
       };
 
-      // Step 6: Store result in Firestore
+      // Step 6: Store result (Firestore or local file)
+      onProgress("store", "running");
       const storage = await this.storeResult(enriched);
+      onProgress("store", "completed");
+      this.lastAnalysisAt = templateData.timestamp;
+      eventStream.publish("analysis.completed", {
+        id: storage.id || null,
+        run_id: logContext().run_id || null,
+        analysis: enriched,
+      });
 
       // Step 7: Log analysis result with interpretation
       console.log(
         `📈 [ANALYSIS] Market Peak Score: ${parsed.score}/100 (${
-          parsed.score >= 60
-            ? "Peak Likely"
-            : parsed.score >= 25
-            ? "Mixed Signals"
-            : "Normal"
+          scoreBand(parsed.score).label
         })`
       );
 
-      return { success: true, analysis: enriched, storage };
+      // Step 8: Evaluate alert rules (never fails the analysis)
+      await this.alertEngine
+        .evaluateAnalysis(enriched)
+        .catch((e) =>
+          console.error("❌ [ALERT] Analysis evaluation failed:", e.message)
+        );
+
+      // Step 9: Store the shadow candidate next to the production result
+      const shadow = shadowRun
+        ? await this.storeShadowResult(await shadowRun, enriched, storage)
+        : null;
+
+      return {
+        success: true,
+        analysis: enriched,
+        storage,
+        ...(shadow && { shadow }),
+      };
     } catch (error) {
       console.error(
         "❌ [ANALYSIS] Market Peak analysis failed:",
         error.message
       );
+      await this.alertEngine
+        .evaluateFailure(error.message)
+        .catch((e) =>
+          console.error("❌ [ALERT] Failure evaluation failed:", e.message)
+        );
 
       return {
         success: false,
         error: error.message,
+        ...(error.dataQuality && { data_quality: error.dataQuality }),
         timestamp: new Date().toISOString(),
       };
     }
   }
 
-  async getRecent(limit = 10) {
-    if (!db) return { analyses: [], error: "firestore_not_available" };
-    const snap = await db
-      .collection(CONFIG.COLLECTIONS.STORAGE)
-      .orderBy("timestamp", "desc")
-      .limit(Math.min(limit, 50))
-      .get();
-    const rows = [];
-    snap.forEach((d) => rows.push({ id: d.id, ...d.data() }));
-    return { analyses: rows };
+  /**
+   * Run the data quality gate on the inputs of an analysis
+   * @param {Object} inputs - Result of collectPromptInputs()
+   * @param {Function} onProgress - Step progress callback
+   * @returns {Object|null} Quality report, null when DATA_QUALITY_GATE is "off"
+   * @throws {Error} With `dataQuality` when an aborting issue is found in "enforce" mode
+   */
+  checkDataQuality(inputs, onProgress) {
+    if (CONFIG.DATA_QUALITY.MODE === "off") return null;
+    onProgress("quality", "running");
+    const quality = this.assessInputs(inputs);
+    const aborting = quality.issues.filter((i) => i.severity === "abort");
+
+    if (aborting.length > 0 && CONFIG.DATA_QUALITY.MODE === "enforce") {
+      onProgress("quality", "failed", aborting.map((i) => i.check).join(", "));
+      const error = new Error(
+        `Data quality gate: ${aborting.map((i) => i.message).join("; ")}`
+      );
+      error.dataQuality = quality;
+      throw error;
+    }
+
+    quality.issues.forEach((i) =>
+      console.warn(
+        `⚠️ [QUALITY] ${i.message}${
+          i.severity === "abort" ? " (gate not enforced)" : ""
+        }`
+      )
+    );
+    onProgress("quality", "completed", `confidence ${quality.confidence}`);
+    return quality;
   }
 
-  cleanup() {
-    console.log("🧹 [CLEANUP] Removing all Firestore listeners");
-    Object.values(this.listeners).forEach((unsubscribe) => {
-      if (typeof unsubscribe === "function") {
-        unsubscribe();
-      }
-    });
-    this.listeners = {};
+  /**
+   * Run a candidate prompt version on the same data as the production analysis
+   * @param {Object} templateData - Data object shared with the production run
+   * @param {string} version - Candidate prompt version
+   * @param {Object} [member] - Model spec of the production run ({ model })
+   * @returns {Object} Shadow result with `output` or `error` (never throws)
+   */
+  async runShadow(templateData, version, { model } = {}) {
+    const t0 = Date.now();
+    const calls = [];
+    try {
+      const info = this.promptManager.getTemplateInfo(
+        "market-peak-analysis",
+        version
+      );
+      const { output, attempts } = await this.generateValidatedOutput(
+        templateData,
+        { model, promptVersion: version, purpose: "shadow", calls }
+      );
+      return {
+        success: true,
+        prompt_version: info.version,
+        prompt_hash: info.hash,
+        output,
+        llm_attempts: attempts,
+        llm_usage: summarizeCalls(calls),
+        duration_ms: Date.now() - t0,
+      };
+    } catch (error) {
+      console.warn(`⚠️ [SHADOW] Prompt ${version} failed:`, error.message);
+      return {
+        success: false,
+        prompt_version: version,
+        error: error.message,
+        llm_usage: summarizeCalls(calls),
+        duration_ms: Date.now() - t0,
+      };
+    }
   }
-}
 
-/**
- * Cache Management Functions
- * =========================
- * These functions manage the daily price data cache for performance optimization
- */
+  /**
+   * Persist a shadow result together with the production result it ran beside
+   * @param {Object} shadow - Result from runShadow()
+   * @param {Object} production - Enriched production analysis
+   * @param {Object} productionStorage - Storage result of the production analysis
+   * @returns {Object} Comparison summary with storage result
+   */
+  async storeShadowResult(shadow, production, productionStorage) {
+    const meta = production.analysis_metadata;
+    const summary = {
+      prompt_version: shadow.prompt_version,
+      prompt_hash: shadow.prompt_hash || null,
+      success: shadow.success,
+      score: shadow.success ? shadow.output.score : null,
+      score_delta: shadow.success
+        ? shadow.output.score - production.score
+        : null,
+      ...(shadow.error && { error: shadow.error }),
+    };
+    if (shadow.success) {
+      console.log(
+        `🧪 [SHADOW] Prompt ${shadow.prompt_version} scored ${summary.score} vs production ${production.score} (${meta.prompt_version})`
+      );
+    }
 
-/**
- * Refresh the daily closes cache with ~900 days of historical data
- * This function fetches daily closing prices for BTC, ETH, and SOL from the data service
- * and stores them in memory for fast access during analysis
- */
-async function refreshDailyClosesCache() {
-  try {
-    console.log("🔄 [CACHE] Refreshing ~900d daily closes for BTC/ETH/SOL...");
-
-    // Fetch daily data for all three cryptocurrencies in parallel
-    const [btcDailyResp, ethDailyResp, solDailyResp] = await Promise.all([
-      axios.get(`${CONFIG.DATA_SERVICE_URL}/bitcoin/daily?days=900`, {
-        timeout: 30000,
-      }),
-      axios.get(`${CONFIG.DATA_SERVICE_URL}/ethereum/daily?days=900`, {
-        timeout: 30000,
-      }),
-      axios.get(`${CONFIG.DATA_SERVICE_URL}/solana/daily?days=900`, {
-        timeout: 30000,
-      }),
-    ]);
-
-    // Helper function to normalize and clean daily price data
-    const mapDailyClose = (arr) =>
-      (arr || [])
-        .map((d) => ({
-          timestamp: d.timestamp,
-          close: d.close ?? d.price ?? d.c ?? null, // Handle different field names
-        }))
-        .filter((d) => Number.isFinite(d.close)) // Remove invalid data points
-        .sort((a, b) => a.timestamp - b.timestamp) // Sort by timestamp
-        .slice(-900); // Keep only the last 900 days
+    if (!db) {
+      return {
+        ...summary,
+        storage: { stored: false, reason: "firestore_not_available" },
+      };
+    }
+    try {
+      const ref = await db.collection(CONFIG.COLLECTIONS.SHADOW_ANALYSES).add({
+        ...shadow,
+        ...summary,
+        production: {
+          id: productionStorage?.id || null,
+          prompt_version: meta.prompt_version,
+          prompt_hash: meta.prompt_hash,
+          score: production.score,
+        },
+        provider: meta.provider,
+        model: meta.model,
+        trigger: meta.trigger,
+        timestamp: new Date().toISOString(),
+        createdAt: admin.firestore.Timestamp.now(),
+      });
+      return { ...summary, storage: { stored: true, id: ref.id } };
+    } catch (e) {
+      console.error("❌ [STORAGE] Failed to store shadow result:", e.message);
+      return { ...summary, storage: { stored: false, reason: e.message } };
+    }
+  }
 
-    // Update cache with processed data
-    dailyClosesCache.bitcoin = mapDailyClose(btcDailyResp.data?.data);
-    dailyClosesCache.ethereum = mapDailyClose(ethDailyResp.data?.data);
-    dailyClosesCache.solana = mapDailyClose(solDailyResp.data?.data);
-    dailyClosesCache.lastFetchedAt = Date.now();
+  /**
+   * Get recent shadow results with their production counterparts
+   * @param {Object} options - Query options
+   * @param {string} [options.version] - Only results for this candidate version
+   * @param {number} [options.limit] - Maximum number of results (max 500)
+   * @returns {Object} { results } or { results: [], error } without Firestore
+   */
+  async getShadowResults({ version = null, limit = 50 } = {}) {
+    if (!db) return { results: [], error: "firestore_not_available" };
+    let query = db.collection(CONFIG.COLLECTIONS.SHADOW_ANALYSES);
+    if (version) query = query.where("prompt_version", "==", version);
+    const snap = await query
+      .orderBy("timestamp", "desc")
+      .limit(Math.min(limit, 500))
+      .get();
+    const rows = [];
+    snap.forEach((d) => {
+      const { createdAt, ...row } = d.data();
+      rows.push({ id: d.id, ...row });
+    });
+    return { results: rows };
+  }
 
-    console.log(
-      `✅ [CACHE] Daily closes ready - BTC: ${dailyClosesCache.bitcoin.length}, ETH: ${dailyClosesCache.ethereum.length}, SOL: ${dailyClosesCache.solana.length}`
+  /**
+   * Add one LLM call to the stored daily and monthly usage totals
+   * @param {Object} record - Usage record from buildCallRecord()
+   * @param {Object} periods - { day, month } the call falls into
+   */
+  async storeUsage(record, periods) {
+    if (!db) return;
+    const inc = admin.firestore.FieldValue.increment;
+    const cost = record.cost_usd || 0;
+    const totals = {
+      calls: inc(1),
+      prompt_tokens: inc(record.prompt_tokens || 0),
+      completion_tokens: inc(record.completion_tokens || 0),
+      total_tokens: inc(record.total_tokens || 0),
+      cost_usd: inc(cost),
+      by_purpose: { [record.purpose]: { calls: inc(1), cost_usd: inc(cost) } },
+      by_model: {
+        [record.model]: {
+          calls: inc(1),
+          total_tokens: inc(record.total_tokens || 0),
+          cost_usd: inc(cost),
+        },
+      },
+      updated_at: admin.firestore.Timestamp.now(),
+    };
+    const collection = db.collection(CONFIG.COLLECTIONS.LLM_USAGE);
+    const batch = db.batch();
+    batch.set(
+      collection.doc(`day_${periods.day}`),
+      { type: "day", period: periods.day, ...totals },
+      { merge: true }
     );
-  } catch (error) {
-    console.error("❌ [CACHE] Failed to refresh daily closes:", error.message);
+    batch.set(
+      collection.doc(`month_${periods.month}`),
+      { type: "month", period: periods.month, ...totals },
+      { merge: true }
+    );
+    await batch.commit();
   }
-}
 
-/**
- * Get cached daily closing prices for a specific cryptocurrency
- * If cache is empty, attempts to refresh it before returning
- * @param {string} symbol - Cryptocurrency symbol (bitcoin, ethereum, solana)
- * @returns {Array} Array of daily closing price objects
- */
-async function getCachedDailyCloses(symbol) {
-  // Map symbol to cache key
-  const key =
-    symbol === "ethereum"
-      ? "ethereum"
-      : symbol === "solana"
-      ? "solana"
-      : "bitcoin";
-
-  const cached = dailyClosesCache[key];
-
-  // Return cached data if available
-  if (cached && cached.length > 0) return cached;
-
-  // Fallback: try to refresh cache if empty
-  await refreshDailyClosesCache();
-  return dailyClosesCache[key] || [];
-}
+  /**
+   * Load the current month's stored spend so the budget survives restarts
+   */
+  async loadUsageTotals() {
+    if (!db) return;
+    try {
+      const { month } = usagePeriods();
+      const doc = await db
+        .collection(CONFIG.COLLECTIONS.LLM_USAGE)
+        .doc(`month_${month}`)
+        .get();
+      if (!doc.exists) return;
+      const { type, period, by_model, updated_at, ...totals } = doc.data();
+      this.usage.seedMonth(month, totals);
+      console.log(
+        `✅ [USAGE] Loaded ${month} spend: $${totals.cost_usd || 0} over ${
+          totals.calls || 0
+        } LLM calls`
+      );
+    } catch (e) {
+      console.error("❌ [USAGE] Failed to load usage totals:", e.message);
+    }
+  }
+
+  /**
+   * Daily and monthly usage, most recent first
+   * @param {Object} options - Query options
+   * @param {number} [options.days] - Days of daily totals (max 90)
+   * @param {number} [options.months] - Months of monthly totals (max 24)
+   * @returns {Object} { source, daily, monthly } from Firestore, or in-memory totals without it
+   */
+  async getUsage({ days = 30, months = 12 } = {}) {
+    const now = new Date();
+    const dayKeys = Array.from(
+      { length: days },
+      (_, i) => usagePeriods(now.getTime() - i * DAY_MS).day
+    );
+    const monthKeys = Array.from(
+      { length: months },
+      (_, i) =>
+        usagePeriods(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - i, 1))
+          .month
+    );
+
+    if (!db) {
+      // Only what this process recorded since it started
+      const view = (period) => ({ period, ...this.usage.totals(period) });
+      return {
+        source: "memory",
+        daily: dayKeys.map(view).filter((d) => d.calls > 0),
+        monthly: monthKeys.map(view).filter((m) => m.calls > 0),
+      };
+    }
+
+    // Documents are keyed by period, so they are read directly without a query
+    const collection = db.collection(CONFIG.COLLECTIONS.LLM_USAGE);
+    const read = async (keys, prefix) => {
+      const docs = await db.getAll(
+        ...keys.map((k) => collection.doc(`${prefix}_${k}`))
+      );
+      return docs
+        .filter((d) => d.exists)
+        .map((d) => {
+          const { type, updated_at, ...totals } = d.data();
+          return totals;
+        });
+    };
+    return {
+      source: "firestore",
+      daily: await read(dayKeys, "day"),
+      monthly: await read(monthKeys, "month"),
+    };
+  }
+
+  /**
+   * Persist a fired alert so we can see what fired and when
+   * @param {Object} alert - Fired alert from the alert engine
+   * @returns {Object} Storage result
+   */
+  async storeAlert(alert) {
+    if (!db) return { stored: false, reason: "firestore_not_available" };
+    const ref = await db.collection(CONFIG.COLLECTIONS.ALERTS).add({
+      ...alert,
+      createdAt: admin.firestore.Timestamp.now(),
+    });
+    return { stored: true, id: ref.id };
+  }
+
+  /**
+   * Get recently fired alerts
+   * @param {number} limit - Maximum number of alerts to return (max 100)
+   * @returns {Object} { alerts } or { alerts: [], error } without Firestore
+   */
+  async getRecentAlerts(limit = 20) {
+    if (!db) return { alerts: [], error: "firestore_not_available" };
+    const snap = await db
+      .collection(CONFIG.COLLECTIONS.ALERTS)
+      .orderBy("fired_at", "desc")
+      .limit(Math.min(limit, 100))
+      .get();
+    const rows = [];
+    snap.forEach((d) => rows.push({ id: d.id, ...d.data() }));
+    return { alerts: rows };
+  }
+
+  async getRecent(limit = 10) {
+    if (!this.analyses.available) {
+      return { analyses: [], error: `${this.analyses.name}_not_available` };
+    }
+    return { analyses: await this.analyses.recent(Math.min(limit, 50)) };
+  }
+
+  /**
+   * Get one stored analysis
+   * @param {string} id - Analysis id
+   * @returns {Object} { analysis } (null when not found) or { analysis: null, error } without storage
+   */
+  async getAnalysis(id) {
+    if (!this.analyses.available) {
+      return { analysis: null, error: `${this.analyses.name}_not_available` };
+    }
+    return { analysis: await this.analyses.byId(id) };
+  }
+
+  /**
+   * Fetch compact score points (timestamp, score, indicators hit) in ascending order
+   * @param {Object} options - Query options
+   * @param {number} options.from - Range start in ms (inclusive)
+   * @param {number} options.to - Range end in ms (exclusive)
+   * @param {Object} [options.after] - Pagination cursor ({ timestamp, id } of the last point read)
+   * @param {number} options.limit - Maximum number of points to return
+   * @returns {Object} { points, hasMore } or { points: [], error } without storage
+   */
+  async getScorePoints({ from, to, after = null, limit }) {
+    if (!this.analyses.available) {
+      return {
+        points: [],
+        hasMore: false,
+        error: `${this.analyses.name}_not_available`,
+      };
+    }
+    const { analyses, hasMore } = await this.analyses.range({
+      from,
+      to,
+      after,
+      limit,
+      fields: ["timestamp", "score", "indicator_summary"],
+    });
+    return { points: analyses.map(toHistoryPoint).filter(Boolean), hasMore };
+  }
+
+  /**
+   * Build a score history page, optionally bucketed by interval
+   * Pages end on a bucket boundary so each bucket is reported exactly once.
+   * @param {Object} options - History options
+   * @param {number} options.from - Range start in ms
+   * @param {number} options.to - Range end in ms
+   * @param {string} [options.interval] - "1h", "1d" or "1w" (raw points when omitted)
+   * @param {string} [options.cursor] - Cursor returned by the previous page
+   * @param {number} options.limit - Maximum analyses read for this page
+   * @returns {Object} History page with points or buckets and next_cursor
+   */
+  async getHistory({ from, to, interval = null, cursor = null, limit }) {
+    const after = cursor ? decodeHistoryCursor(cursor) : null;
+    const { points, hasMore, error } = await this.getScorePoints({
+      from,
+      to,
+      after,
+      limit,
+    });
+    if (error) return { error };
+
+    let page = points;
+    let partialLastBucket = false;
+    const intervalMs = interval ? INTERVALS[interval] : null;
+
+    // Hold back the trailing bucket when it may continue on the next page
+    if (hasMore && intervalMs && page.length > 0) {
+      const lastStart = bucketStart(
+        page[page.length - 1].timestamp,
+        intervalMs
+      );
+      const complete = page.filter(
+        (p) => bucketStart(p.timestamp, intervalMs) < lastStart
+      );
+      if (complete.length > 0) page = complete;
+      else partialLastBucket = true; // A single bucket is larger than the page limit
+    }
+
+    const nextCursor =
+      hasMore && page.length > 0
+        ? encodeHistoryCursor(page[page.length - 1])
+        : null;
+
+    if (!intervalMs) {
+      return {
+        points: page.map((p) => ({
+          ...p,
+          timestamp: new Date(p.timestamp).toISOString(),
+        })),
+        next_cursor: nextCursor,
+      };
+    }
+
+    // Warm up rolling averages with the analyses preceding this page
+    let lookback = [];
+    if (page.length > 0) {
+      const pageStart = page[0].timestamp;
+      ({ points: lookback } = await this.getScorePoints({
+        from: pageStart - ROLLING_LOOKBACK_MS,
+        to: pageStart,
+        limit: 5000,
+      }));
+    }
+
+    return {
+      buckets: bucketizeScores(page, intervalMs, lookback),
+      next_cursor: nextCursor,
+      ...(partialLastBucket && { partial_last_bucket: true }),
+    };
+  }
+
+  /**
+   * Replay historical dates through the analysis pipeline and store the report
+   * Each date gets the daily closes and indicator snapshot known on that date,
+   * runs through buildPromptData(), the prompt and the provider, and is compared
+   * with the primary asset's subsequent return and drawdown.
+   * @param {Object} params - Normalized parameters from normalizeBacktestParams()
+   * @param {Object} [options] - Run options
+   * @param {string} [options.id] - Backtest id (generated when omitted)
+   * @param {Function} [options.onPoint] - Progress callback (point, index)
+   * @returns {Object} Report with params, summary, points and storage result
+   */
+  async runBacktest(params, { id = crypto.randomUUID(), onPoint } = {}) {
+    const startedAt = Date.now();
+    const provider =
+      params.provider === this.llmProvider.name
+        ? this.llmProvider
+        : createLLMProvider({ ...CONFIG, LLM_PROVIDER: params.provider });
+    const promptInfo = this.promptManager.getTemplateInfo(
+      "market-peak-analysis",
+      params.prompt_version
+    );
+    const primary = CONFIG.ASSETS[0];
+    const firstDate = params.dates[0];
+    const lastDate = params.dates[params.dates.length - 1];
+
+    // Daily closes reaching a full prompt window before the first date
+    const days = Math.ceil((Date.now() - firstDate) / DAY_MS) + DAILY_WINDOW;
+    const series = await Promise.all(
+      CONFIG.ASSETS.map((a) => fetchDailyCloses(a.id, days))
+    );
+    const dailyCloses = Object.fromEntries(
+      CONFIG.ASSETS.map((a, i) => [a.id, series[i]])
+    );
+
+    // Indicator snapshots supplied with the request, or the Firestore archive
+    const snapshots = params.snapshots
+      ? [...params.snapshots].sort((a, b) => snapshotTime(a) - snapshotTime(b))
+      : await this.loadIndicatorSnapshots(lastDate);
+
+    const warnings = [];
+    if (snapshots.length === 0) {
+      warnings.push(
+        "no indicator snapshots available; every date was analyzed without bull peak indicators"
+      );
+    } else if (snapshotTime(snapshots[0]) > firstDate) {
+      warnings.push(
+        `first indicator snapshot is ${new Date(
+          snapshotTime(snapshots[0])
+        ).toISOString()}; earlier dates were analyzed without bull peak indicators`
+      );
+    }
+    const primaryFirst = toMillis(dailyCloses[primary.id][0]?.timestamp);
+    if (!primaryFirst || primaryFirst > firstDate - DAILY_WINDOW * DAY_MS) {
+      warnings.push(
+        `${primary.symbol} daily closes do not cover ${DAILY_WINDOW} days before the first date`
+      );
+    }
+    warnings.forEach((w) => console.warn(`⚠️ [BACKTEST] ${w}`));
+
+    console.log(
+      `🧪 [BACKTEST] Replaying ${params.dates.length} dates ${params.start} -> ${params.end} with ${provider.name}`
+    );
+    const calls = []; // Usage record of every LLM call, summarized in the report
+    const points = await replayBacktest({
+      dates: params.dates,
+      assets: CONFIG.ASSETS,
+      dailyCloses,
+      snapshots,
+      horizons: params.horizons,
+      analyzePoint: async (historical) => {
+        const { templateData } = await this.buildBudgetedPromptData(
+          historical,
+          {
+            promptVersion: promptInfo.version,
+            models: [params.model || provider.model],
+          }
+        );
+        const { output } = await this.generateValidatedOutput(templateData, {
+          model: params.model || undefined,
+          provider,
+          promptVersion: promptInfo.version,
+          purpose: "backtest",
+          calls,
+        });
+        return output;
+      },
+      onPoint,
+    });
+
+    const report = {
+      id,
+      params: {
+        start: params.start,
+        end: params.end,
+        step_days: params.step_days,
+        horizons: params.horizons,
+        provider: provider.name,
+        model: params.model || provider.model,
+        prompt_version: promptInfo.version,
+        prompt_hash: promptInfo.hash,
+        assets: CONFIG.ASSETS.map((a) => a.symbol),
+        primary_asset: primary.symbol,
+        snapshot_source: params.snapshots ? "request" : "archive",
+        snapshots: snapshots.length,
+      },
+      summary: summarizeBacktest(points, params.horizons),
+      llm_usage: summarizeCalls(calls),
+      warnings,
+      points,
+      created_at: new Date(startedAt).toISOString(),
+      finished_at: new Date().toISOString(),
+      duration_ms: Date.now() - startedAt,
+    };
+    report.storage = await this.storeBacktest(report);
+    console.log(
+      `✅ [BACKTEST] ${report.summary.succeeded}/${points.length} dates scored (max score ${report.summary.score.max})`
+    );
+    return report;
+  }
+
+  /**
+   * Start a backtest in the background, tracking its progress for the API
+   * @param {Object} params - Normalized parameters from normalizeBacktestParams()
+   * @returns {Object} Run state ({ id, status, progress, ... })
+   */
+  startBacktest(params) {
+    const run = {
+      id: crypto.randomUUID(),
+      status: "running",
+      progress: { completed: 0, total: params.dates.length },
+      created_at: new Date().toISOString(),
+      report: null,
+      error: null,
+    };
+    this.backtests.set(run.id, run);
+
+    // Every line logged by the run carries its id (backtest_id)
+    withLogContext({ backtest_id: run.id }, () =>
+      this.runBacktest(params, {
+        id: run.id,
+        onPoint: (_, index) => {
+          run.progress.completed = index + 1;
+        },
+      })
+        .then((report) => {
+          run.status = "succeeded";
+          run.report = report;
+        })
+        .catch((error) => {
+          console.error("❌ [BACKTEST] Backtest failed:", error.message);
+          run.status = "failed";
+          run.error = error.message;
+        })
+        .finally(() => {
+          // Keep only the most recent finished runs in memory; reports live in Firestore
+          const finished = [...this.backtests.values()].filter(
+            (r) => r.status !== "running"
+          );
+          finished
+            .slice(0, Math.max(0, finished.length - 10))
+            .forEach((r) => this.backtests.delete(r.id));
+        })
+    );
+    return run;
+  }
+
+  /**
+   * Whether an API-started backtest is still running
+   * @returns {boolean} True while a backtest is in progress
+   */
+  isBacktestRunning() {
+    return [...this.backtests.values()].some((r) => r.status === "running");
+  }
+
+  /**
+   * Persist a backtest report
+   * @param {Object} report - Report from runBacktest()
+   * @returns {Object} Storage result
+   */
+  async storeBacktest(report) {
+    if (!db) return { stored: false, reason: "firestore_not_available" };
+    try {
+      await db
+        .collection(CONFIG.COLLECTIONS.BACKTESTS)
+        .doc(report.id)
+        .set({ ...report, createdAt: admin.firestore.Timestamp.now() });
+      return { stored: true, id: report.id };
+    } catch (e) {
+      console.error("❌ [STORAGE] Failed to store backtest:", e.message);
+      return { stored: false, reason: e.message };
+    }
+  }
+
+  /**
+   * Get a backtest: in-progress or recent runs from memory, otherwise from Firestore
+   * @param {string} id - Backtest id
+   * @returns {Object|null} Run state or stored report, null if unknown
+   */
+  async getBacktest(id) {
+    const run = this.backtests.get(id);
+    if (run) return run;
+    if (!db) return null;
+    const doc = await db.collection(CONFIG.COLLECTIONS.BACKTESTS).doc(id).get();
+    if (!doc.exists) return null;
+    const { createdAt, ...report } = doc.data();
+    return { id, status: "succeeded", report };
+  }
+
+  /**
+   * List stored backtest reports (summaries only, without per-date points)
+   * @param {number} limit - Maximum number of reports (max 50)
+   * @returns {Object} { backtests } or { backtests: [], error } without Firestore
+   */
+  async listBacktests(limit = 20) {
+    if (!db) return { backtests: [], error: "firestore_not_available" };
+    const snap = await db
+      .collection(CONFIG.COLLECTIONS.BACKTESTS)
+      .orderBy("created_at", "desc")
+      .limit(Math.min(limit, 50))
+      .get();
+    const rows = [];
+    snap.forEach((d) => {
+      const { points, createdAt, ...summary } = d.data();
+      rows.push(summary);
+    });
+    return { backtests: rows };
+  }
+
+  cleanup() {
+    this.eventTriggers.stop(); // Cancel any queued event-driven analysis
+    this.promptManager.unwatch(); // Stop template hot reload
+    console.log("🧹 [CLEANUP] Removing all Firestore listeners");
+    Object.values(this.listeners).forEach((unsubscribe) => {
+      if (typeof unsubscribe === "function") {
+        unsubscribe();
+      }
+    });
+    this.listeners = {};
+  }
+}
+
+/**
+ * Cache Management Functions
+ * =========================
+ * These functions manage the daily price data cache for performance optimization
+ */
+
+/**
+ * Fetch and normalize daily closing prices for one asset from the data service
+ * @param {string} assetId - Data service asset id
+ * @param {number} days - Number of days to request
+ * @returns {Array} {timestamp, close} objects sorted ascending
+ * @throws {Error} If the data service request fails
+ */
+async function fetchDailyCloses(assetId, days) {
+  const data = await dataService.getJson(`/${assetId}/daily?days=${days}`, {
+    timeoutMs: 30000,
+  });
+  return (data?.data || [])
+    .map((d) => ({
+      timestamp: d.timestamp,
+      close: d.close ?? d.price ?? d.c ?? null, // Handle different field names
+    }))
+    .filter((d) => Number.isFinite(d.close)) // Remove invalid data points
+    .sort((a, b) => a.timestamp - b.timestamp) // Sort by timestamp
+    .slice(-days); // Keep only the requested days
+}
+
+/**
+ * Refresh one asset's cached daily closes. Fetches only the days after the last
+ * cached close and merges them in; a full ~900-day fetch happens when the cache
+ * is empty or `full` is set. A failed fetch keeps the previous closes.
+ * Concurrent refreshes of the same asset share one request.
+ * @param {Object} asset - Configured asset ({ id, symbol })
+ * @param {Object} [options] - Refresh options
+ * @param {boolean} [options.full] - Refetch the whole window
+ * @returns {Object} { asset, mode, requested_days, added, total } or { asset, error }
+ */
+function refreshAssetDailyCloses(asset, { full = false } = {}) {
+  if (!dailyClosesCache.refreshing[asset.id]) {
+    dailyClosesCache.refreshing[asset.id] = (async () => {
+      const window = CONFIG.DAILY_CACHE.WINDOW_DAYS;
+      const cached = dailyClosesCache.assets[asset.id];
+      const days = full ? window : incrementalDays(cached, window);
+      try {
+        const fetched = await fetchDailyCloses(asset.id, days);
+        const { closes, added } = mergeDailyCloses(
+          days === window ? [] : cached,
+          fetched,
+          window
+        );
+        dailyClosesCache.assets[asset.id] = closes;
+        dailyClosesCache.fetchedAt[asset.id] = Date.now();
+        delete dailyClosesCache.errors[asset.id];
+        return {
+          asset: asset.id,
+          mode: days === window ? "full" : "incremental",
+          requested_days: days,
+          added,
+          total: closes.length,
+        };
+      } catch (error) {
+        dailyClosesCache.errors[asset.id] = error.message;
+        console.error(
+          `❌ [CACHE] Failed to refresh ${asset.symbol} daily closes:`,
+          error.message
+        );
+        return { asset: asset.id, error: error.message };
+      } finally {
+        delete dailyClosesCache.refreshing[asset.id];
+      }
+    })();
+  }
+  return dailyClosesCache.refreshing[asset.id];
+}
+
+/**
+ * Whether an asset's cached closes are older than DAILY_CACHE_TTL_HOURS
+ * @param {string} assetId - Data service asset id
+ * @returns {boolean} True when the asset should be refreshed
+ */
+function dailyCacheExpired(assetId) {
+  const fetchedAt = dailyClosesCache.fetchedAt[assetId];
+  return !fetchedAt || Date.now() - fetchedAt >= CONFIG.DAILY_CACHE.TTL_MS;
+}
+
+/**
+ * Refresh the daily closes cache (~900 days per configured asset)
+ * Assets are refreshed in parallel, each on its own, and the cache file is
+ * rewritten when anything changed.
+ * @param {Object} [options] - Refresh options
+ * @param {Array} [options.assets] - Assets to refresh (default: every configured asset)
+ * @param {boolean} [options.force] - Refresh even if the TTL has not expired
+ * @param {boolean} [options.full] - Refetch the whole window instead of the new days
+ * @returns {Array} Per-asset results from refreshAssetDailyCloses()
+ */
+async function refreshDailyClosesCache({
+  assets = CONFIG.ASSETS,
+  force = false,
+  full = false,
+} = {}) {
+  const due = assets.filter((a) => force || full || dailyCacheExpired(a.id));
+  if (due.length === 0) return [];
+
+  console.log(
+    `🔄 [CACHE] Refreshing daily closes for ${due
+      .map((a) => a.symbol)
+      .join("/")}...`
+  );
+  const results = await Promise.all(
+    due.map((a) => refreshAssetDailyCloses(a, { full }))
+  );
+  dailyClosesCache.lastFetchedAt = Date.now();
+
+  if (results.some((r) => !r.error)) await saveDailyClosesCache();
+  console.log(
+    `✅ [CACHE] Daily closes ready - ${CONFIG.ASSETS.map(
+      (a) => `${a.symbol}: ${dailyClosesCache.assets[a.id].length}`
+    ).join(", ")}`
+  );
+  return results;
+}
+
+/**
+ * Load the daily closes cache from DAILY_CACHE_FILE (closes of assets no longer
+ * configured are ignored)
+ */
+function loadDailyClosesCache() {
+  if (!CONFIG.DAILY_CACHE.FILE) return;
+  const stored = readCacheFile(CONFIG.DAILY_CACHE.FILE);
+  if (!stored) return;
+  CONFIG.ASSETS.forEach((a) => {
+    if (!stored[a.id]) return;
+    dailyClosesCache.assets[a.id] = stored[a.id].closes;
+    dailyClosesCache.fetchedAt[a.id] = stored[a.id].fetchedAt;
+  });
+  dailyClosesCache.lastFetchedAt = Math.max(
+    0,
+    ...Object.values(dailyClosesCache.fetchedAt).filter(Boolean)
+  );
+  console.log(
+    `💾 [CACHE] Loaded daily closes from ${
+      CONFIG.DAILY_CACHE.FILE
+    } - ${CONFIG.ASSETS.map(
+      (a) => `${a.symbol}: ${dailyClosesCache.assets[a.id].length}`
+    ).join(", ")}`
+  );
+}
+
+/**
+ * Write the daily closes cache to DAILY_CACHE_FILE (never throws)
+ */
+async function saveDailyClosesCache() {
+  if (!CONFIG.DAILY_CACHE.FILE) return;
+  try {
+    await writeCacheFile(
+      CONFIG.DAILY_CACHE.FILE,
+      Object.fromEntries(
+        CONFIG.ASSETS.map((a) => [
+          a.id,
+          {
+            closes: dailyClosesCache.assets[a.id],
+            fetchedAt: dailyClosesCache.fetchedAt[a.id],
+          },
+        ])
+      )
+    );
+    dailyClosesCache.savedAt = Date.now();
+  } catch (error) {
+    console.error("❌ [CACHE] Failed to save daily closes:", error.message);
+  }
+}
+
+/**
+ * Describe the cache of one asset for /api/cache
+ * @param {Object} asset - Configured asset
+ * @returns {Object} Close count, date range, freshness and next refresh time
+ */
+function describeAssetCache(asset) {
+  const closes = dailyClosesCache.assets[asset.id];
+  const fetchedAt = dailyClosesCache.fetchedAt[asset.id];
+  return {
+    symbol: asset.symbol,
+    closes: closes.length,
+    first_date: closes.length ? toIsoDate(closes[0].timestamp) : null,
+    last_date: closes.length
+      ? toIsoDate(closes[closes.length - 1].timestamp)
+      : null,
+    ...dailyClosesStatus(asset.id),
+    next_refresh_at: fetchedAt
+      ? new Date(fetchedAt + CONFIG.DAILY_CACHE.TTL_MS).toISOString()
+      : null,
+    refreshing: !!dailyClosesCache.refreshing[asset.id],
+  };
+}
+
+/**
+ * Freshness of an asset's cached daily closes: stale when the last refresh
+ * failed (the previous closes are still served) or they are older than
+ * 1.5x the cache TTL
+ * @param {string} assetId - Data service asset id
+ * @returns {Object} inputStatus() result
+ */
+function dailyClosesStatus(assetId) {
+  const fetchedAt = dailyClosesCache.fetchedAt[assetId];
+  const error = dailyClosesCache.errors[assetId];
+  return inputStatus({
+    available: (dailyClosesCache.assets[assetId] || []).length > 0,
+    fetchedAt,
+    stale:
+      !!error ||
+      (!!fetchedAt && Date.now() - fetchedAt > CONFIG.DAILY_CACHE.TTL_MS * 1.5),
+    error,
+  });
+}
+
+/**
+ * Get cached daily closing prices for a configured asset
+ * If cache is empty, attempts to refresh it before returning
+ * @param {string} assetId - Data service asset id (e.g. bitcoin, ethereum, solana)
+ * @returns {Array} Array of daily closing price objects (empty for unconfigured assets)
+ */
+async function getCachedDailyCloses(assetId) {
+  if (!(assetId in dailyClosesCache.assets)) {
+    console.warn(`⚠️ [CACHE] Asset ${assetId} is not configured in ASSETS`);
+    return [];
+  }
+
+  const cached = dailyClosesCache.assets[assetId];
+
+  // Return cached data if available
+  if (cached.length > 0) return cached;
+
+  // Fallback: try to fetch the asset if its cache is empty
+  await refreshDailyClosesCache({
+    assets: CONFIG.ASSETS.filter((a) => a.id === assetId),
+    force: true,
+  });
+  return dailyClosesCache.assets[assetId];
+}
+
+// Initialize the main data aggregator instance
+const aggregator = new MarketPeakDataAggregator();
+
+/**
+ * API Routes
+ * ==========
+ * RESTful endpoints for interacting with the market peak analysis service
+ */
+
+/**
+ * Readiness checks
+ * =================
+ * Each check reports pass, warn or fail with its own details (see lib/health.js).
+ * Firestore and the LLM provider are probed at most once per
+ * HEALTH_PROBE_INTERVAL_SECONDS; the other checks read current state.
+ */
+
+// Firestore is required when analyses or indicators come from it
+const firestoreProbe = cachedProbe(async () => {
+  const required = [
+    CONFIG.STORAGE.BACKEND,
+    CONFIG.INDICATOR_SOURCE.TYPE,
+  ].includes("firestore");
+  if (!db) {
+    return required
+      ? {
+          status: "fail",
+          required,
+          error:
+            "Firestore not initialized (serviceAccountKey.json missing or invalid)",
+        }
+      : { status: "pass", required, detail: "not configured" };
+  }
+  const t0 = Date.now();
+  try {
+    await db.collection(CONFIG.COLLECTIONS.STORAGE).limit(1).get();
+    return { status: "pass", required, latency_ms: Date.now() - t0 };
+  } catch (error) {
+    // Alerts, usage and backtests are still stored in Firestore
+    return {
+      status: required ? "fail" : "warn",
+      required,
+      error: error.message,
+    };
+  }
+}, CONFIG.HEALTH.PROBE_INTERVAL_MS);
+
+// The provider can be rebuilt at runtime (PATCH /api/config), so look it up on every probe
+const llmProbe = cachedProbe(
+  () =>
+    aggregator.llmProvider.probe({ timeout: CONFIG.HEALTH.CHECK_TIMEOUT_MS }),
+  CONFIG.HEALTH.PROBE_INTERVAL_MS
+);
+
+const readinessChecks = {
+  firestore: firestoreProbe,
+
+  // Indicator source running with a snapshot young enough for the data quality gate
+  indicator_source: () => {
+    const source = aggregator.indicatorSource.describe();
+    const snapshot = aggregator.latestData.BULL_PEAK;
+    const time = snapshot ? snapshotTime(snapshot) : null;
+    const ageHours = time ? (Date.now() - time) / 3600000 : null;
+    const q = CONFIG.DATA_QUALITY;
+    // Only an enforced gate stops analyses on a missing or expired snapshot
+    const blocking = q.MODE === "enforce" ? "fail" : "warn";
+    let status = "pass";
+    let error = source.last_error || null;
+    if (!source.active) {
+      status = blocking;
+      error = error || "indicator source is not running";
+    } else if (!snapshot) {
+      status = blocking;
+      error = error || "no indicator snapshot";
+    } else if (ageHours !== null && ageHours > q.BULL_PEAK_MAX_AGE_HOURS) {
+      status = blocking;
+      error = `snapshot is ${ageHours.toFixed(1)}h old (maximum ${
+        q.BULL_PEAK_MAX_AGE_HOURS
+      }h)`;
+    } else if (ageHours !== null && ageHours > q.BULL_PEAK_STALE_HOURS) {
+      status = "warn";
+      error = `snapshot is ${ageHours.toFixed(1)}h old (stale after ${
+        q.BULL_PEAK_STALE_HOURS
+      }h)`;
+    } else if (error) {
+      status = "warn"; // Last update failed, previous snapshot still in use
+    }
+    return {
+      status,
+      source: source.name,
+      active: source.active,
+      snapshot_age_hours: ageHours === null ? null : +ageHours.toFixed(2),
+      ...(error && { error }),
+    };
+  },
+
+  // Judged from the outcome of recent requests (the circuit breaker state)
+  data_service: () => {
+    const { url, circuit } = dataService.status();
+    const status =
+      circuit.state === "open"
+        ? "fail"
+        : circuit.state === "half_open" || circuit.consecutive_failures > 0
+        ? "warn"
+        : "pass";
+    return {
+      status,
+      url,
+      circuit: circuit.state,
+      consecutive_failures: circuit.consecutive_failures,
+      ...(status !== "pass" && { error: circuit.last_error }),
+    };
+  },
+
+  // Missing primary asset closes stop analyses; other gaps lower confidence
+  daily_cache: () => {
+    const assets = Object.fromEntries(
+      CONFIG.ASSETS.map((a) => [a.id, dailyClosesStatus(a.id)])
+    );
+    const statuses = Object.values(assets).map((a) => a.status);
+    const status =
+      assets[CONFIG.ASSETS[0].id].status === "missing"
+        ? "fail"
+        : statuses.some((s) => s !== "fresh")
+        ? "warn"
+        : "pass";
+    return { status, assets };
+  },
+
+  llm_provider: async () => {
+    const probe = await llmProbe();
+    const result = { provider: aggregator.llmProvider.name, ...probe };
+    if (probe.status === "pass" && aggregator.usage.budgetStatus().exceeded) {
+      return {
+        ...result,
+        status: "warn",
+        error: "monthly LLM budget exceeded; scheduled analyses are skipped",
+      };
+    }
+    return result;
+  },
+
+  // Time since the last successful analysis (counted from startup before the
+  // first one) and the current streak of failed analyses. The age limit
+  // follows the current schedule, and runs skipped for the LLM budget are not
+  // counted as missing (llm_provider reports the budget instead).
+  analyses: () => {
+    const h = CONFIG.HEALTH;
+    const maxHours =
+      h.MAX_ANALYSIS_AGE_HOURS ||
+      (2 * scheduleIntervalMs(CONFIG.ANALYSIS_INTERVAL)) / 3600000 + 1;
+    const since = aggregator.lastAnalysisAt
+      ? Date.parse(aggregator.lastAnalysisAt)
+      : Date.now() - process.uptime() * 1000;
+    const hours = (Date.now() - since) / 3600000;
+    const lastSkipped = aggregator.jobs.lastFinished("skipped")?.finished_at;
+    const missingHours = lastSkipped
+      ? Math.min(hours, (Date.now() - Date.parse(lastSkipped)) / 3600000)
+      : hours;
+    const failures = aggregator.alertEngine.failureStreak;
+    let status = "pass";
+    let error = null;
+    if (missingHours > maxHours) {
+      status = "fail";
+      error = `no successful analysis for ${hours.toFixed(
+        1
+      )}h (maximum ${+maxHours.toFixed(2)}h)`;
+    }
+    if (failures > 0) {
+      if (failures >= h.MAX_FAILED_ANALYSES) status = "fail";
+      else if (status === "pass") status = "warn";
+      error = `${failures} consecutive failed analyses, last: ${
+        aggregator.jobs.lastFinished("failed")?.error || "unknown error"
+      }`;
+    }
+    return {
+      status,
+      last_success_at: aggregator.lastAnalysisAt,
+      hours_since_success: +hours.toFixed(2),
+      max_age_hours: +maxHours.toFixed(2),
+      ...(lastSkipped && { last_skipped_for_budget_at: lastSkipped }),
+      consecutive_failures: failures,
+      ...(error && { error }),
+    };
+  },
+};
+
+/**
+ * Run the readiness checks
+ * @returns {Promise<Object>} { status, checks, checked_at }
+ */
+function checkReadiness() {
+  return runChecks(readinessChecks, {
+    timeoutMs: CONFIG.HEALTH.CHECK_TIMEOUT_MS,
+  });
+}
+
+/**
+ * Liveness probe
+ * GET /health/live
+ * The process is up and serving requests. Dependencies are not checked, so an
+ * orchestrator does not restart the service for an outage elsewhere.
+ */
+app.get("/health/live", (req, res) => {
+  res.json({
+    status: "alive",
+    uptime: process.uptime(),
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Readiness probe
+ * GET /health/ready
+ * Evaluates every dependency; 200 when healthy or degraded, 503 when unhealthy
+ */
+app.get("/health/ready", async (req, res) => {
+  const readiness = await checkReadiness();
+  res.status(httpStatusFor(readiness.status)).json({
+    service: "market-peak-analysis-service",
+    version: "1.0.0",
+    ...readiness,
+  });
+});
+
+/**
+ * Health check endpoint
+ * Returns the readiness status with service configuration and cache information.
+ * Always answers 200 for existing monitors; orchestrators should use
+ * /health/live and /health/ready.
+ */
+app.get("/health", async (req, res) => {
+  const readiness = await checkReadiness();
+  res.json({
+    status: readiness.status,
+    checks: Object.fromEntries(
+      Object.entries(readiness.checks).map(([name, c]) => [name, c.status])
+    ),
+    service: "market-peak-analysis-service",
+    version: "1.0.0",
+    firestore: !!db, // Whether Firestore is connected
+    openrouter: !!CONFIG.OPENROUTER_API_KEY, // Whether OpenRouter is configured
+    llm_provider: aggregator.llmProvider.name, // Active LLM provider
+    data_service_url: CONFIG.DATA_SERVICE_URL,
+    assets: CONFIG.ASSETS.map((a) => a.symbol),
+    cache_status: {
+      ...dailyCacheCounts(),
+      last_cached_at: dailyClosesCache.lastFetchedAt
+        ? new Date(dailyClosesCache.lastFetchedAt).toISOString()
+        : null,
+    },
+    data_service: dataService.status(),
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Prometheus metrics
+ * GET /metrics
+ * Analysis, LLM, JSON parsing, data service and cache metrics in the Prometheus
+ * text format. Requires the reader role when authentication is enabled
+ * (Prometheus can send the API key as a bearer token).
+ */
+if (CONFIG.METRICS.ENABLED) {
+  app.get("/metrics", authorize("reader"), async (req, res) => {
+    try {
+      res.set("Content-Type", metrics.contentType);
+      res.send(await metrics.render());
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+}
+
+/**
+ * Trigger manual market peak analysis
+ * POST /api/analysis/trigger?async=true&prompt_version=v2
+ * Manually triggers a new market peak analysis and returns the results. If an
+ * analysis is already running, the request joins it instead of starting another
+ * (or gets 409 when it asked for a different prompt version).
+ * With async=true, responds 202 immediately with a job id to poll.
+ */
+app.post(
+  "/api/analysis/trigger",
+  audit("analysis.trigger"),
+  authorize("operator"),
+  async (req, res) => {
+    try {
+      const promptVersion =
+        req.query.prompt_version || req.body?.prompt_version || null;
+      if (
+        promptVersion &&
+        !aggregator.promptManager.hasVersion(promptVersion)
+      ) {
+        return res.status(400).json({
+          error: `unknown prompt_version ${promptVersion}`,
+          available: aggregator.promptManager.listVersions(),
+        });
+      }
+
+      // A running job with another prompt version can't answer this request
+      const active = aggregator.jobs.activeJob;
+      const requestedVersion =
+        promptVersion || aggregator.promptManager.currentVersion;
+      const activeVersion =
+        active?.trigger.prompt_version ||
+        aggregator.promptManager.currentVersion;
+      if (active && activeVersion !== requestedVersion) {
+        return res.status(409).json({
+          error: "analysis_in_progress",
+          job_id: active.id,
+          prompt_version: activeVersion,
+        });
+      }
+
+      const { job, coalesced, promise } = aggregator.jobs.submit({
+        type: "manual",
+        ...(promptVersion && { prompt_version: promptVersion }),
+        ...(req.auth && { requested_by: req.auth.name }),
+      });
+      res.locals.audit = {
+        job_id: job.id,
+        coalesced,
+        prompt_version: promptVersion,
+      };
+      const isAsync = req.query.async === "true" || req.body?.async === true;
+
+      if (isAsync) {
+        return res.status(202).json({
+          triggered: true,
+          job_id: job.id,
+          status: job.status,
+          coalesced,
+          status_url: `/api/analysis/jobs/${job.id}`,
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      const result = await promise;
+      res.json({
+        triggered: true,
+        job_id: job.id,
+        coalesced,
+        ...result,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (e) {
+      console.error("❌ [API] trigger failed:", e.message);
+      res.status(500).json({ success: false, error: e.message });
+    }
+  }
+);
+
+/**
+ * Get analysis job status
+ * GET /api/analysis/jobs/:id
+ * Returns status and per-step progress (data_build, quality, llm, parse, validate, store)
+ */
+app.get("/api/analysis/jobs/:id", authorize("reader"), (req, res) => {
+  const job = aggregator.jobs.get(req.params.id);
+  if (!job) return res.status(404).json({ error: "job_not_found" });
+  res.json({
+    job: aggregator.jobs.describe(job),
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Stream live events (Server-Sent Events)
+ * GET /api/stream?types=analysis,indicators,job&access_token=
+ * Sends analysis.completed, indicators.updated, indicators.changed and
+ * job.started/progress/finished events. A client reconnecting with Last-Event-ID
+ * (header, or ?last_event_id=) receives the events it missed, or stream.reset
+ * when they are no longer buffered.
+ */
+app.get("/api/stream", authorize("reader"), (req, res) => {
+  const types = (req.query.types || "")
+    .split(",")
+    .map((t) => t.trim())
+    .filter(Boolean);
+  const lastEventId =
+    req.get("Last-Event-ID") || req.query.last_event_id || null;
+  const subscribed = eventStream.subscribe(req, res, { lastEventId, types });
+  if (!subscribed) {
+    return res.status(503).json({
+      error: "too_many_streams",
+      max_clients: CONFIG.STREAM.MAX_CLIENTS,
+    });
+  }
+});
+
+/**
+ * Get the latest market peak analysis
+ * GET /api/analysis/latest
+ * Returns the most recent market peak analysis result
+ */
+app.get("/api/analysis/latest", authorize("reader"), async (req, res) => {
+  try {
+    const { analyses } = await aggregator.getRecent(1);
+    res.json({
+      latest: analyses[0] || null,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/**
+ * Get recent market peak analyses
+ * GET /api/analysis/recent?limit=10
+ * Returns a list of recent market peak analyses (max 50)
+ */
+app.get("/api/analysis/recent", authorize("reader"), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+    const { analyses } = await aggregator.getRecent(limit);
+    res.json({
+      analyses,
+      count: analyses.length,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
 
-// Initialize the main data aggregator instance
-const aggregator = new MarketPeakDataAggregator();
+/**
+ * Get score history as a bucketed time-series
+ * GET /api/analysis/history?from=&to=&interval=1h|1d|1w&limit=1000&cursor=
+ * Returns min/max/mean/last per bucket with deltas, rolling 24h/7d averages and
+ * indicators hit; without `interval` returns raw score points. Paginate with `cursor`.
+ */
+app.get("/api/analysis/history", authorize("reader"), async (req, res) => {
+  try {
+    const to = req.query.to ? Date.parse(req.query.to) : Date.now();
+    const from = req.query.from
+      ? Date.parse(req.query.from)
+      : to - 7 * 24 * 60 * 60 * 1000; // Default to the last 7 days
+    const interval = req.query.interval || null;
+    const limit = Math.min(parseInt(req.query.limit) || 1000, 5000);
+
+    if (!Number.isFinite(from) || !Number.isFinite(to) || from >= to) {
+      return res
+        .status(400)
+        .json({ error: "from/to must be valid dates with from < to" });
+    }
+    if (interval && !INTERVALS[interval]) {
+      return res.status(400).json({
+        error: `interval must be one of ${Object.keys(INTERVALS).join(", ")}`,
+      });
+    }
 
-// Initialize daily cache on startup to ensure data is available immediately
-refreshDailyClosesCache();
+    const history = await aggregator.getHistory({
+      from,
+      to,
+      interval,
+      cursor: req.query.cursor || null,
+      limit,
+    });
+    if (history.error) return res.status(503).json({ error: history.error });
 
-// Schedule daily cache refresh at 2:15 AM UTC to keep data fresh
-cron.schedule("15 2 * * *", async () => {
-  console.log("⏰ [CRON] Daily cache refresh triggered");
-  await refreshDailyClosesCache();
+    res.json({
+      from: new Date(from).toISOString(),
+      to: new Date(to).toISOString(),
+      interval,
+      ...history,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
 });
 
 /**
- * API Routes
- * ==========
- * RESTful endpoints for interacting with the market peak analysis service
+ * Get recently fired alerts
+ * GET /api/alerts?limit=20
+ * Returns alerts recorded by the alert engine (max 100)
  */
+app.get("/api/alerts", authorize("reader"), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const { alerts } = await aggregator.getRecentAlerts(limit);
+    res.json({
+      alerts,
+      count: alerts.length,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
 
 /**
- * Health check endpoint
- * Returns service status, configuration, and cache information
+ * Get detected bull market peak indicator changes
+ * GET /api/indicators/changes?since=&indicator=&limit=100
+ * Returns value deltas, hit_status flips, threshold changes and added/removed indicators
  */
-app.get("/health", (req, res) => {
-  res.json({
-    status: "healthy",
-    service: "market-peak-analysis-service",
-    version: "1.0.0",
-    firestore: !!db, // Whether Firestore is connected
-    openrouter: !!CONFIG.OPENROUTER_API_KEY, // Whether OpenRouter is configured
-    data_service_url: CONFIG.DATA_SERVICE_URL,
-    cache_status: {
-      bitcoin_daily: dailyClosesCache.bitcoin.length,
-      ethereum_daily: dailyClosesCache.ethereum.length,
-      solana_daily: dailyClosesCache.solana.length,
-      last_cached_at: new Date(dailyClosesCache.lastFetchedAt).toISOString(),
-    },
-    timestamp: new Date().toISOString(),
-  });
+app.get("/api/indicators/changes", authorize("reader"), (req, res) => {
+  try {
+    const since = req.query.since ? Date.parse(req.query.since) : null;
+    if (req.query.since && !Number.isFinite(since)) {
+      return res.status(400).json({ error: "since must be a valid date" });
+    }
+    const limit = Math.min(
+      parseInt(req.query.limit) || 100,
+      CONFIG.INDICATOR_CHANGES_HISTORY
+    );
+    const entries = aggregator.getIndicatorChanges({
+      since: since ? new Date(since).toISOString() : null,
+      indicator: req.query.indicator || null,
+      limit,
+    });
+    res.json({
+      changes: entries,
+      count: entries.length,
+      last_analysis_at: aggregator.lastAnalysisAt,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
 });
 
 /**
- * Trigger manual market peak analysis
- * POST /api/analysis/trigger
- * Manually triggers a new market peak analysis and returns the results
+ * List prompt versions
+ * GET /api/prompts
+ * Returns the production and shadow versions and every version on disk with its content hash
  */
-app.post("/api/analysis/trigger", async (req, res) => {
+app.get("/api/prompts", authorize("reader"), (req, res) => {
   try {
-    const result = await aggregator.analyze();
+    const pm = aggregator.promptManager;
     res.json({
-      triggered: true,
-      ...result,
+      current_version: pm.currentVersion,
+      shadow_version: CONFIG.PROMPT.SHADOW_VERSION,
+      hot_reload: pm.watching,
+      versions: pm
+        .listVersions()
+        .map((v) => pm.getTemplateInfo("market-peak-analysis", v)),
       timestamp: new Date().toISOString(),
     });
   } catch (e) {
-    console.error("❌ [API] trigger failed:", e.message);
-    res.status(500).json({ success: false, error: e.message });
+    res.status(500).json({ error: e.message });
   }
 });
 
 /**
- * Get the latest market peak analysis
- * GET /api/analysis/latest
- * Returns the most recent market peak analysis result
+ * Get LLM usage and spend
+ * GET /api/usage?days=30&months=12
+ * Returns the monthly budget status and daily/monthly token and cost totals
  */
-app.get("/api/analysis/latest", async (req, res) => {
+app.get("/api/usage", authorize("reader"), async (req, res) => {
   try {
-    const { analyses } = await aggregator.getRecent(1);
+    const days = Math.min(parseInt(req.query.days) || 30, 90);
+    const months = Math.min(parseInt(req.query.months) || 12, 24);
+    const { source, daily, monthly } = await aggregator.getUsage({
+      days,
+      months,
+    });
     res.json({
-      latest: analyses[0] || null,
+      budget: aggregator.usage.budgetStatus(),
+      source,
+      daily,
+      monthly,
       timestamp: new Date().toISOString(),
     });
   } catch (e) {
@@ -851,17 +3521,176 @@ app.get("/api/analysis/latest", async (req, res) => {
 });
 
 /**
- * Get recent market peak analyses
- * GET /api/analysis/recent?limit=10
- * Returns a list of recent market peak analyses (max 50)
+ * Get the audit log
+ * GET /api/audit?action=analysis.trigger&actor=ops&limit=50
+ * Returns operator actions (and rejected attempts), most recent first (max 500).
+ * Without Firestore only entries recorded since this process started are available.
  */
-app.get("/api/analysis/recent", async (req, res) => {
+app.get("/api/audit", authorize("admin"), async (req, res) => {
   try {
-    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
-    const { analyses } = await aggregator.getRecent(limit);
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const action = req.query.action || null;
+    const actor = req.query.actor || null;
+
+    if (!db) {
+      const entries = auditLog.recent({ action, actor, limit });
+      return res.json({
+        source: "memory",
+        entries,
+        count: entries.length,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    let query = db.collection(CONFIG.COLLECTIONS.AUDIT_LOG);
+    if (action) query = query.where("action", "==", action);
+    if (actor) query = query.where("actor", "==", actor);
+    const snap = await query.orderBy("timestamp", "desc").limit(limit).get();
+    const entries = [];
+    snap.forEach((d) => {
+      const { createdAt, ...entry } = d.data();
+      entries.push({ id: d.id, ...entry });
+    });
     res.json({
-      analyses,
-      count: analyses.length,
+      source: "firestore",
+      entries,
+      count: entries.length,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/**
+ * Compare shadow prompt results with production
+ * GET /api/analysis/shadow?version=v2&limit=50
+ * Returns recent shadow results and score agreement statistics
+ */
+app.get("/api/analysis/shadow", authorize("reader"), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const { results, error } = await aggregator.getShadowResults({
+      version: req.query.version || null,
+      limit,
+    });
+    if (error) return res.status(503).json({ error });
+
+    const compared = results.filter((r) => r.success);
+    const deltas = compared.map((r) => r.score_delta);
+    const mean = (values) =>
+      values.length
+        ? Math.round(
+            (values.reduce((a, b) => a + b, 0) / values.length) * 100
+          ) / 100
+        : null;
+    res.json({
+      results,
+      count: results.length,
+      comparison: {
+        compared: compared.length,
+        failed: results.length - compared.length,
+        mean_score_delta: mean(deltas),
+        mean_abs_score_delta: mean(deltas.map(Math.abs)),
+        same_band_pct: compared.length
+          ? Math.round(
+              (compared.filter(
+                (r) => scoreBand(r.score) === scoreBand(r.production.score)
+              ).length /
+                compared.length) *
+                10000
+            ) / 100
+          : null,
+      },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/**
+ * Get one stored analysis
+ * GET /api/analysis/:id
+ * Registered after the fixed /api/analysis/* routes so they take precedence
+ */
+app.get("/api/analysis/:id", authorize("reader"), async (req, res) => {
+  try {
+    const { analysis, error } = await aggregator.getAnalysis(req.params.id);
+    if (error) return res.status(503).json({ error });
+    if (!analysis) return res.status(404).json({ error: "analysis_not_found" });
+    res.json({ analysis, timestamp: new Date().toISOString() });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/**
+ * Start a backtest
+ * POST /api/backtests
+ * Body: { start, end?, step_days?, horizons?, provider?, model?, snapshots? }
+ * Replays each date through the analysis pipeline in the background and
+ * responds 202 with the backtest id. One backtest runs at a time.
+ */
+app.post(
+  "/api/backtests",
+  audit("backtest.start"),
+  authorize("operator"),
+  (req, res) => {
+    try {
+      const { params, error } = normalizeBacktestParams(req.body || {}, {
+        stepDays: CONFIG.BACKTEST.STEP_DAYS,
+        horizons: CONFIG.BACKTEST.HORIZONS_DAYS,
+        maxPoints: CONFIG.BACKTEST.MAX_POINTS,
+        provider: CONFIG.BACKTEST.LLM_PROVIDER || aggregator.llmProvider.name,
+      });
+      if (error) return res.status(400).json({ error });
+      if (
+        params.prompt_version &&
+        !aggregator.promptManager.hasVersion(params.prompt_version)
+      ) {
+        return res
+          .status(400)
+          .json({ error: `unknown prompt_version ${params.prompt_version}` });
+      }
+      if (aggregator.isBacktestRunning()) {
+        return res.status(409).json({ error: "backtest_already_running" });
+      }
+
+      const run = aggregator.startBacktest(params);
+      res.locals.audit = {
+        backtest_id: run.id,
+        start: params.start,
+        end: params.end,
+        provider: params.provider,
+        dates: params.dates.length,
+      };
+      res.status(202).json({
+        backtest_id: run.id,
+        status: run.status,
+        dates: params.dates.length,
+        status_url: `/api/backtests/${run.id}`,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  }
+);
+
+/**
+ * List stored backtest reports
+ * GET /api/backtests?limit=20
+ * Returns report summaries without per-date points (max 50)
+ */
+app.get("/api/backtests", authorize("reader"), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+    const { backtests, error } = await aggregator.listBacktests(limit);
+    if (error) return res.status(503).json({ error });
+    res.json({
+      backtests,
+      count: backtests.length,
       timestamp: new Date().toISOString(),
     });
   } catch (e) {
@@ -869,74 +3698,432 @@ app.get("/api/analysis/recent", async (req, res) => {
   }
 });
 
+/**
+ * Get a backtest
+ * GET /api/backtests/:id
+ * Returns progress while running, then the full report (summary and per-date points)
+ */
+app.get("/api/backtests/:id", authorize("reader"), async (req, res) => {
+  try {
+    const backtest = await aggregator.getBacktest(req.params.id);
+    if (!backtest) return res.status(404).json({ error: "backtest_not_found" });
+    res.json({ backtest, timestamp: new Date().toISOString() });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/**
+ * Inspect the daily closes cache
+ * GET /api/cache
+ * Returns per-asset close counts, date ranges, freshness and next refresh time
+ */
+app.get("/api/cache", authorize("reader"), (req, res) => {
+  res.json({
+    file: CONFIG.DAILY_CACHE.FILE,
+    saved_at: dailyClosesCache.savedAt
+      ? new Date(dailyClosesCache.savedAt).toISOString()
+      : null,
+    ttl_hours: CONFIG.DAILY_CACHE.TTL_MS / (60 * 60 * 1000),
+    window_days: CONFIG.DAILY_CACHE.WINDOW_DAYS,
+    assets: Object.fromEntries(
+      CONFIG.ASSETS.map((a) => [a.id, describeAssetCache(a)])
+    ),
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Force a daily closes cache refresh
+ * POST /api/cache/refresh?asset=bitcoin,ethereum&full=true
+ * Refreshes the given assets (default: all) regardless of the TTL. Only days
+ * after the last cached close are fetched unless full=true.
+ */
+app.post(
+  "/api/cache/refresh",
+  audit("cache.refresh"),
+  authorize("operator"),
+  async (req, res) => {
+    try {
+      const requested = String(req.query.asset || req.body?.asset || "")
+        .split(",")
+        .map((id) => id.trim())
+        .filter(Boolean);
+      const unknown = requested.filter(
+        (id) => !CONFIG.ASSETS.some((a) => a.id === id)
+      );
+      if (unknown.length > 0) {
+        return res.status(400).json({
+          error: `unknown asset ${unknown.join(", ")}`,
+          assets: CONFIG.ASSETS.map((a) => a.id),
+        });
+      }
+
+      const assets = requested.length
+        ? CONFIG.ASSETS.filter((a) => requested.includes(a.id))
+        : CONFIG.ASSETS;
+      const full = req.query.full === "true" || req.body?.full === true;
+      res.locals.audit = { assets: assets.map((a) => a.id), full };
+      const results = await refreshDailyClosesCache({
+        assets,
+        force: true,
+        full,
+      });
+      res.status(results.some((r) => r.error) ? 502 : 200).json({
+        results,
+        assets: Object.fromEntries(
+          assets.map((a) => [a.id, describeAssetCache(a)])
+        ),
+        timestamp: new Date().toISOString(),
+      });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  }
+);
+
+// Settings changed at runtime through PATCH /api/config (kept until restart)
+const runtimeOverrides = {}; // Setting -> { value, previous, updated_at, updated_by }
+let analysisTask = null; // Cron task of the scheduled analysis, replaced when ANALYSIS_INTERVAL changes
+
+/**
+ * (Re)schedule the automated analysis on CONFIG.ANALYSIS_INTERVAL
+ */
+function scheduleAnalysis() {
+  if (analysisTask) analysisTask.stop();
+  analysisTask = cron.schedule(CONFIG.ANALYSIS_INTERVAL, async () => {
+    try {
+      console.log("⏰ [CRON] Starting scheduled market peak analysis");
+      await aggregator.jobs.submit({ type: "schedule" }).promise;
+    } catch (e) {
+      console.error("❌ [CRON] Scheduled analysis failed:", e.message);
+    }
+  });
+}
+
+/**
+ * Apply runtime setting changes to CONFIG and the components built from it
+ * @param {Object} updates - Parsed values from parseRuntimeUpdate()
+ * @param {string} actor - Who made the change (API key name, JWT subject or "anonymous")
+ * @returns {Object} Setting -> { from, to }
+ */
+function applyRuntimeConfig(updates, actor) {
+  // MODEL names the model of the active provider
+  const modelKey =
+    CONFIG.LLM_PROVIDER === "openai-compatible"
+      ? "OPENAI_COMPATIBLE_MODEL"
+      : "MODEL";
+  const changes = {};
+  Object.entries(updates).forEach(([name, value]) => {
+    const key = name === "MODEL" ? modelKey : name;
+    changes[name] = { from: CONFIG[key], to: value };
+    CONFIG[key] = value;
+    runtimeOverrides[name] = {
+      value,
+      previous: changes[name].from,
+      updated_at: new Date().toISOString(),
+      updated_by: actor,
+    };
+    console.log(
+      `🔧 [CONFIG] ${name} changed from ${changes[name].from} to ${value} by ${actor}`
+    );
+  });
+
+  if ("ANALYSIS_INTERVAL" in updates && analysisTask) scheduleAnalysis();
+  if ("MODEL" in updates || "REQUEST_TIMEOUT" in updates) {
+    aggregator.llmProvider = createLLMProvider(CONFIG);
+  }
+  if ("REQUEST_TIMEOUT" in updates) {
+    dataService.timeoutMs = CONFIG.REQUEST_TIMEOUT;
+  }
+  return changes;
+}
+
+/**
+ * Get the effective configuration
+ * GET /api/config
+ * Returns the redacted configuration, the config file in use and the settings
+ * that can be changed at runtime with their current overrides
+ */
+app.get("/api/config", authorize("admin"), (req, res) => {
+  res.json({
+    config: redactConfig(CONFIG),
+    config_file: configFile,
+    runtime: {
+      settings: Object.fromEntries(
+        Object.entries(RUNTIME_SETTINGS).map(([name, s]) => [
+          name,
+          s.description,
+        ])
+      ),
+      overrides: runtimeOverrides,
+    },
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Change settings at runtime
+ * PATCH /api/config
+ * Body: { ANALYSIS_INTERVAL?, MODEL?, REQUEST_TIMEOUT? }
+ * Applies immediately without a restart (the schedule is rescheduled, the LLM
+ * provider rebuilt). Changes last until restart; put them in the environment
+ * or CONFIG_FILE to keep them.
+ */
+app.patch(
+  "/api/config",
+  audit("config.update"),
+  authorize("admin"),
+  (req, res) => {
+    try {
+      const { updates, errors } = parseRuntimeUpdate(req.body);
+      if ("MODEL" in updates && CONFIG.LLM_PROVIDER === "rules-only") {
+        errors.push("MODEL cannot be set with LLM_PROVIDER=rules-only");
+      }
+      if (errors.length > 0) {
+        return res.status(400).json({ error: "invalid_config", errors });
+      }
+
+      const changes = applyRuntimeConfig(
+        updates,
+        req.auth?.name || "anonymous"
+      );
+      res.locals.audit = { changes };
+      res.json({
+        changes,
+        overrides: runtimeOverrides,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  }
+);
+
 /**
  * Get detailed service status and configuration
  * GET /api/status
  * Returns comprehensive service information including configuration, listeners, and cache status
  */
-app.get("/api/status", (req, res) => {
+app.get("/api/status", authorize("reader"), (req, res) => {
   res.json({
     service: "market-peak-analysis-service",
     version: "1.0.0",
     status: "running",
     configuration: {
       analysisInterval: CONFIG.ANALYSIS_INTERVAL,
-      model: CONFIG.MODEL,
+      llmProvider: aggregator.llmProvider.name,
+      model: aggregator.llmProvider.model,
       storageCollection: CONFIG.COLLECTIONS.STORAGE,
+      storage: aggregator.analyses.describe(),
       dataServiceUrl: CONFIG.DATA_SERVICE_URL,
+      assets: CONFIG.ASSETS,
+      prompt: {
+        version: aggregator.promptManager.currentVersion,
+        shadow_version: CONFIG.PROMPT.SHADOW_VERSION,
+        hot_reload: aggregator.promptManager.watching,
+      },
     },
     listeners: {
-      bull_peak: !!aggregator.listeners["BULL_PEAK"],
+      bull_peak: aggregator.indicatorSource.describe().active,
+    },
+    indicator_source: aggregator.indicatorSource.describe(),
+    active_job: aggregator.jobs.activeJob?.id || null,
+    stream: eventStream.describe(),
+    llm_budget: aggregator.usage.budgetStatus(),
+    auth: authenticator.describe(),
+    event_triggers: {
+      enabled: CONFIG.EVENT_TRIGGERS.ENABLED,
+      ...aggregator.eventTriggers.getState(),
     },
     cache: {
-      bitcoin_daily: dailyClosesCache.bitcoin.length,
-      ethereum_daily: dailyClosesCache.ethereum.length,
-      solana_daily: dailyClosesCache.solana.length,
+      ...dailyCacheCounts(),
       last_refreshed: new Date(dailyClosesCache.lastFetchedAt).toISOString(),
+      daily: Object.fromEntries(
+        CONFIG.ASSETS.map((a) => [a.id, dailyClosesStatus(a.id)])
+      ),
+    },
+    data_service: dataService.status(),
+    config: {
+      file: configFile.file,
+      runtime_overrides: runtimeOverrides,
+      effective: redactConfig(CONFIG),
     },
     uptime: process.uptime(),
   });
 });
 
 /**
- * Automated Analysis Scheduling
- * =============================
- * Schedule automated market peak analysis to run every hour
+ * Server Startup and Graceful Shutdown
+ * ====================================
+ * Start listeners, caches, schedules and the Express server. Runs only when
+ * index.js is executed directly, so scripts such as the backtest CLI can
+ * require the aggregator without starting the service.
  */
-cron.schedule(CONFIG.ANALYSIS_INTERVAL, async () => {
-  try {
-    console.log("⏰ [CRON] Starting scheduled market peak analysis");
-    await aggregator.analyze();
-  } catch (e) {
-    console.error("❌ [CRON] Scheduled analysis failed:", e.message);
+function startService() {
+  // Refuse to start on an invalid configuration, listing every problem
+  const configErrors = validateConfig(CONFIG, configParseErrors, {
+    promptVersions: aggregator.promptManager.listVersions(),
+  });
+  if (configErrors.length > 0) {
+    console.error("❌ [CONFIG] Invalid configuration:");
+    configErrors.forEach((e) => console.error(`   - ${e}`));
+    process.exit(1);
+  }
+  if (configFile.file) {
+    console.log(
+      `✅ [CONFIG] Loaded ${configFile.applied.length} setting(s) from ${
+        configFile.file
+      }${
+        configFile.overridden.length
+          ? ` (overridden by the environment: ${configFile.overridden.join(
+              ", "
+            )})`
+          : ""
+      }`
+    );
   }
-});
 
-/**
- * Server Startup and Graceful Shutdown
- * ====================================
- * Initialize the Express server and handle graceful shutdown
- */
-const server = app.listen(CONFIG.PORT, () => {
-  console.log("📈 [SERVER] Market Peak Analysis Service started");
-  console.log(`📍 [SERVER] Port ${CONFIG.PORT}`);
-  console.log(`🔗 [CONFIG] Data Service: ${CONFIG.DATA_SERVICE_URL}`);
-  console.log(`⏰ [CONFIG] Analysis every hour at minute 0`);
-  console.log(`📡 [CONFIG] Real-time Firestore listeners enabled`);
-});
+  // Initialize real-time data listeners
+  aggregator.initializeListeners();
 
-// Graceful shutdown handlers
-process.on("SIGINT", () => {
-  console.log("🛑 [SERVER] SIGINT received, shutting down gracefully");
-  aggregator.cleanup(); // Clean up Firestore listeners
-  server.close(() => process.exit(0));
-});
+  // Check the configured prompt versions fit the prompt data (that they exist
+  // is checked with the configuration), and reload templates on change
+  const pm = aggregator.promptManager;
+  aggregator
+    .validatePrompts(
+      [CONFIG.PROMPT.VERSION, CONFIG.PROMPT.SHADOW_VERSION]
+        .filter(Boolean)
+        .map((version) => ({ name: "market-peak-analysis", version }))
+    )
+    .then((results) =>
+      results.forEach((r) => {
+        const file = `${r.name}-${r.version}.md`;
+        if (r.error) {
+          console.error(`❌ [PROMPT] ${file}: ${r.error}`);
+        } else if (r.missing.length > 0) {
+          console.error(
+            `❌ [PROMPT] ${file} has placeholders without data: ${r.missing.join(
+              ", "
+            )}`
+          );
+        } else {
+          console.log(`✅ [PROMPT] ${file} validated (${r.hash})`);
+        }
+      })
+    )
+    .catch((error) =>
+      console.error("❌ [PROMPT] Template validation failed:", error.message)
+    );
+  if (CONFIG.PROMPT.HOT_RELOAD) pm.watch();
 
-process.on("SIGTERM", () => {
-  console.log("🛑 [SERVER] SIGTERM received, shutting down gracefully");
-  aggregator.cleanup(); // Clean up Firestore listeners
-  server.close(() => process.exit(0));
-});
+  // Load the persisted daily cache, then fetch whatever expired while the
+  // service was down (in the background; analyses use the loaded closes)
+  loadDailyClosesCache();
+  refreshDailyClosesCache();
+
+  // Restore recent indicator change history from Firestore
+  aggregator
+    .loadIndicatorChangeHistory()
+    .catch((e) =>
+      console.error(
+        "❌ [LISTENER] Failed to load indicator changes:",
+        e.message
+      )
+    );
+
+  // Load this month's LLM spend so the budget holds across restarts
+  aggregator.loadUsageTotals();
+
+  // Seed alert state and the last analysis time from the latest stored analysis
+  // so restarts don't re-fire band alerts or lose "changes since last analysis"
+  aggregator
+    .getRecent(1)
+    .then(({ analyses }) => {
+      aggregator.alertEngine.seed(analyses[0]?.score);
+      aggregator.lastAnalysisAt =
+        aggregator.lastAnalysisAt || analyses[0]?.timestamp || null;
+    })
+    .catch((e) =>
+      console.error("❌ [ALERT] Failed to seed alert state:", e.message)
+    );
+
+  // Refresh assets whose daily closes are older than DAILY_CACHE_TTL_HOURS
+  cron.schedule(CONFIG.DAILY_CACHE.CHECK_INTERVAL, async () => {
+    await refreshDailyClosesCache();
+  });
+
+  // Automated analysis (hourly by default; ANALYSIS_INTERVAL can change at runtime)
+  scheduleAnalysis();
+
+  // Check the primary asset minute series for large moves that warrant an out-of-band analysis
+  if (CONFIG.EVENT_TRIGGERS.ENABLED) {
+    cron.schedule(CONFIG.EVENT_TRIGGERS.PRICE_CHECK_INTERVAL, async () => {
+      try {
+        await aggregator.checkPriceTrigger();
+      } catch (e) {
+        console.error("❌ [CRON] Price trigger check failed:", e.message);
+      }
+    });
+  }
+
+  const server = app.listen(CONFIG.PORT, () => {
+    console.log("📈 [SERVER] Market Peak Analysis Service started");
+    console.log(`📍 [SERVER] Port ${CONFIG.PORT}`);
+    console.log(`🔗 [CONFIG] Data Service: ${CONFIG.DATA_SERVICE_URL}`);
+    console.log(`⏰ [CONFIG] Analysis schedule: ${CONFIG.ANALYSIS_INTERVAL}`);
+    const source = aggregator.indicatorSource.describe();
+    const location = source.doc_path || source.url || source.file;
+    console.log(
+      `📡 [CONFIG] Indicator source: ${source.name}${
+        location ? ` (${location})` : ""
+      }${source.active ? "" : " - not active"}`
+    );
+    if (authenticator.enabled) {
+      const { api_keys, jwt } = authenticator.describe();
+      console.log(
+        `🔐 [AUTH] ${api_keys} API key(s)${jwt ? " and JWTs" : ""} accepted`
+      );
+    } else {
+      console.warn(
+        "⚠️ [AUTH] No API_KEYS or AUTH_JWT_SECRET set: every route is open"
+      );
+    }
+    console.log(
+      `💾 [CONFIG] Analyses stored in ${aggregator.analyses.name}${
+        aggregator.analyses.file ? ` (${aggregator.analyses.file})` : ""
+      }`
+    );
+  });
 
-// Export the Express app for testing purposes
-module.exports = { app };
+  // Graceful shutdown handlers
+  process.on("SIGINT", () => {
+    console.log("🛑 [SERVER] SIGINT received, shutting down gracefully");
+    aggregator.cleanup(); // Clean up Firestore listeners
+    eventStream.close(); // End open streams, or server.close() would wait on them
+    server.close(() => process.exit(0));
+  });
+
+  process.on("SIGTERM", () => {
+    console.log("🛑 [SERVER] SIGTERM received, shutting down gracefully");
+    aggregator.cleanup(); // Clean up Firestore listeners
+    eventStream.close(); // End open streams, or server.close() would wait on them
+    server.close(() => process.exit(0));
+  });
+
+  return server;
+}
+
+if (require.main === module) startService();
+
+// Export the app for testing and the aggregator for scripts (backtest and migration CLIs);
+// scripts check configParseErrors themselves since they do not run startService()
+module.exports = {
+  app,
+  aggregator,
+  CONFIG,
+  configParseErrors,
+  db,
+  readinessChecks,
+  startService,
+};
@@ -0,0 +1,260 @@
+/**
+ * Alert Engine
+ * ============
+ *
+ * Author: Muhammad Bilal Motiwala
+ * Project: Black Swan
+ *
+ * Rule engine that watches analysis results, failures and bull market peak
+ * indicator snapshots, and raises alerts for:
+ * - Score band changes (Normal / Mixed Signals / Peak Likely) with hysteresis
+ * - Rapid score jumps between consecutive analyses
+ * - Indicators flipping hit_status to true
+ * - N consecutive failed analyses
+ * - Monthly LLM spend exceeding its budget
+ *
+ * Alerts are deduplicated per key with a cooldown, delivered to every configured
+ * sink and handed to a `recordAlert` callback for persistence.
+ */
+
+// Score bands used for logging and threshold-crossing alerts (ascending by min)
+const SCORE_BANDS = [
+  { name: "normal", label: "Normal", min: -Infinity },
+  { name: "mixed", label: "Mixed Signals", min: 25 },
+  { name: "peak_likely", label: "Peak Likely", min: 60 },
+];
+
+/**
+ * Band a score falls into without hysteresis
+ * @param {number} score - Analysis score
+ * @returns {Object} Band definition
+ */
+function scoreBand(score) {
+  let band = SCORE_BANDS[0];
+  SCORE_BANDS.forEach((b) => {
+    if (score >= b.min) band = b;
+  });
+  return band;
+}
+
+class AlertEngine {
+  /**
+   * @param {Object} options - Engine options
+   * @param {Object} options.rules - Rule settings (CONFIG.ALERTS)
+   * @param {Array} options.sinks - Sinks implementing send(alert)
+   * @param {Function} [options.recordAlert] - Async callback that persists a fired alert
+   */
+  constructor({ rules, sinks = [], recordAlert = null }) {
+    this.rules = rules;
+    this.sinks = sinks;
+    this.recordAlert = recordAlert;
+
+    this.currentBand = null; // Band after hysteresis, null until the first score
+    this.lastScore = null; // Score of the previous successful analysis
+    this.failureStreak = 0; // Consecutive failed analyses
+    this.lastFiredAt = new Map(); // Alert key -> last fire time for cooldowns
+  }
+
+  /**
+   * Initialize state from the most recent stored analysis without firing alerts
+   * @param {number} score - Score of the latest stored analysis
+   */
+  seed(score) {
+    if (!Number.isFinite(score)) return;
+    this.lastScore = score;
+    this.currentBand = scoreBand(score);
+  }
+
+  /**
+   * Apply hysteresis: only leave the current band once the score is clearly past
+   * the boundary by HYSTERESIS points
+   * @param {number} score - New score
+   * @returns {Object} Band after hysteresis
+   */
+  bandWithHysteresis(score) {
+    if (!this.currentBand) return scoreBand(score);
+    const h = this.rules.HYSTERESIS;
+    const currentIndex = SCORE_BANDS.indexOf(this.currentBand);
+
+    // Highest band whose lower boundary is cleared by the hysteresis margin
+    let upIndex = 0;
+    let downIndex = 0;
+    SCORE_BANDS.forEach((b, i) => {
+      if (score >= b.min + h) upIndex = i;
+      if (score >= b.min - h) downIndex = i;
+    });
+
+    if (upIndex > currentIndex) return SCORE_BANDS[upIndex];
+    if (downIndex < currentIndex) return SCORE_BANDS[downIndex];
+    return this.currentBand;
+  }
+
+  /**
+   * Evaluate a successful analysis against the score rules
+   * @param {Object} analysis - Enriched analysis (must contain score)
+   * @returns {Array} Alerts that were fired
+   */
+  async evaluateAnalysis(analysis) {
+    const score = analysis.score;
+    const fired = [];
+    this.failureStreak = 0;
+
+    // Threshold crossing with hysteresis
+    const band = this.bandWithHysteresis(score);
+    if (this.currentBand && band !== this.currentBand) {
+      const rising =
+        SCORE_BANDS.indexOf(band) > SCORE_BANDS.indexOf(this.currentBand);
+      fired.push(
+        await this.fire({
+          type: "band_change",
+          key: `band_change:${this.currentBand.name}->${band.name}`,
+          severity: band.name === "peak_likely" ? "critical" : "warning",
+          message: `Market peak score ${
+            rising ? "rose" : "fell"
+          } to ${score} (${this.currentBand.label} -> ${band.label})`,
+          details: { score, from: this.currentBand.name, to: band.name },
+        })
+      );
+    }
+    this.currentBand = band;
+
+    // Rapid score jump between consecutive analyses
+    if (this.lastScore !== null) {
+      const delta = score - this.lastScore;
+      if (Math.abs(delta) >= this.rules.SCORE_JUMP) {
+        fired.push(
+          await this.fire({
+            type: "score_jump",
+            key: `score_jump:${delta > 0 ? "up" : "down"}`,
+            severity: "warning",
+            message: `Market peak score jumped ${
+              delta > 0 ? "+" : ""
+            }${delta} points (${this.lastScore} -> ${score})`,
+            details: { score, previous_score: this.lastScore, delta },
+          })
+        );
+      }
+    }
+    this.lastScore = score;
+
+    return fired.filter(Boolean);
+  }
+
+  /**
+   * Record a failed analysis and alert once the failure streak reaches the limit
+   * @param {string} errorMessage - Failure reason
+   * @returns {Array} Alerts that were fired
+   */
+  async evaluateFailure(errorMessage) {
+    this.failureStreak += 1;
+    if (this.failureStreak < this.rules.FAILURE_STREAK) return [];
+    const alert = await this.fire({
+      type: "consecutive_failures",
+      key: "consecutive_failures",
+      severity: "critical",
+      message: `${this.failureStreak} consecutive market peak analyses failed: ${errorMessage}`,
+      details: { failures: this.failureStreak, last_error: errorMessage },
+    });
+    return alert ? [alert] : [];
+  }
+
+  /**
+   * Alert when the monthly LLM budget is exhausted
+   * @param {Object} status - Budget status from UsageLedger.budgetStatus()
+   * @param {string} [skipped] - Trigger type of an analysis skipped because of it
+   * @returns {Array} Alerts that were fired
+   */
+  async evaluateBudget(status, skipped = null) {
+    if (!status.exceeded) return [];
+    const alert = await this.fire({
+      type: "budget_exceeded",
+      key: `budget_exceeded:${status.month}`,
+      severity: "critical",
+      message: `Monthly LLM budget exceeded: $${status.spent_usd} of $${
+        status.budget_usd
+      } spent in ${status.month}${
+        skipped ? ` (${skipped} analysis skipped)` : ""
+      }. Scheduled and event-driven analyses are paused until next month.`,
+      details: { ...status, ...(skipped && { skipped_trigger: skipped }) },
+    });
+    return alert ? [alert] : [];
+  }
+
+  /**
+   * Alert on indicators that flipped hit_status to true between snapshots
+   * @param {Array} changes - Changes from diffIndicatorSnapshots()
+   * @param {Object} currentDoc - New indicators document (for value/threshold details)
+   * @returns {Array} Alerts that were fired
+   */
+  async evaluateIndicatorChanges(changes, currentDoc) {
+    const current = new Map(
+      (currentDoc?.indicators || []).map((ind) => [ind?.indicator_name, ind])
+    );
+    const fired = [];
+    for (const change of changes) {
+      if (change.type !== "hit_flip" || change.to !== true) continue;
+      const ind = current.get(change.indicator) || {};
+      const value = ind.current_value ?? ind.value ?? null;
+      const threshold = ind.threshold ?? null;
+      fired.push(
+        await this.fire({
+          type: "indicator_hit",
+          key: `indicator_hit:${change.indicator}`,
+          severity: "warning",
+          message: `Bull market peak indicator triggered: ${
+            change.indicator
+          } (Value: ${value ?? "N/A"}, Threshold: ${threshold ?? "N/A"})`,
+          details: { indicator: change.indicator, value, threshold },
+        })
+      );
+    }
+    return fired.filter(Boolean);
+  }
+
+  /**
+   * Deliver an alert to every sink unless its key is still cooling down
+   * @param {Object} alert - { type, key, severity, message, details }
+   * @returns {Object|null} The fired alert with delivery results, or null if suppressed
+   */
+  async fire(alert) {
+    const now = Date.now();
+    const last = this.lastFiredAt.get(alert.key);
+    if (last && now - last < this.rules.COOLDOWN_MS) {
+      console.log(`🔕 [ALERT] Suppressed ${alert.key} (cooldown)`);
+      return null;
+    }
+    this.lastFiredAt.set(alert.key, now);
+
+    console.warn(`🔔 [ALERT] ${alert.message}`);
+    const deliveries = await Promise.all(
+      this.sinks.map(async (sink) => {
+        try {
+          await sink.send(alert);
+          return { sink: sink.name, delivered: true };
+        } catch (error) {
+          console.error(
+            `❌ [ALERT] Delivery to ${sink.name} failed:`,
+            error.message
+          );
+          return { sink: sink.name, delivered: false, error: error.message };
+        }
+      })
+    );
+
+    const fired = {
+      ...alert,
+      deliveries,
+      fired_at: new Date(now).toISOString(),
+    };
+    if (this.recordAlert) {
+      try {
+        await this.recordAlert(fired);
+      } catch (error) {
+        console.error("❌ [ALERT] Failed to record alert:", error.message);
+      }
+    }
+    return fired;
+  }
+}
+
+module.exports = { AlertEngine, SCORE_BANDS, scoreBand };
@@ -0,0 +1,132 @@
+/**
+ * Alert Sinks
+ * ===========
+ *
+ * Author: Muhammad Bilal Motiwala
+ * Project: Black Swan
+ *
+ * Delivery targets for alerts raised by the AlertEngine. Every sink exposes a
+ * `name` and an async `send(alert)` method that throws when delivery fails.
+ *
+ * Available sinks:
+ * - webhook: POSTs the alert as JSON to any URL
+ * - slack:   POSTs a Slack-compatible { text } payload to an incoming webhook
+ * - email:   Sends the alert via SMTP
+ */
+
+const axios = require("axios");
+const nodemailer = require("nodemailer");
+
+// Emoji prefix per severity, matching the service's log style
+const SEVERITY_ICONS = { info: "ℹ️", warning: "⚠️", critical: "🚨" };
+
+/**
+ * Format an alert as a single human-readable line
+ * @param {Object} alert - Alert object
+ * @returns {string} Formatted alert text
+ */
+function formatAlertText(alert) {
+  const icon = SEVERITY_ICONS[alert.severity] || "";
+  return `${icon} [Market Peak] ${alert.message}`;
+}
+
+/**
+ * Generic webhook sink - posts the full alert object as JSON
+ */
+class WebhookSink {
+  constructor({ url, timeout = 10000 }) {
+    this.name = "webhook";
+    this.url = url;
+    this.timeout = timeout;
+  }
+
+  async send(alert) {
+    await axios.post(
+      this.url,
+      { service: "market-peak-analysis-service", alert },
+      { timeout: this.timeout }
+    );
+  }
+}
+
+/**
+ * Slack-compatible webhook sink (also works with Mattermost, Discord /slack endpoints)
+ */
+class SlackSink {
+  constructor({ url, timeout = 10000 }) {
+    this.name = "slack";
+    this.url = url;
+    this.timeout = timeout;
+  }
+
+  async send(alert) {
+    await axios.post(
+      this.url,
+      { text: formatAlertText(alert) },
+      { timeout: this.timeout }
+    );
+  }
+}
+
+/**
+ * Email sink using SMTP
+ */
+class EmailSink {
+  constructor({ host, port, secure, user, pass, from, to }) {
+    this.name = "email";
+    this.from = from;
+    this.to = to;
+    this.transport = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass } : undefined,
+    });
+  }
+
+  async send(alert) {
+    await this.transport.sendMail({
+      from: this.from,
+      to: this.to,
+      subject: formatAlertText(alert),
+      text: `${alert.message}\n\n${JSON.stringify(alert.details, null, 2)}`,
+    });
+  }
+}
+
+/**
+ * Create every sink that has configuration present
+ * @param {Object} alertsConfig - CONFIG.ALERTS from index.js
+ * @returns {Array} Configured sink instances
+ */
+function createAlertSinks(alertsConfig) {
+  const sinks = [];
+  if (alertsConfig.WEBHOOK_URL) {
+    sinks.push(new WebhookSink({ url: alertsConfig.WEBHOOK_URL }));
+  }
+  if (alertsConfig.SLACK_WEBHOOK_URL) {
+    sinks.push(new SlackSink({ url: alertsConfig.SLACK_WEBHOOK_URL }));
+  }
+  if (alertsConfig.EMAIL.TO && alertsConfig.EMAIL.SMTP_HOST) {
+    sinks.push(
+      new EmailSink({
+        host: alertsConfig.EMAIL.SMTP_HOST,
+        port: alertsConfig.EMAIL.SMTP_PORT,
+        secure: alertsConfig.EMAIL.SMTP_SECURE,
+        user: alertsConfig.EMAIL.SMTP_USER,
+        pass: alertsConfig.EMAIL.SMTP_PASS,
+        from: alertsConfig.EMAIL.FROM,
+        to: alertsConfig.EMAIL.TO,
+      })
+    );
+  }
+  return sinks;
+}
+
+module.exports = {
+  WebhookSink,
+  SlackSink,
+  EmailSink,
+  createAlertSinks,
+  formatAlertText,
+};
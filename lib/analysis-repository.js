@@ -0,0 +1,405 @@
+/**
+ * Analysis Repository
+ * ===================
+ *
+ * Author: Muhammad Bilal Motiwala
+ * Project: Black Swan
+ *
+ * Storage for completed market peak analyses, behind one interface so the
+ * service can persist and query results with or without Firestore. Every
+ * backend exposes `name`, `available`, `save(doc, { id })`, `latest()`,
+ * `recent(limit)`, `byId(id)`, `range({ from, to, after, limit, fields })` and
+ * `describe()`. Rows are returned as `{ id, ...doc }`, ordered by their ISO
+ * `timestamp`, then by id (several analyses can share a timestamp, e.g. after
+ * a migration). range() pages resume after a `{ timestamp, id }` cursor.
+ *
+ * Available backends:
+ * - firestore: The `market_peak_analyses` collection (default)
+ * - jsonl:     A local append-only file with one analysis per line. Only an
+ *              index of ids, timestamps and file offsets is kept in memory;
+ *              rows are read from the file when queried.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const admin = require("firebase-admin");
+
+const STORAGE_BACKENDS = ["firestore", "jsonl"];
+
+// Firestore gRPC status for create() on an existing document
+const ALREADY_EXISTS = 6;
+
+/**
+ * Order of two rows (or index entries) by timestamp, then id
+ * @param {Object} a - { timestamp, id }
+ * @param {Object} b - { timestamp, id }
+ * @returns {number} Negative, zero or positive
+ */
+function compareRows(a, b) {
+  if (a.timestamp !== b.timestamp) return a.timestamp < b.timestamp ? -1 : 1;
+  if (a.id === b.id) return 0;
+  return a.id < b.id ? -1 : 1;
+}
+
+/**
+ * Whether a row comes after a pagination cursor
+ * @param {Object} row - { timestamp, id }
+ * @param {Object} after - { timestamp, id }; without an id, every row at the
+ *   cursor timestamp counts as before it
+ * @returns {boolean} True when the row belongs to a later page
+ */
+function isAfterCursor(row, after) {
+  if (after.id === undefined || after.id === null) {
+    return row.timestamp > after.timestamp;
+  }
+  return compareRows(row, after) > 0;
+}
+
+/**
+ * Keep only the requested fields of a row (plus its id)
+ * @param {Object} row - Stored row
+ * @param {Array} [fields] - Field names, all fields when omitted
+ * @returns {Object} Row
+ */
+function pickFields(row, fields) {
+  if (!fields) return row;
+  return Object.fromEntries(
+    ["id", ...fields].filter((f) => f in row).map((f) => [f, row[f]])
+  );
+}
+
+/**
+ * Firestore collection backend
+ */
+class FirestoreAnalysisRepository {
+  /**
+   * @param {Object} options - Repository options
+   * @param {Object} options.db - Firestore instance (null when Firebase is not initialized)
+   * @param {string} options.collection - Collection name
+   */
+  constructor({ db, collection }) {
+    this.name = "firestore";
+    this.db = db;
+    this.collectionName = collection;
+  }
+
+  get available() {
+    return !!this.db;
+  }
+
+  get collection() {
+    return this.db.collection(this.collectionName);
+  }
+
+  /**
+   * Convert a document snapshot to a row; createdAt is Firestore-only
+   * @param {Object} doc - Document snapshot
+   * @returns {Object} Row
+   */
+  toRow(doc) {
+    const { createdAt, ...data } = doc.data();
+    return { id: doc.id, ...data };
+  }
+
+  /**
+   * Store an analysis
+   * @param {Object} doc - Analysis with an ISO `timestamp`
+   * @param {Object} [options] - Save options
+   * @param {string} [options.id] - Keep this id (migrations); an existing analysis is left unchanged
+   * @returns {Object} { id, skipped } where skipped is true when the id already existed
+   */
+  async save(doc, { id = null } = {}) {
+    const data = {
+      ...doc,
+      createdAt: admin.firestore.Timestamp.fromDate(new Date(doc.timestamp)),
+    };
+    if (!id) {
+      const ref = await this.collection.add(data);
+      return { id: ref.id, skipped: false };
+    }
+    try {
+      await this.collection.doc(id).create(data);
+      return { id, skipped: false };
+    } catch (error) {
+      if (error.code === ALREADY_EXISTS) return { id, skipped: true };
+      throw error;
+    }
+  }
+
+  async latest() {
+    const [row] = await this.recent(1);
+    return row || null;
+  }
+
+  async recent(limit) {
+    const snap = await this.collection
+      .orderBy("timestamp", "desc")
+      .limit(limit)
+      .get();
+    return snap.docs.map((d) => this.toRow(d));
+  }
+
+  async byId(id) {
+    const doc = await this.collection.doc(id).get();
+    return doc.exists ? this.toRow(doc) : null;
+  }
+
+  /**
+   * Analyses in a time range, ascending
+   * @param {Object} options - Query options
+   * @param {number} options.from - Range start in ms (inclusive)
+   * @param {number} options.to - Range end in ms (exclusive)
+   * @param {Object} [options.after] - Pagination cursor: { timestamp, id } of the
+   *   last row of the previous page
+   * @param {number} options.limit - Maximum number of rows
+   * @param {Array} [options.fields] - Only return these fields
+   * @returns {Object} { analyses, hasMore }
+   */
+  async range({ from, to, after = null, limit, fields = null }) {
+    let query = this.collection
+      .where("timestamp", ">=", new Date(from).toISOString())
+      .where("timestamp", "<", new Date(to).toISOString())
+      .orderBy("timestamp", "asc")
+      .orderBy(admin.firestore.FieldPath.documentId(), "asc");
+    if (after?.id) query = query.startAfter(after.timestamp, after.id);
+    else if (after) query = query.startAfter(after.timestamp);
+    if (fields) query = query.select(...fields);
+    const snap = await query.limit(limit + 1).get(); // One extra tells us whether another page exists
+    return {
+      analyses: snap.docs.slice(0, limit).map((d) => this.toRow(d)),
+      hasMore: snap.size > limit,
+    };
+  }
+
+  describe() {
+    return {
+      backend: this.name,
+      collection: this.collectionName,
+      available: this.available,
+    };
+  }
+}
+
+/**
+ * Local JSONL file backend
+ */
+class JsonlAnalysisRepository {
+  /**
+   * @param {Object} options - Repository options
+   * @param {string} options.file - Path of the JSONL file (created on first save)
+   */
+  constructor({ file }) {
+    this.name = "jsonl";
+    this.file = path.resolve(file);
+    this.index = null; // { id, timestamp, offset, length } sorted by timestamp and id, built on first use
+    this.byIdIndex = new Map();
+    this.size = 0; // File size covered by the index
+    this.loading = null;
+    this.writes = Promise.resolve(); // Saves run one at a time so offsets stay in order
+  }
+
+  get available() {
+    return true;
+  }
+
+  /**
+   * Build the in-memory index from the file (once)
+   */
+  async load() {
+    if (this.index) return;
+    if (!this.loading) {
+      this.loading = (async () => {
+        const buffer = fs.existsSync(this.file)
+          ? await fs.promises.readFile(this.file)
+          : Buffer.alloc(0);
+        const entries = [];
+        let skipped = 0;
+        let start = 0;
+        while (start < buffer.length) {
+          let end = buffer.indexOf(0x0a, start);
+          if (end === -1) end = buffer.length;
+          if (end > start) {
+            try {
+              const row = JSON.parse(buffer.toString("utf8", start, end));
+              entries.push({
+                id: row.id,
+                timestamp: row.timestamp,
+                offset: start,
+                length: end - start,
+              });
+            } catch {
+              skipped++; // e.g. a line cut short by a crash mid-write
+            }
+          }
+          start = end + 1;
+        }
+        if (skipped > 0) {
+          console.warn(
+            `⚠️ [STORAGE] Skipped ${skipped} unreadable line(s) in ${this.file}`
+          );
+        }
+
+        entries.sort(compareRows);
+        entries.forEach((e) => this.byIdIndex.set(e.id, e));
+        this.size = buffer.length;
+        // A cut-short last line must not swallow the next append
+        this.partialLine =
+          buffer.length > 0 && buffer[buffer.length - 1] !== 0x0a;
+        this.index = entries;
+      })();
+    }
+    await this.loading;
+  }
+
+  /**
+   * Read rows from the file
+   * @param {Array} entries - Index entries
+   * @returns {Array} Parsed rows in the same order
+   */
+  async read(entries) {
+    if (entries.length === 0) return [];
+    const handle = await fs.promises.open(this.file, "r");
+    try {
+      const rows = [];
+      for (const entry of entries) {
+        const buffer = Buffer.alloc(entry.length);
+        await handle.read(buffer, 0, entry.length, entry.offset);
+        rows.push(JSON.parse(buffer.toString("utf8")));
+      }
+      return rows;
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Store an analysis
+   * @param {Object} doc - Analysis with an ISO `timestamp`
+   * @param {Object} [options] - Save options
+   * @param {string} [options.id] - Keep this id (migrations); an existing analysis is left unchanged
+   * @returns {Object} { id, skipped } where skipped is true when the id already existed
+   */
+  save(doc, { id = null } = {}) {
+    const run = this.writes.then(() => this.append(doc, id));
+    this.writes = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Append one analysis to the file and the index
+   * @param {Object} doc - Analysis
+   * @param {string|null} id - Id to keep
+   * @returns {Object} { id, skipped }
+   */
+  async append(doc, id) {
+    await this.load();
+    if (id && this.byIdIndex.has(id)) return { id, skipped: true };
+
+    const row = { id: id || crypto.randomUUID(), ...doc };
+    const prefix = this.partialLine ? "\n" : "";
+    const line = Buffer.from(`${prefix}${JSON.stringify(row)}\n`);
+    try {
+      await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+      await fs.promises.appendFile(this.file, line);
+    } catch (error) {
+      // The file may hold part of the line; rebuild the index on next use
+      this.index = null;
+      this.loading = null;
+      this.byIdIndex.clear();
+      throw error;
+    }
+
+    const entry = {
+      id: row.id,
+      timestamp: row.timestamp,
+      offset: this.size + prefix.length,
+      length: line.length - prefix.length - 1,
+    };
+    this.size += line.length;
+    this.partialLine = false;
+    // New analyses land at the end; migrated ones may be older
+    let i = this.index.length;
+    while (i > 0 && compareRows(this.index[i - 1], entry) > 0) i--;
+    this.index.splice(i, 0, entry);
+    this.byIdIndex.set(entry.id, entry);
+    return { id: row.id, skipped: false };
+  }
+
+  async latest() {
+    const [row] = await this.recent(1);
+    return row || null;
+  }
+
+  async recent(limit) {
+    await this.load();
+    return this.read(this.index.slice(-limit).reverse());
+  }
+
+  async byId(id) {
+    await this.load();
+    const entry = this.byIdIndex.get(id);
+    return entry ? (await this.read([entry]))[0] : null;
+  }
+
+  /**
+   * Analyses in a time range, ascending
+   * @param {Object} options - Query options (see FirestoreAnalysisRepository.range)
+   * @returns {Object} { analyses, hasMore }
+   */
+  async range({ from, to, after = null, limit, fields = null }) {
+    await this.load();
+    const start = new Date(from).toISOString();
+    const end = new Date(to).toISOString();
+    const matching = this.index.filter(
+      (e) =>
+        e.timestamp >= start &&
+        e.timestamp < end &&
+        (after === null || isAfterCursor(e, after))
+    );
+    const rows = await this.read(matching.slice(0, limit));
+    return {
+      analyses: rows.map((row) => pickFields(row, fields)),
+      hasMore: matching.length > limit,
+    };
+  }
+
+  describe() {
+    return {
+      backend: this.name,
+      file: this.file,
+      available: this.available,
+      analyses: this.index ? this.index.length : null,
+    };
+  }
+}
+
+/**
+ * Create the analysis repository selected by configuration
+ * @param {Object} config - Service CONFIG (uses STORAGE and COLLECTIONS)
+ * @param {Object} deps - Runtime dependencies
+ * @param {Object} deps.db - Firestore instance or null
+ * @returns {Object} Analysis repository
+ * @throws {Error} If the configured backend is unknown
+ */
+function createAnalysisRepository(config, { db }) {
+  const storage = config.STORAGE;
+  switch (storage.BACKEND) {
+    case "firestore":
+      return new FirestoreAnalysisRepository({
+        db,
+        collection: config.COLLECTIONS.STORAGE,
+      });
+    case "jsonl":
+      return new JsonlAnalysisRepository({ file: storage.FILE });
+    default:
+      throw new Error(`Unknown storage backend: ${storage.BACKEND}`);
+  }
+}
+
+module.exports = {
+  STORAGE_BACKENDS,
+  FirestoreAnalysisRepository,
+  JsonlAnalysisRepository,
+  createAnalysisRepository,
+};
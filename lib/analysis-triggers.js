@@ -0,0 +1,194 @@
+/**
+ * Event-Driven Analysis Triggers
+ * ==============================
+ *
+ * Author: Muhammad Bilal Motiwala
+ * Project: Black Swan
+ *
+ * Queues out-of-band analyses when something significant happens between the
+ * scheduled runs (an indicator flipping to hit, a large price move). Requests are
+ * debounced so a burst of events produces a single run, and runs are spaced by
+ * a minimum interval that also counts scheduled and manual analyses.
+ */
+
+/**
+ * Extract a numeric price from a minute-series point
+ * @param {Object|number} point - Point from the data service
+ * @returns {number|null} Price or null
+ */
+function pointPrice(point) {
+  const value =
+    typeof point === "number"
+      ? point
+      : point?.price ?? point?.close ?? point?.c ?? null;
+  return Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Measure the move across a price series
+ * @param {Array} series - Minute series (oldest first)
+ * @returns {Object|null} { first, last, change_pct, range_pct } or null if too short
+ */
+function measurePriceMove(series) {
+  const prices = (Array.isArray(series) ? series : [])
+    .map(pointPrice)
+    .filter((p) => p !== null && p > 0);
+  if (prices.length < 2) return null;
+
+  const first = prices[0];
+  const last = prices[prices.length - 1];
+  const high = Math.max(...prices);
+  const low = Math.min(...prices);
+  return {
+    first,
+    last,
+    change_pct: Math.round((last / first - 1) * 10000) / 100,
+    range_pct: Math.round((high / low - 1) * 10000) / 100,
+  };
+}
+
+class AnalysisTriggerScheduler {
+  /**
+   * @param {Object} options - Scheduler options
+   * @param {Function} options.runAnalysis - Async function called with the trigger object
+   * @param {number} options.debounceMs - Quiet period after the last event before running
+   * @param {number} options.minIntervalMs - Minimum gap between any two analyses
+   * @param {number} options.priceMovePct - Primary asset move (%) within 24h that queues an analysis
+   */
+  constructor({ runAnalysis, debounceMs, minIntervalMs, priceMovePct }) {
+    this.runAnalysis = runAnalysis;
+    this.debounceMs = debounceMs;
+    this.minIntervalMs = minIntervalMs;
+    this.priceMovePct = priceMovePct;
+
+    this.pendingReasons = []; // Reasons collected since the last event-driven run
+    this.timer = null; // Debounce / min-interval timer
+    this.lastRunAt = 0; // Start time of the most recent analysis (any trigger)
+    this.lastPriceTriggerPrice = null; // Price when the last price-move trigger fired
+  }
+
+  /**
+   * Record that an analysis started, whatever triggered it
+   */
+  noteRun() {
+    this.lastRunAt = Date.now();
+  }
+
+  /**
+   * Queue an out-of-band analysis
+   * @param {Object} reason - { type, ...details } describing why
+   */
+  request(reason) {
+    this.pendingReasons.push({ ...reason, at: new Date().toISOString() });
+    console.log(`⚡ [TRIGGER] Analysis requested: ${reason.type}`);
+    this.schedule(this.debounceMs);
+  }
+
+  /**
+   * (Re)start the timer so it fires after `delayMs`, respecting the minimum interval
+   * @param {number} delayMs - Requested delay
+   */
+  schedule(delayMs) {
+    if (this.timer) clearTimeout(this.timer);
+    const earliest = this.lastRunAt + this.minIntervalMs - Date.now();
+    const delay = Math.max(delayMs, earliest, 0);
+    this.timer = setTimeout(() => this.flush(), delay);
+  }
+
+  /**
+   * Run the queued analysis with every collected reason
+   */
+  async flush() {
+    this.timer = null;
+    if (this.pendingReasons.length === 0) return;
+
+    // A scheduled or manual run may have started while we were waiting
+    if (Date.now() - this.lastRunAt < this.minIntervalMs) {
+      this.schedule(0);
+      return;
+    }
+
+    const reasons = this.pendingReasons;
+    this.pendingReasons = [];
+    console.log(
+      `⚡ [TRIGGER] Running event-driven analysis (${reasons
+        .map((r) => r.type)
+        .join(", ")})`
+    );
+    try {
+      await this.runAnalysis({ type: "event", reasons });
+    } catch (error) {
+      console.error(
+        "❌ [TRIGGER] Event-driven analysis failed:",
+        error.message
+      );
+    }
+  }
+
+  /**
+   * Queue an analysis if any indicator flipped hit_status to true
+   * @param {Array} changes - Changes from diffIndicatorSnapshots()
+   */
+  onIndicatorChanges(changes) {
+    const hits = changes
+      .filter((c) => c.type === "hit_flip" && c.to === true)
+      .map((c) => c.indicator);
+    if (hits.length > 0) {
+      this.request({ type: "indicator_hit", indicators: hits });
+    }
+  }
+
+  /**
+   * Queue an analysis if the primary asset moved more than priceMovePct within the
+   * 24h series. The same move does not re-trigger: price must also have moved that
+   * much since the previous price trigger.
+   * @param {Array} series - Primary asset 24h minute series
+   * @param {string} [asset] - Asset id recorded in the trigger reason
+   * @returns {Object|null} The measured move when it triggered, otherwise null
+   */
+  onPriceSeries(series, asset = "bitcoin") {
+    const move = measurePriceMove(series);
+    if (!move) return null;
+    if (
+      Math.abs(move.change_pct) < this.priceMovePct &&
+      move.range_pct < this.priceMovePct
+    ) {
+      return null;
+    }
+    if (
+      this.lastPriceTriggerPrice !== null &&
+      Math.abs(move.last / this.lastPriceTriggerPrice - 1) * 100 <
+        this.priceMovePct
+    ) {
+      return null;
+    }
+
+    this.lastPriceTriggerPrice = move.last;
+    this.request({ type: "price_move", asset, ...move });
+    return move;
+  }
+
+  /**
+   * Current trigger state for status endpoints
+   * @returns {Object} Pending reasons and timing information
+   */
+  getState() {
+    return {
+      pending: this.pendingReasons,
+      scheduled: !!this.timer,
+      last_run_at: this.lastRunAt
+        ? new Date(this.lastRunAt).toISOString()
+        : null,
+    };
+  }
+
+  /**
+   * Cancel any queued run
+   */
+  stop() {
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = { AnalysisTriggerScheduler, measurePriceMove, pointPrice };
@@ -0,0 +1,64 @@
+/**
+ * Asset Universe
+ * ==============
+ *
+ * Author: Muhammad Bilal Motiwala
+ * Project: Black Swan
+ *
+ * Parses the configured list of assets the service analyzes. Each asset is
+ * identified by its data service id (the path segment used for `/<id>?hours=24`
+ * and `/<id>/daily?days=900`) and carries a ticker symbol used in logs, prompt
+ * headings and analysis metadata.
+ *
+ * Format: comma-separated `id` or `id:SYMBOL` entries, e.g.
+ *   ASSETS=bitcoin,ethereum,solana,binancecoin:BNB,ripple:XRP
+ */
+
+// Symbols for common data service ids, so plain ids are enough in ASSETS
+const KNOWN_SYMBOLS = {
+  bitcoin: "BTC",
+  ethereum: "ETH",
+  solana: "SOL",
+  binancecoin: "BNB",
+  ripple: "XRP",
+  cardano: "ADA",
+  dogecoin: "DOGE",
+};
+
+// Asset list used when ASSETS is not set
+const DEFAULT_ASSETS = "bitcoin,ethereum,solana";
+
+/**
+ * Parse an asset list string into asset definitions
+ * @param {string} [value] - Comma-separated `id` or `id:SYMBOL` entries
+ * @returns {Array} Assets ({ id, symbol }) in configured order, first is the primary asset
+ * @throws {Error} If the list is empty or contains an invalid or duplicate id
+ */
+function parseAssetList(value = DEFAULT_ASSETS) {
+  const assets = [];
+  String(value)
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .forEach((entry) => {
+      const [rawId, rawSymbol] = entry.split(":").map((s) => s.trim());
+      const id = rawId.toLowerCase();
+      if (!/^[a-z0-9-]+$/.test(id)) {
+        throw new Error(`Invalid asset id "${rawId}" in ASSETS`);
+      }
+      if (assets.some((a) => a.id === id)) {
+        throw new Error(`Duplicate asset id "${id}" in ASSETS`);
+      }
+      assets.push({
+        id,
+        symbol: (rawSymbol || KNOWN_SYMBOLS[id] || id).toUpperCase(),
+      });
+    });
+
+  if (assets.length === 0) {
+    throw new Error("ASSETS must contain at least one asset id");
+  }
+  return assets;
+}
+
+module.exports = { parseAssetList, KNOWN_SYMBOLS, DEFAULT_ASSETS };
@@ -0,0 +1,71 @@
+/**
+ * Audit Log
+ * =========
+ *
+ * Author: Muhammad Bilal Motiwala
+ * Project: Black Swan
+ *
+ * Records who did what through the API: analysis triggers, cache refreshes,
+ * backtests and configuration changes, including attempts rejected for missing
+ * credentials or role. The most recent entries are kept in memory; every entry
+ * is also handed to a `recordEntry` callback for persistence.
+ *
+ * Entry shape:
+ *   { action, actor, role, auth_method, auth_error?, request: { method, path, query },
+ *     status, ip, details, timestamp }
+ */
+
+class AuditLog {
+  /**
+   * @param {Object} options - Audit log options
+   * @param {Function} [options.recordEntry] - Async callback that persists an entry
+   * @param {number} [options.maxEntries] - Entries kept in memory
+   */
+  constructor({ recordEntry = null, maxEntries = 500 } = {}) {
+    this.recordEntry = recordEntry;
+    this.maxEntries = maxEntries;
+    this.entries = []; // Ascending by timestamp
+  }
+
+  /**
+   * Record an entry
+   * @param {Object} entry - Entry without a timestamp
+   * @returns {Object} Recorded entry
+   */
+  add(entry) {
+    const recorded = { ...entry, timestamp: new Date().toISOString() };
+    this.entries.push(recorded);
+    if (this.entries.length > this.maxEntries) this.entries.shift();
+
+    console.log(
+      `📝 [AUDIT] ${recorded.actor} (${recorded.role || "no role"}) ${
+        recorded.action
+      } -> ${recorded.status}`
+    );
+    if (this.recordEntry) {
+      Promise.resolve(this.recordEntry(recorded)).catch((e) =>
+        console.error("❌ [AUDIT] Failed to store audit entry:", e.message)
+      );
+    }
+    return recorded;
+  }
+
+  /**
+   * Entries recorded by this process, most recent first
+   * @param {Object} [filters] - Query filters
+   * @param {string} [filters.action] - Only this action
+   * @param {string} [filters.actor] - Only this actor
+   * @param {number} [filters.limit] - Maximum number of entries
+   * @returns {Array} Entries
+   */
+  recent({ action = null, actor = null, limit = 50 } = {}) {
+    return this.entries
+      .filter(
+        (e) => (!action || e.action === action) && (!actor || e.actor === actor)
+      )
+      .slice(-limit)
+      .reverse();
+  }
+}
+
+module.exports = { AuditLog };
@@ -0,0 +1,278 @@
+/**
+ * API Authentication
+ * ==================
+ *
+ * Author: Muhammad Bilal Motiwala
+ * Project: Black Swan
+ *
+ * Identifies API callers and the role they act with. Callers present either an
+ * API key (`X-API-Key: <key>` or `Authorization: Bearer <key>`) or, when a
+ * secret is configured, an HS256 JWT (`Authorization: Bearer <jwt>`).
+ *
+ * Roles, each allowed everything the previous one is:
+ * - reader:   read analyses, history, alerts and status
+ * - operator: trigger analyses, refresh caches, start backtests
+ * - admin:    read the audit log, view and change the configuration
+ *
+ * API key format: comma-separated `name:role:key` or `name:role:key:limit`
+ * entries, where limit overrides the per-key rate limit. The key may be given
+ * as `sha256.<hex digest>` so the plain key does not have to be stored, e.g.
+ *   API_KEYS=dashboard:reader:k3y...,ops:operator:sha256.9f86d0...:600
+ */
+
+const crypto = require("crypto");
+
+const ROLE_LEVELS = { reader: 1, operator: 2, admin: 3 };
+
+/**
+ * Whether a value names a role
+ * @param {*} role - Candidate role
+ * @returns {boolean} True for reader, operator and admin
+ */
+function isRole(role) {
+  return typeof role === "string" && Object.hasOwn(ROLE_LEVELS, role);
+}
+
+/**
+ * SHA-256 digest of an API key
+ * @param {string} key - Plain API key
+ * @returns {Buffer} Digest
+ */
+function hashKey(key) {
+  return crypto.createHash("sha256").update(key).digest();
+}
+
+/**
+ * Parse an API key list string into key definitions
+ * @param {string} [value] - Comma-separated `name:role:key[:limit]` entries
+ * @returns {Array} Keys ({ name, role, hash, rateLimit })
+ * @throws {Error} If an entry is incomplete, has an unknown role, a bad limit or a duplicate name
+ */
+function parseApiKeys(value = "") {
+  const keys = [];
+  String(value)
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .forEach((entry) => {
+      const [name, role, key, limit] = entry.split(":").map((s) => s.trim());
+      if (!name || !key) {
+        throw new Error(
+          `Invalid API key entry for "${
+            name || entry.slice(0, 8)
+          }" in API_KEYS (expected name:role:key)`
+        );
+      }
+      if (!isRole(role)) {
+        throw new Error(
+          `Unknown role "${role}" for API key "${name}" (expected ${Object.keys(
+            ROLE_LEVELS
+          ).join(", ")})`
+        );
+      }
+      if (keys.some((k) => k.name === name)) {
+        throw new Error(`Duplicate API key name "${name}" in API_KEYS`);
+      }
+      const rateLimit = limit === undefined ? null : parseInt(limit);
+      if (rateLimit !== null && !(rateLimit > 0)) {
+        throw new Error(`Invalid rate limit "${limit}" for API key "${name}"`);
+      }
+      const hashed = key.match(/^sha256\.([0-9a-f]{64})$/i);
+      keys.push({
+        name,
+        role,
+        hash: hashed ? Buffer.from(hashed[1], "hex") : hashKey(key),
+        rateLimit,
+      });
+    });
+  return keys;
+}
+
+/**
+ * Whether a role includes the permissions of another
+ * @param {string} role - Caller's role
+ * @param {string} required - Role the route requires
+ * @returns {boolean} True when allowed
+ */
+function roleAllows(role, required) {
+  return isRole(role) && ROLE_LEVELS[role] >= ROLE_LEVELS[required];
+}
+
+/**
+ * Verify an HS256 JWT
+ * @param {string} token - Compact JWT
+ * @param {Object} options - Verification options
+ * @param {string} options.secret - HMAC secret
+ * @param {string} [options.issuer] - Required `iss`
+ * @param {string} [options.audience] - Required `aud` (or one of them)
+ * @param {number} [now] - Current time (ms)
+ * @returns {Object} Claims
+ * @throws {Error} If the token is malformed, signed with another key or algorithm, expired or not yet valid
+ */
+function verifyJwt(token, { secret, issuer, audience }, now = Date.now()) {
+  const [encodedHeader, encodedClaims, signature, ...rest] = token.split(".");
+  if (!signature || rest.length > 0) throw new Error("malformed token");
+
+  let header;
+  let claims;
+  try {
+    header = JSON.parse(Buffer.from(encodedHeader, "base64url").toString());
+    claims = JSON.parse(Buffer.from(encodedClaims, "base64url").toString());
+  } catch {
+    throw new Error("malformed token");
+  }
+  if (header.alg !== "HS256") {
+    throw new Error(`unsupported algorithm ${header.alg}`);
+  }
+
+  const expected = crypto
+    .createHmac("sha256", secret)
+    .update(`${encodedHeader}.${encodedClaims}`)
+    .digest();
+  const actual = Buffer.from(signature, "base64url");
+  if (
+    actual.length !== expected.length ||
+    !crypto.timingSafeEqual(actual, expected)
+  ) {
+    throw new Error("invalid signature");
+  }
+
+  const seconds = now / 1000;
+  if (typeof claims.exp === "number" && seconds >= claims.exp) {
+    throw new Error("token expired");
+  }
+  if (typeof claims.nbf === "number" && seconds < claims.nbf) {
+    throw new Error("token not yet valid");
+  }
+  if (issuer && claims.iss !== issuer) throw new Error("wrong issuer");
+  const audiences = [].concat(claims.aud ?? []);
+  if (audience && !audiences.includes(audience)) {
+    throw new Error("wrong audience");
+  }
+  return claims;
+}
+
+class Authenticator {
+  /**
+   * @param {Object} options - Authentication options
+   * @param {Array} options.apiKeys - Keys from parseApiKeys()
+   * @param {Object} [options.jwt] - { secret, issuer, audience, roleClaim }; JWTs are rejected without a secret
+   * @param {Array} [options.queryTokenPaths] - Paths that also accept credentials as `?access_token=`
+   *   (for clients such as browser EventSource that cannot send headers)
+   */
+  constructor({ apiKeys, jwt = {}, queryTokenPaths = [] }) {
+    this.apiKeys = apiKeys;
+    this.jwt = jwt;
+    this.queryTokenPaths = queryTokenPaths;
+  }
+
+  /**
+   * Whether callers have to authenticate (any key or a JWT secret is configured)
+   * @returns {boolean} True when enabled
+   */
+  get enabled() {
+    return this.apiKeys.length > 0 || !!this.jwt.secret;
+  }
+
+  /**
+   * Find the API key matching a presented key
+   * @param {string} key - Presented key
+   * @returns {Object|null} Key definition
+   */
+  findKey(key) {
+    const hash = hashKey(key);
+    // Compare against every key so the time taken does not reveal a match
+    let found = null;
+    for (const entry of this.apiKeys) {
+      if (crypto.timingSafeEqual(hash, entry.hash)) found = entry;
+    }
+    return found;
+  }
+
+  /**
+   * Identify the caller of a request
+   * @param {Object} headers - Request headers (lower-case names)
+   * @returns {Object} { principal } for valid credentials ({ name, role, method, rateLimit }),
+   *   { error } for invalid ones, {} when none were presented
+   */
+  authenticate(headers) {
+    const bearer = (headers.authorization || "").match(/^Bearer\s+(.+)$/i);
+    const credential = headers["x-api-key"] || bearer?.[1]?.trim();
+    if (!credential) return {};
+
+    // Three dot-separated segments: a JWT rather than an API key
+    if (this.jwt.secret && credential.split(".").length === 3) {
+      try {
+        const claims = verifyJwt(credential, this.jwt);
+        const role = []
+          .concat(claims[this.jwt.roleClaim] ?? [])
+          .filter(isRole)
+          .sort((a, b) => ROLE_LEVELS[b] - ROLE_LEVELS[a])[0];
+        if (!role) {
+          return {
+            error: `token has no known role in "${this.jwt.roleClaim}"`,
+          };
+        }
+        return {
+          principal: {
+            name: claims.sub || "jwt",
+            role,
+            method: "jwt",
+            rateLimit: null,
+          },
+        };
+      } catch (error) {
+        return { error: error.message };
+      }
+    }
+
+    const key = this.findKey(credential);
+    if (!key) return { error: "invalid API key" };
+    return {
+      principal: {
+        name: key.name,
+        role: key.role,
+        method: "api_key",
+        rateLimit: key.rateLimit,
+      },
+    };
+  }
+
+  /**
+   * Identify the caller of an HTTP request: its headers, or the `access_token`
+   * query parameter on the paths that accept it
+   * @param {Object} req - Request ({ path, headers, query })
+   * @returns {Object} Same as authenticate()
+   */
+  authenticateRequest(req) {
+    const token = req.query?.access_token;
+    if (typeof token === "string" && this.queryTokenPaths.includes(req.path)) {
+      return this.authenticate({
+        ...req.headers,
+        authorization: `Bearer ${token}`,
+      });
+    }
+    return this.authenticate(req.headers);
+  }
+
+  /**
+   * Authentication settings for status endpoints (never the keys)
+   * @returns {Object} { enabled, api_keys, jwt }
+   */
+  describe() {
+    return {
+      enabled: this.enabled,
+      api_keys: this.apiKeys.length,
+      jwt: !!this.jwt.secret,
+    };
+  }
+}
+
+module.exports = {
+  ROLE_LEVELS,
+  Authenticator,
+  parseApiKeys,
+  roleAllows,
+  verifyJwt,
+  hashKey,
+};
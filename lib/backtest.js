@@ -0,0 +1,366 @@
+/**
+ * Backtesting Helpers
+ * ===================
+ *
+ * Author: Muhammad Bilal Motiwala
+ * Project: Black Swan
+ *
+ * Replays historical data through the analysis pipeline. For each date in a
+ * range, daily closes and the bull market peak indicator snapshot are sliced to
+ * what was known on that date (no look-ahead), the caller scores them, and the
+ * score is compared with what the primary asset did afterwards: return and
+ * maximum drawdown over each forward horizon.
+ */
+
+const { toMillis } = require("./cycle-metrics");
+const {
+  diffIndicatorSnapshots,
+  formatChangesForPrompt,
+} = require("./indicator-diff");
+const { SCORE_BANDS, scoreBand } = require("./alert-engine");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Daily closes handed to the pipeline per date, matching the live cache window
+const DAILY_WINDOW = 900;
+
+/**
+ * Timestamp of an archived indicator snapshot
+ * @param {Object} snapshot - Snapshot ({ as_of } or a raw indicators document)
+ * @returns {number|null} Milliseconds or null if the snapshot has no usable time
+ */
+function snapshotTime(snapshot) {
+  const raw = snapshot?.as_of ?? snapshot?.timestamp ?? snapshot?.collected_at;
+  if (typeof raw?.toMillis === "function") return raw.toMillis(); // Firestore Timestamp
+  return toMillis(raw);
+}
+
+/**
+ * Dates to evaluate, midnight UTC from start to end (inclusive) every stepDays
+ * @param {string|number} start - First date (ISO date or ms)
+ * @param {string|number} end - Last date (ISO date or ms)
+ * @param {number} stepDays - Days between evaluated dates
+ * @returns {Array} Dates in milliseconds
+ */
+function backtestDates(start, end, stepDays) {
+  const day = (value) => Math.floor(toMillis(value) / DAY_MS) * DAY_MS;
+  const dates = [];
+  for (let t = day(start); t <= day(end); t += stepDays * DAY_MS) {
+    dates.push(t);
+  }
+  return dates;
+}
+
+/**
+ * Daily closes known as of a date: strictly before it, last DAILY_WINDOW kept
+ * @param {Array} closes - {timestamp, close} objects sorted ascending
+ * @param {number} asOf - Date in milliseconds
+ * @returns {Array} Sliced closes
+ */
+function closesAsOf(closes, asOf) {
+  return (closes || [])
+    .filter((c) => toMillis(c.timestamp) < asOf)
+    .slice(-DAILY_WINDOW);
+}
+
+/**
+ * Most recent indicator snapshot taken at or before a date
+ * @param {Array} snapshots - Archived snapshots sorted ascending by time
+ * @param {number} asOf - Date in milliseconds
+ * @returns {Object|null} Snapshot or null if none was archived yet
+ */
+function snapshotAsOf(snapshots, asOf) {
+  let found = null;
+  for (const snapshot of snapshots || []) {
+    const t = snapshotTime(snapshot);
+    if (t === null || t > asOf) continue;
+    found = snapshot;
+  }
+  return found;
+}
+
+/**
+ * Validate backtest parameters and fill in defaults
+ * @param {Object} input - Raw parameters (API body or CLI flags)
+ * @param {Object} defaults - { stepDays, horizons, maxPoints, provider }
+ * @returns {Object} { params } or { error } describing the first invalid field
+ */
+function normalizeBacktestParams(input, defaults) {
+  const start = toMillis(input.start);
+  const end = input.end ? toMillis(input.end) : Date.now();
+  if (start === null || end === null || start > end) {
+    return { error: "start/end must be valid dates with start <= end" };
+  }
+
+  const stepDays = parseInt(input.step_days ?? defaults.stepDays);
+  if (!Number.isInteger(stepDays) || stepDays < 1) {
+    return { error: "step_days must be a positive integer" };
+  }
+
+  const horizons = (
+    Array.isArray(input.horizons)
+      ? input.horizons
+      : String(input.horizons ?? defaults.horizons.join(",")).split(",")
+  ).map((h) => parseInt(h));
+  if (horizons.length === 0 || horizons.some((h) => !(h > 0))) {
+    return { error: "horizons must be positive day counts" };
+  }
+
+  const dates = backtestDates(start, end, stepDays);
+  if (dates.length > defaults.maxPoints) {
+    return {
+      error: `range produces ${dates.length} dates; maximum is ${defaults.maxPoints} (increase step_days)`,
+    };
+  }
+
+  if (input.snapshots !== undefined && !Array.isArray(input.snapshots)) {
+    return { error: "snapshots must be an array of indicator snapshots" };
+  }
+
+  return {
+    params: {
+      start: new Date(dates[0]).toISOString(),
+      end: new Date(dates[dates.length - 1]).toISOString(),
+      step_days: stepDays,
+      horizons,
+      provider: input.provider || defaults.provider,
+      model: input.model || null,
+      prompt_version: input.prompt_version || null,
+      dates,
+      snapshots: input.snapshots || null,
+    },
+  };
+}
+
+/**
+ * What the price did after a date, per forward horizon
+ * @param {Array} closes - Full {timestamp, close} series sorted ascending
+ * @param {number} asOf - Date in milliseconds
+ * @param {Array} horizons - Horizons in days
+ * @returns {Object} `${h}d` -> { return_pct, max_drawdown_pct, max_gain_pct } or null when the horizon is not covered yet
+ */
+function forwardOutcomes(closes, asOf, horizons) {
+  const known = closesAsOf(closes, asOf);
+  const base = known.length ? known[known.length - 1].close : null;
+  const outcomes = {};
+
+  horizons.forEach((h) => {
+    const window = (closes || []).filter((c) => {
+      const t = toMillis(c.timestamp);
+      return t >= asOf && t < asOf + h * DAY_MS;
+    });
+    const last = window[window.length - 1];
+    const covered = last && toMillis(last.timestamp) >= asOf + (h - 1) * DAY_MS;
+    if (!base || !covered) {
+      outcomes[`${h}d`] = null;
+      return;
+    }
+
+    const pct = (value) => Math.round((value / base - 1) * 10000) / 100;
+    const prices = window.map((c) => c.close);
+    outcomes[`${h}d`] = {
+      return_pct: pct(last.close),
+      max_drawdown_pct: Math.min(0, pct(Math.min(...prices))),
+      max_gain_pct: Math.max(0, pct(Math.max(...prices))),
+    };
+  });
+
+  return outcomes;
+}
+
+/**
+ * Pearson correlation between two equally long series
+ * @param {number[]} xs - First series
+ * @param {number[]} ys - Second series
+ * @returns {number|null} Correlation rounded to 3 decimals, null if undefined
+ */
+function correlation(xs, ys) {
+  const n = xs.length;
+  if (n < 3) return null;
+  const mean = (arr) => arr.reduce((a, b) => a + b, 0) / n;
+  const mx = mean(xs);
+  const my = mean(ys);
+  let cov = 0;
+  let vx = 0;
+  let vy = 0;
+  for (let i = 0; i < n; i++) {
+    cov += (xs[i] - mx) * (ys[i] - my);
+    vx += (xs[i] - mx) ** 2;
+    vy += (ys[i] - my) ** 2;
+  }
+  if (vx === 0 || vy === 0) return null;
+  return Math.round((cov / Math.sqrt(vx * vy)) * 1000) / 1000;
+}
+
+/**
+ * Summarize backtest points: score vs. subsequent return and drawdown
+ * @param {Array} points - Points from replayBacktest()
+ * @param {Array} horizons - Horizons in days
+ * @returns {Object} Score stats, per-band averages, correlations and top-scoring dates
+ */
+function summarizeBacktest(points, horizons) {
+  const scored = points.filter((p) => p.success);
+  const scores = scored.map((p) => p.score);
+  const average = (values) =>
+    values.length
+      ? Math.round((values.reduce((a, b) => a + b, 0) / values.length) * 100) /
+        100
+      : null;
+
+  // Average forward outcome for the given points at every horizon
+  const outcomeAverages = (subset) =>
+    Object.fromEntries(
+      horizons.map((h) => {
+        const covered = subset.map((p) => p.outcomes[`${h}d`]).filter(Boolean);
+        return [
+          `${h}d`,
+          {
+            points: covered.length,
+            avg_return_pct: average(covered.map((o) => o.return_pct)),
+            avg_max_drawdown_pct: average(
+              covered.map((o) => o.max_drawdown_pct)
+            ),
+          },
+        ];
+      })
+    );
+
+  const correlations = Object.fromEntries(
+    horizons.map((h) => {
+      const covered = scored.filter((p) => p.outcomes[`${h}d`]);
+      const s = covered.map((p) => p.score);
+      return [
+        `${h}d`,
+        {
+          score_vs_return: correlation(
+            s,
+            covered.map((p) => p.outcomes[`${h}d`].return_pct)
+          ),
+          score_vs_max_drawdown: correlation(
+            s,
+            covered.map((p) => p.outcomes[`${h}d`].max_drawdown_pct)
+          ),
+        },
+      ];
+    })
+  );
+
+  return {
+    points: points.length,
+    succeeded: scored.length,
+    failed: points.length - scored.length,
+    score: {
+      min: scores.length ? Math.min(...scores) : null,
+      max: scores.length ? Math.max(...scores) : null,
+      mean: average(scores),
+    },
+    by_band: SCORE_BANDS.map((band) => {
+      const inBand = scored.filter((p) => scoreBand(p.score) === band);
+      return {
+        band: band.name,
+        label: band.label,
+        points: inBand.length,
+        outcomes: outcomeAverages(inBand),
+      };
+    }),
+    correlations,
+    top_scores: [...scored]
+      .sort((a, b) => b.score - a.score)
+      .slice(0, 5)
+      .map(({ as_of, score, outcomes }) => ({ as_of, score, outcomes })),
+  };
+}
+
+/**
+ * Replay every date through the caller's analysis pipeline
+ * @param {Object} options - Backtest options
+ * @param {Array} options.dates - Dates in milliseconds (from backtestDates())
+ * @param {Array} options.assets - Configured assets ({ id, symbol }), first is primary
+ * @param {Object} options.dailyCloses - Asset id -> full {timestamp, close} series
+ * @param {Array} options.snapshots - Archived indicator snapshots sorted ascending
+ * @param {Array} options.horizons - Forward horizons in days
+ * @param {Function} options.analyzePoint - Async (historical) => { score, key_factors, ... }
+ * @param {Function} [options.onPoint] - Called with (point, index) after every date
+ * @returns {Array} Points: { as_of, success, score?, error?, outcomes, ... }
+ */
+async function replayBacktest({
+  dates,
+  assets,
+  dailyCloses,
+  snapshots,
+  horizons,
+  analyzePoint,
+  onPoint = () => {},
+}) {
+  const primary = assets[0];
+  const points = [];
+  let previous = null; // { asOf, snapshot } of the previous date, for indicator changes
+
+  for (const asOf of dates) {
+    const asOfIso = new Date(asOf).toISOString();
+    const snapshot = snapshotAsOf(snapshots, asOf);
+    const changes =
+      previous && previous.snapshot && snapshot
+        ? diffIndicatorSnapshots(previous.snapshot, snapshot)
+        : [];
+    const previousIso = previous ? new Date(previous.asOf).toISOString() : null;
+
+    const historical = {
+      asOf,
+      bullPeak: snapshot,
+      dailyCloses: Object.fromEntries(
+        assets.map((a) => [a.id, closesAsOf(dailyCloses[a.id], asOf)])
+      ),
+      indicatorChanges: formatChangesForPrompt(
+        changes.length ? [{ detected_at: asOfIso, changes }] : [],
+        previousIso
+      ),
+    };
+    const primaryCloses = historical.dailyCloses[primary.id];
+
+    const point = {
+      as_of: asOfIso,
+      snapshot_as_of: snapshot
+        ? new Date(snapshotTime(snapshot)).toISOString()
+        : null,
+      indicators_hit: snapshot
+        ? (snapshot.indicators || []).filter((ind) => !!ind?.hit_status).length
+        : null,
+      primary_close: primaryCloses.length
+        ? primaryCloses[primaryCloses.length - 1].close
+        : null,
+      outcomes: forwardOutcomes(dailyCloses[primary.id], asOf, horizons),
+    };
+
+    try {
+      const output = await analyzePoint(historical);
+      Object.assign(point, {
+        success: true,
+        score: output.score,
+        key_factors: output.key_factors,
+      });
+    } catch (error) {
+      Object.assign(point, { success: false, error: error.message });
+    }
+
+    points.push(point);
+    onPoint(point, points.length - 1);
+    previous = { asOf, snapshot };
+  }
+
+  return points;
+}
+
+module.exports = {
+  DAY_MS,
+  DAILY_WINDOW,
+  snapshotTime,
+  backtestDates,
+  closesAsOf,
+  snapshotAsOf,
+  normalizeBacktestParams,
+  forwardOutcomes,
+  correlation,
+  summarizeBacktest,
+  replayBacktest,
+};
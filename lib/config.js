@@ -0,0 +1,470 @@
+/**
+ * Service Configuration
+ * =====================
+ *
+ * Author: Muhammad Bilal Motiwala
+ * Project: Black Swan
+ *
+ * Helpers around the CONFIG object built in index.js:
+ * - An optional YAML or JSON config file (`CONFIG_FILE`) supplying the same
+ *   settings as the environment variables. Environment variables win over the
+ *   file, like the file wins over built-in defaults.
+ * - Validation of the effective configuration at startup, reporting every
+ *   problem at once (missing DATA_SERVICE_URL, invalid cron expressions,
+ *   unknown provider or mode names, ...). Settings parsed while CONFIG is
+ *   built (ASSETS, API_KEYS) record their errors with parseSetting() instead
+ *   of throwing, and so do the components named in it (provider, indicator
+ *   source, storage backend), so they are reported the same way.
+ * - A redacted copy of the configuration for status endpoints.
+ * - The settings that can be changed at runtime without a restart.
+ *
+ * Config file format: keys are environment variable names. Nested sections
+ * are joined with "_" and lists with ",", so these two are equivalent:
+ *
+ *   DATA_QUALITY_GATE: warn          DATA_QUALITY:
+ *   ASSETS: bitcoin,ethereum           GATE: warn
+ *                                    ASSETS: [bitcoin, ethereum]
+ */
+
+const fs = require("fs");
+const path = require("path");
+const cron = require("node-cron");
+const yaml = require("js-yaml");
+const { LOG_FORMATS } = require("./logger");
+const { LLM_PROVIDERS } = require("./llm-providers");
+const { INDICATOR_SOURCE_TYPES } = require("./indicator-sources");
+const { STORAGE_BACKENDS } = require("./analysis-repository");
+
+// Keys whose values are replaced in redacted copies
+const SECRET_KEY_PATTERN = /(API_KEYS?|SECRET|PASS|TOKEN|WEBHOOK_URL)$/;
+
+/**
+ * Flatten a parsed config file into environment variable names and strings
+ * @param {Object} data - Parsed file
+ * @param {string} [prefix] - Name prefix of a nested section
+ * @returns {Object} Variable name -> string value
+ */
+function flattenConfig(data, prefix = "") {
+  const values = {};
+  Object.entries(data).forEach(([key, value]) => {
+    const name = `${prefix}${key}`.toUpperCase();
+    if (value === null || value === undefined) return;
+    if (Array.isArray(value)) values[name] = value.join(",");
+    else if (typeof value === "object") {
+      Object.assign(values, flattenConfig(value, `${name}_`));
+    } else values[name] = String(value);
+  });
+  return values;
+}
+
+/**
+ * Read a YAML (.yaml / .yml) or JSON config file
+ * @param {string} file - Config file path
+ * @returns {Object} Variable name -> string value
+ * @throws {Error} If the file cannot be read or parsed, or is not a mapping
+ */
+function readConfigFile(file) {
+  const text = fs.readFileSync(file, "utf8");
+  let data;
+  try {
+    data = /\.ya?ml$/i.test(file) ? yaml.load(text) : JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Config file ${file} is not valid: ${error.message}`);
+  }
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw new Error(`Config file ${file} must contain a mapping of settings`);
+  }
+  return flattenConfig(data);
+}
+
+/**
+ * Apply a config file to the environment: only variables that are not set
+ * already are filled in, so the environment overrides the file
+ * @param {string} [file] - Config file path (nothing is applied when empty)
+ * @param {Object} [env] - Environment to fill in
+ * @returns {Object} { file, applied, overridden } with the variable names taken
+ *   from the file and those the environment overrode
+ * @throws {Error} If the file cannot be read or parsed
+ */
+function applyConfigFile(file, env = process.env) {
+  if (!file) return { file: null, applied: [], overridden: [] };
+  const resolved = path.resolve(file);
+  const values = readConfigFile(resolved);
+  const applied = [];
+  const overridden = [];
+  Object.entries(values).forEach(([name, value]) => {
+    if (env[name] !== undefined) {
+      overridden.push(name);
+      return;
+    }
+    env[name] = value;
+    applied.push(name);
+  });
+  return { file: resolved, applied, overridden };
+}
+
+/**
+ * Parse a setting while CONFIG is built, recording a failure instead of throwing
+ * @param {Function} parse - Parser returning the setting's value
+ * @param {*} fallback - Value used when parsing fails (startup is refused anyway)
+ * @param {Array} errors - Receives the parser's error message
+ * @returns {*} Parsed value, or the fallback
+ */
+function parseSetting(parse, fallback, errors) {
+  try {
+    return parse();
+  } catch (error) {
+    errors.push(error.message);
+    return fallback;
+  }
+}
+
+/**
+ * Read a numeric environment variable. Unset or empty gives the default;
+ * anything else is converted with Number(), so "abc" or "12abc" becomes NaN
+ * for validateConfig() to report instead of silently using the default.
+ * @param {string} name - Variable name
+ * @param {number|null} fallback - Default value
+ * @param {Object} [env] - Environment to read
+ * @returns {number|null} Number (NaN when not numeric), or the default
+ */
+function envNumber(name, fallback, env = process.env) {
+  const value = env[name];
+  if (value === undefined || value.trim() === "") return fallback;
+  return Number(value);
+}
+
+/**
+ * Message for a setting that is not one of its allowed values
+ * @param {string} name - Setting name
+ * @param {*} value - Configured value
+ * @param {Array} allowed - Allowed values
+ * @returns {string|null} Error message, or null when the value is allowed
+ */
+function oneOfError(name, value, allowed) {
+  return allowed.includes(value)
+    ? null
+    : `${name} must be one of ${allowed.join(", ")} (got "${value}")`;
+}
+
+/**
+ * Whether a value is an http(s) URL
+ * @param {*} value - Candidate
+ * @returns {boolean} True for a parseable http or https URL
+ */
+function isHttpUrl(value) {
+  try {
+    return ["http:", "https:"].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Validate the effective configuration
+ * @param {Object} config - Service CONFIG
+ * @param {Array} [parseErrors] - Errors recorded by parseSetting() while CONFIG was built
+ * @param {Object} [available] - What exists at runtime to check names against
+ * @param {Array} [available.promptVersions] - Versions of the analysis prompt on disk
+ * @returns {Array} Error messages (each once), empty when the configuration is valid
+ */
+function validateConfig(config, parseErrors = [], { promptVersions } = {}) {
+  const errors = [...parseErrors];
+  const oneOf = (name, value, allowed) => {
+    const error = oneOfError(name, value, allowed);
+    if (error) errors.push(error);
+  };
+  const cronExpression = (name, value) => {
+    if (!cron.validate(String(value))) {
+      errors.push(`${name} is not a valid cron expression: "${value}"`);
+    }
+  };
+  const url = (name, value, required) => {
+    if (!value) {
+      if (required) errors.push(`${name} is required`);
+    } else if (!isHttpUrl(value)) {
+      // Webhook URLs carry credentials, so their value is not echoed
+      const got = SECRET_KEY_PATTERN.test(name) ? "" : ` (got "${value}")`;
+      errors.push(`${name} must be an http(s) URL${got}`);
+    }
+  };
+  const positive = (name, value) => {
+    if (!(Number.isFinite(value) && value > 0)) {
+      errors.push(`${name} must be a positive number (got "${value}")`);
+    }
+  };
+  const integer = (name, value, min = 1) => {
+    if (!(Number.isInteger(value) && value >= min)) {
+      const kind = min === 0 ? "a non-negative" : "a positive";
+      errors.push(`${name} must be ${kind} integer (got "${value}")`);
+    }
+  };
+  const nonNegative = (name, value) => {
+    if (!(Number.isFinite(value) && value >= 0)) {
+      errors.push(`${name} must be a number >= 0 (got "${value}")`);
+    }
+  };
+  // Durations are configured in seconds, minutes or hours and stored in ms
+  const duration = (name, ms, unitMs) => positive(name, ms / unitMs);
+
+  url("DATA_SERVICE_URL", config.DATA_SERVICE_URL, true);
+
+  oneOf("LLM_PROVIDER", config.LLM_PROVIDER, LLM_PROVIDERS);
+  if (config.LLM_PROVIDER === "openrouter") {
+    if (!config.OPENROUTER_API_KEY) {
+      errors.push(
+        "OPENROUTER_API_KEY is required with LLM_PROVIDER=openrouter"
+      );
+    }
+    if (!config.MODEL) errors.push("MODEL must not be empty");
+  }
+  if (config.LLM_PROVIDER === "openai-compatible") {
+    url("OPENAI_COMPATIBLE_URL", config.OPENAI_COMPATIBLE_URL, true);
+  }
+  if (config.BACKTEST.LLM_PROVIDER) {
+    oneOf("BACKTEST_LLM_PROVIDER", config.BACKTEST.LLM_PROVIDER, LLM_PROVIDERS);
+  }
+
+  cronExpression("ANALYSIS_INTERVAL", config.ANALYSIS_INTERVAL);
+
+  integer("REQUEST_TIMEOUT", config.REQUEST_TIMEOUT);
+  const portNumber = (name, value) => {
+    const port = Number(value);
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+      errors.push(`${name} must be a port number (got "${value}")`);
+    }
+  };
+  portNumber("PORT", config.PORT);
+  portNumber("SMTP_PORT", config.ALERTS.EMAIL.SMTP_PORT);
+
+  oneOf("ENSEMBLE_METHOD", config.ENSEMBLE.METHOD, ["median", "trimmed-mean"]);
+  integer("ENSEMBLE_SAMPLES", config.ENSEMBLE.SAMPLES);
+  positive(
+    "ENSEMBLE_DISAGREEMENT_THRESHOLD",
+    config.ENSEMBLE.DISAGREEMENT_THRESHOLD
+  );
+  integer("STREAM_BUFFER_SIZE", config.STREAM.BUFFER_SIZE);
+  integer("STREAM_MAX_CLIENTS", config.STREAM.MAX_CLIENTS);
+  integer("RATE_LIMIT_IP", config.AUTH.RATE_LIMIT_IP);
+  integer("RATE_LIMIT_KEY", config.AUTH.RATE_LIMIT_KEY);
+  oneOf("PROMPT_STRICT", config.PROMPT.STRICT, ["error", "warn"]);
+  if (promptVersions) {
+    oneOf("PROMPT_VERSION", config.PROMPT.VERSION, promptVersions);
+    if (config.PROMPT.SHADOW_VERSION) {
+      oneOf(
+        "PROMPT_SHADOW_VERSION",
+        config.PROMPT.SHADOW_VERSION,
+        promptVersions
+      );
+    }
+  }
+  oneOf("LLM_RESPONSE_FORMAT", config.STRUCTURED_OUTPUT.RESPONSE_FORMAT, [
+    "json_schema",
+    "json_object",
+    "none",
+  ]);
+  oneOf("DATA_QUALITY_GATE", config.DATA_QUALITY.MODE, [
+    "enforce",
+    "warn",
+    "off",
+  ]);
+  const usage = config.USAGE;
+  const priced =
+    usage.PROMPT_PRICE_PER_MTOK !== null ||
+    usage.COMPLETION_PRICE_PER_MTOK !== null;
+  if (usage.PROMPT_PRICE_PER_MTOK !== null) {
+    nonNegative("LLM_PROMPT_PRICE_PER_MTOK", usage.PROMPT_PRICE_PER_MTOK);
+  }
+  if (usage.COMPLETION_PRICE_PER_MTOK !== null) {
+    nonNegative(
+      "LLM_COMPLETION_PRICE_PER_MTOK",
+      usage.COMPLETION_PRICE_PER_MTOK
+    );
+  }
+  if (usage.MONTHLY_BUDGET_USD !== null) {
+    positive("LLM_MONTHLY_BUDGET_USD", usage.MONTHLY_BUDGET_USD);
+    // Only OpenRouter is known to report the cost of every call; without
+    // prices the spend of other providers would stay at zero
+    if (config.LLM_PROVIDER === "openai-compatible" && !priced) {
+      errors.push(
+        "LLM_MONTHLY_BUDGET_USD with LLM_PROVIDER=openai-compatible needs LLM_PROMPT_PRICE_PER_MTOK and LLM_COMPLETION_PRICE_PER_MTOK (the endpoint may report no cost)"
+      );
+    }
+  }
+  const tokens = config.TOKEN_BUDGET;
+  if (tokens.MAX_PROMPT_TOKENS !== null) {
+    integer("PROMPT_TOKEN_BUDGET", tokens.MAX_PROMPT_TOKENS);
+  }
+  if (tokens.CONTEXT_WINDOW !== null) {
+    integer("MODEL_CONTEXT_WINDOW", tokens.CONTEXT_WINDOW);
+  }
+  integer("LLM_MAX_TOKENS", tokens.COMPLETION_TOKENS);
+  integer(
+    "MAX_REPAIR_ATTEMPTS",
+    config.STRUCTURED_OUTPUT.MAX_REPAIR_ATTEMPTS,
+    0
+  );
+
+  const dataService = config.DATA_SERVICE;
+  integer("DATA_SERVICE_RETRIES", dataService.RETRIES, 0);
+  positive("DATA_SERVICE.BACKOFF_MS", dataService.BACKOFF_MS);
+  positive("DATA_SERVICE.MAX_BACKOFF_MS", dataService.MAX_BACKOFF_MS);
+  integer("DATA_SERVICE_BREAKER_THRESHOLD", dataService.BREAKER_THRESHOLD);
+  duration(
+    "DATA_SERVICE_BREAKER_RESET_SECONDS",
+    dataService.BREAKER_RESET_MS,
+    1000
+  );
+  duration("DAILY_CACHE_TTL_HOURS", config.DAILY_CACHE.TTL_MS, 3600000);
+
+  const quality = config.DATA_QUALITY;
+  positive("DATA_QUALITY_BULL_PEAK_STALE_HOURS", quality.BULL_PEAK_STALE_HOURS);
+  positive(
+    "DATA_QUALITY_BULL_PEAK_MAX_AGE_HOURS",
+    quality.BULL_PEAK_MAX_AGE_HOURS
+  );
+  integer("DATA_QUALITY_MIN_DAILY_DAYS", quality.MIN_DAILY_DAYS);
+
+  const health = config.HEALTH;
+  if (health.MAX_ANALYSIS_AGE_HOURS !== null) {
+    positive("HEALTH_MAX_ANALYSIS_AGE_HOURS", health.MAX_ANALYSIS_AGE_HOURS);
+  }
+  integer("HEALTH_MAX_FAILED_ANALYSES", health.MAX_FAILED_ANALYSES);
+  duration("HEALTH_PROBE_INTERVAL_SECONDS", health.PROBE_INTERVAL_MS, 1000);
+
+  const triggers = config.EVENT_TRIGGERS;
+  duration("EVENT_TRIGGER_DEBOUNCE_SECONDS", triggers.DEBOUNCE_MS, 1000);
+  duration(
+    "EVENT_TRIGGER_MIN_INTERVAL_MINUTES",
+    triggers.MIN_INTERVAL_MS,
+    60000
+  );
+  positive("EVENT_TRIGGER_PRICE_MOVE_PCT", triggers.PRICE_MOVE_PCT);
+
+  const alerts = config.ALERTS;
+  integer("ALERT_HYSTERESIS", alerts.HYSTERESIS, 0);
+  positive("ALERT_SCORE_JUMP", alerts.SCORE_JUMP);
+  integer("ALERT_FAILURE_STREAK", alerts.FAILURE_STREAK);
+  duration("ALERT_COOLDOWN_MINUTES", alerts.COOLDOWN_MS, 60000);
+
+  oneOf(
+    "INDICATOR_SOURCE",
+    config.INDICATOR_SOURCE.TYPE,
+    INDICATOR_SOURCE_TYPES
+  );
+  if (config.INDICATOR_SOURCE.TYPE === "http") {
+    url("INDICATOR_SOURCE_URL", config.INDICATOR_SOURCE.URL, true);
+  }
+  if (
+    config.INDICATOR_SOURCE.TYPE === "file" &&
+    !config.INDICATOR_SOURCE.FILE
+  ) {
+    errors.push("INDICATOR_SOURCE_FILE is required with INDICATOR_SOURCE=file");
+  }
+  oneOf("STORAGE_BACKEND", config.STORAGE.BACKEND, STORAGE_BACKENDS);
+  oneOf("LOG_FORMAT", config.LOG_FORMAT, LOG_FORMATS);
+
+  url("ALERT_WEBHOOK_URL", config.ALERTS.WEBHOOK_URL, false);
+  url("ALERT_SLACK_WEBHOOK_URL", config.ALERTS.SLACK_WEBHOOK_URL, false);
+
+  // Names recorded while CONFIG was built are found again above
+  return [...new Set(errors)];
+}
+
+/**
+ * Copy of the configuration with secrets replaced by "[redacted]" (or null when unset)
+ * @param {*} value - Configuration (or a part of it)
+ * @param {string} [key] - Key of the value in its parent
+ * @returns {*} Redacted copy
+ */
+function redactConfig(value, key = "") {
+  if (SECRET_KEY_PATTERN.test(key)) {
+    const set = Array.isArray(value) ? value.length > 0 : !!value;
+    return set ? "[redacted]" : null;
+  }
+  if (Array.isArray(value)) return value.map((v) => redactConfig(v));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([k, v]) => [k, redactConfig(v, k)])
+    );
+  }
+  return value;
+}
+
+// Settings that can be changed at runtime (PATCH /api/config), with their parsers.
+// A parser returns the value to apply or throws with the reason it is invalid.
+const RUNTIME_SETTINGS = {
+  ANALYSIS_INTERVAL: {
+    description: "Cron expression of the scheduled analysis",
+    parse: (value) => {
+      if (typeof value !== "string" || !cron.validate(value)) {
+        throw new Error(`is not a valid cron expression: "${value}"`);
+      }
+      return value;
+    },
+  },
+  MODEL: {
+    description: "Model used by the LLM provider",
+    parse: (value) => {
+      if (typeof value !== "string" || !value.trim()) {
+        throw new Error("must be a non-empty model name");
+      }
+      return value.trim();
+    },
+  },
+  REQUEST_TIMEOUT: {
+    description: "Timeout of LLM and data service requests (ms)",
+    parse: (value) => {
+      const ms = Number(value);
+      if (!Number.isInteger(ms) || ms < 1000 || ms > 600000) {
+        throw new Error("must be an integer between 1000 and 600000 ms");
+      }
+      return ms;
+    },
+  },
+};
+
+/**
+ * Parse a runtime configuration update
+ * @param {Object} body - Setting name -> new value
+ * @returns {Object} { updates, errors } with the parsed values and one message per rejected setting
+ */
+function parseRuntimeUpdate(body) {
+  const updates = {};
+  const errors = [];
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return { updates, errors: ["body must be an object of settings"] };
+  }
+  Object.entries(body).forEach(([name, value]) => {
+    if (!Object.hasOwn(RUNTIME_SETTINGS, name)) {
+      errors.push(
+        `${name} cannot be changed at runtime (allowed: ${Object.keys(
+          RUNTIME_SETTINGS
+        ).join(", ")})`
+      );
+      return;
+    }
+    try {
+      updates[name] = RUNTIME_SETTINGS[name].parse(value);
+    } catch (error) {
+      errors.push(`${name} ${error.message}`);
+    }
+  });
+  if (errors.length === 0 && Object.keys(updates).length === 0) {
+    errors.push("no settings given");
+  }
+  return { updates, errors };
+}
+
+module.exports = {
+  applyConfigFile,
+  readConfigFile,
+  parseSetting,
+  envNumber,
+  oneOfError,
+  flattenConfig,
+  validateConfig,
+  redactConfig,
+  parseRuntimeUpdate,
+  RUNTIME_SETTINGS,
+};
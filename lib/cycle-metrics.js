@@ -0,0 +1,215 @@
+/**
+ * Cycle Metrics
+ * =============
+ *
+ * Author: Muhammad Bilal Motiwala
+ * Project: Black Swan
+ *
+ * Deterministic quantitative metrics computed from cached daily closes before
+ * the LLM call. These numbers are injected into the prompt and stored with each
+ * analysis so the model's cycle-position claims can be audited against them.
+ *
+ * All functions expect an array of {timestamp, close} objects sorted ascending
+ * by timestamp (the shape produced by refreshDailyClosesCache()).
+ */
+
+const DAYS_PER_YEAR = 365; // Crypto trades every day of the year
+
+/**
+ * Round a number to a fixed number of decimals, passing through null
+ * @param {number|null} value - Value to round
+ * @param {number} decimals - Decimal places to keep
+ * @returns {number|null} Rounded value or null if not finite
+ */
+function round(value, decimals = 2) {
+  if (!Number.isFinite(value)) return null;
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Convert a timestamp (ms, seconds or ISO string) to epoch milliseconds
+ * @param {number|string} timestamp - Raw timestamp from the data service
+ * @returns {number|null} Milliseconds or null if unparseable
+ */
+function toMillis(timestamp) {
+  if (timestamp === null || timestamp === undefined) return null;
+  let ms = timestamp;
+  if (typeof timestamp === "number" && timestamp < 1e12) ms = timestamp * 1000; // Seconds
+  const time = new Date(ms).getTime();
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Convert a timestamp (ms, seconds or ISO string) to an ISO date string
+ * @param {number|string} timestamp - Raw timestamp from the data service
+ * @returns {string|null} ISO date (YYYY-MM-DD) or null if unparseable
+ */
+function toIsoDate(timestamp) {
+  const ms = toMillis(timestamp);
+  return ms === null ? null : new Date(ms).toISOString().slice(0, 10);
+}
+
+/**
+ * Simple moving average of the last `period` values
+ * @param {number[]} values - Series of closes
+ * @param {number} period - Window length
+ * @returns {number|null} Average or null if not enough data
+ */
+function simpleMovingAverage(values, period) {
+  if (values.length < period) return null;
+  const window = values.slice(-period);
+  return window.reduce((sum, v) => sum + v, 0) / period;
+}
+
+/**
+ * Annualized realized volatility from daily log returns
+ * @param {number[]} values - Series of closes
+ * @param {number} period - Number of returns to include
+ * @returns {number|null} Annualized volatility in percent
+ */
+function realizedVolatility(values, period) {
+  if (values.length < period + 1) return null;
+  const window = values.slice(-(period + 1));
+  const returns = [];
+  for (let i = 1; i < window.length; i++) {
+    returns.push(Math.log(window[i] / window[i - 1]));
+  }
+  const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+  const variance =
+    returns.reduce((sum, r) => sum + Math.pow(r - mean, 2), 0) /
+    (returns.length - 1);
+  return Math.sqrt(variance) * Math.sqrt(DAYS_PER_YEAR) * 100;
+}
+
+/**
+ * Relative Strength Index using Wilder's smoothing
+ * @param {number[]} values - Series of closes
+ * @param {number} period - RSI period (default 14)
+ * @returns {number|null} RSI value between 0 and 100
+ */
+function relativeStrengthIndex(values, period = 14) {
+  if (values.length < period + 1) return null;
+
+  let avgGain = 0;
+  let avgLoss = 0;
+
+  // Seed averages with the first `period` changes
+  for (let i = 1; i <= period; i++) {
+    const change = values[i] - values[i - 1];
+    if (change > 0) avgGain += change;
+    else avgLoss -= change;
+  }
+  avgGain /= period;
+  avgLoss /= period;
+
+  // Smooth over the remaining changes
+  for (let i = period + 1; i < values.length; i++) {
+    const change = values[i] - values[i - 1];
+    avgGain = (avgGain * (period - 1) + Math.max(change, 0)) / period;
+    avgLoss = (avgLoss * (period - 1) + Math.max(-change, 0)) / period;
+  }
+
+  if (avgLoss === 0) return 100;
+  const rs = avgGain / avgLoss;
+  return 100 - 100 / (1 + rs);
+}
+
+/**
+ * 200-week moving average built from every 7th daily close (most recent first)
+ * Daily history is usually shorter than 200 weeks, so the average is computed
+ * over the weeks available and flagged as incomplete.
+ * @param {number[]} values - Series of daily closes
+ * @returns {Object} { value, weeks_used, complete }
+ */
+function twoHundredWeekAverage(values) {
+  const weekly = [];
+  for (let i = values.length - 1; i >= 0 && weekly.length < 200; i -= 7) {
+    weekly.push(values[i]);
+  }
+  if (weekly.length === 0) {
+    return { value: null, weeks_used: 0, complete: false };
+  }
+  const avg = weekly.reduce((sum, v) => sum + v, 0) / weekly.length;
+  return {
+    value: avg,
+    weeks_used: weekly.length,
+    complete: weekly.length >= 200,
+  };
+}
+
+/**
+ * Compute the full set of cycle metrics for a single asset
+ * @param {Array} dailyCloses - Array of {timestamp, close} objects sorted ascending
+ * @returns {Object} Metrics object (fields are null when history is too short)
+ */
+function computeCycleMetrics(dailyCloses) {
+  const series = (dailyCloses || []).filter((d) => Number.isFinite(d?.close));
+  if (series.length === 0) {
+    return { data_points: 0, note: "insufficient_daily_data" };
+  }
+
+  const closes = series.map((d) => d.close);
+  const last = series[series.length - 1];
+
+  // All-time high and cycle low within the available history
+  let athIndex = 0;
+  let lowIndex = 0;
+  series.forEach((d, i) => {
+    if (d.close > series[athIndex].close) athIndex = i;
+    if (d.close < series[lowIndex].close) lowIndex = i;
+  });
+  const ath = series[athIndex];
+  const low = series[lowIndex];
+
+  const sma50 = simpleMovingAverage(closes, 50);
+  const sma200 = simpleMovingAverage(closes, 200);
+  const ma200w = twoHundredWeekAverage(closes);
+
+  return {
+    data_points: series.length,
+    first_date: toIsoDate(series[0].timestamp),
+    last_date: toIsoDate(last.timestamp),
+    last_close: round(last.close, 4),
+    all_time_high: {
+      close: round(ath.close, 4),
+      date: toIsoDate(ath.timestamp),
+      days_since: series.length - 1 - athIndex,
+    },
+    drawdown_from_ath_pct: round((last.close / ath.close - 1) * 100),
+    cycle_low: {
+      close: round(low.close, 4),
+      date: toIsoDate(low.timestamp),
+      days_since: series.length - 1 - lowIndex,
+    },
+    multiple_from_cycle_low: round(last.close / low.close),
+    sma_50d: round(sma50, 4),
+    sma_200d: round(sma200, 4),
+    price_vs_sma_50d_pct: sma50 ? round((last.close / sma50 - 1) * 100) : null,
+    price_vs_sma_200d_pct: sma200
+      ? round((last.close / sma200 - 1) * 100)
+      : null,
+    mayer_multiple: sma200 ? round(last.close / sma200, 3) : null,
+    realized_volatility_30d_pct: round(realizedVolatility(closes, 30)),
+    realized_volatility_90d_pct: round(realizedVolatility(closes, 90)),
+    rsi_14d: round(relativeStrengthIndex(closes, 14)),
+    ma_200w: {
+      value: round(ma200w.value, 4),
+      weeks_used: ma200w.weeks_used,
+      complete: ma200w.complete,
+    },
+    price_vs_ma_200w_pct: ma200w.value
+      ? round((last.close / ma200w.value - 1) * 100)
+      : null,
+  };
+}
+
+module.exports = {
+  computeCycleMetrics,
+  toMillis,
+  toIsoDate,
+  simpleMovingAverage,
+  realizedVolatility,
+  relativeStrengthIndex,
+  twoHundredWeekAverage,
+};
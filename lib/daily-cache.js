@@ -0,0 +1,126 @@
+/**
+ * Daily Closes Cache Persistence
+ * ==============================
+ *
+ * Author: Muhammad Bilal Motiwala
+ * Project: Black Swan
+ *
+ * Helpers for the daily closes cache: persisting it to a local JSON file so a
+ * restart does not refetch ~900 days per asset, and incremental refreshes that
+ * fetch only the days after the last stored close and merge them in.
+ *
+ * File format:
+ *   { version: 1, saved_at, assets: { <id>: { fetched_at, closes: [{timestamp, close}] } } }
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { toMillis, toIsoDate } = require("./cycle-metrics");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FILE_VERSION = 1;
+
+/**
+ * Days to request so the fetch covers everything after the last stored close.
+ * The last stored day is fetched again because its close may have been taken
+ * before the day ended.
+ * @param {Array} closes - Stored {timestamp, close} objects sorted ascending
+ * @param {number} window - Days kept in the cache (a full fetch)
+ * @param {number} [now] - Current time (ms)
+ * @returns {number} Days to request, at most window
+ */
+function incrementalDays(closes, window, now = Date.now()) {
+  if (!closes || closes.length === 0) return window;
+  const last = toMillis(closes[closes.length - 1].timestamp);
+  if (last === null) return window;
+  const days = Math.floor(now / DAY_MS) - Math.floor(last / DAY_MS) + 1;
+  return Math.min(window, Math.max(1, days));
+}
+
+/**
+ * Merge fetched closes into stored ones: one close per UTC day, fetched values
+ * replacing stored ones for the same day, sorted ascending, last window kept
+ * @param {Array} stored - Stored {timestamp, close} objects
+ * @param {Array} fetched - Newly fetched {timestamp, close} objects
+ * @param {number} window - Days kept
+ * @returns {Object} { closes, added } where added counts days not stored before
+ */
+function mergeDailyCloses(stored, fetched, window) {
+  const byDay = new Map();
+  const add = (c) => {
+    const day = toIsoDate(c.timestamp);
+    if (day !== null) byDay.set(day, c); // Skip closes without a usable timestamp
+  };
+  (stored || []).forEach(add);
+  const before = byDay.size;
+  (fetched || []).forEach(add);
+  const added = byDay.size - before;
+
+  const closes = [...byDay.values()]
+    .sort((a, b) => toMillis(a.timestamp) - toMillis(b.timestamp))
+    .slice(-window);
+  return { closes, added };
+}
+
+/**
+ * Read the cache file
+ * @param {string} file - Cache file path
+ * @returns {Object|null} Asset id -> { closes, fetchedAt }, null when there is
+ *   no usable file
+ */
+function readCacheFile(file) {
+  if (!fs.existsSync(file)) return null;
+  try {
+    const data = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (data?.version !== FILE_VERSION || typeof data.assets !== "object") {
+      console.warn(`⚠️ [CACHE] Ignoring ${file}: unknown format`);
+      return null;
+    }
+    return Object.fromEntries(
+      Object.entries(data.assets).map(([id, entry]) => [
+        id,
+        {
+          closes: Array.isArray(entry.closes) ? entry.closes : [],
+          fetchedAt: toMillis(entry.fetched_at),
+        },
+      ])
+    );
+  } catch (error) {
+    console.warn(`⚠️ [CACHE] Ignoring ${file}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Write the cache file atomically (temp file + rename)
+ * @param {string} file - Cache file path
+ * @param {Object} assets - Asset id -> { closes, fetchedAt }
+ */
+async function writeCacheFile(file, assets) {
+  const data = {
+    version: FILE_VERSION,
+    saved_at: new Date().toISOString(),
+    assets: Object.fromEntries(
+      Object.entries(assets).map(([id, entry]) => [
+        id,
+        {
+          fetched_at: entry.fetchedAt
+            ? new Date(entry.fetchedAt).toISOString()
+            : null,
+          closes: entry.closes,
+        },
+      ])
+    ),
+  };
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  await fs.promises.writeFile(tmp, JSON.stringify(data));
+  await fs.promises.rename(tmp, file);
+}
+
+module.exports = {
+  incrementalDays,
+  mergeDailyCloses,
+  readCacheFile,
+  writeCacheFile,
+};
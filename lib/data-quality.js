@@ -0,0 +1,287 @@
+/**
+ * Data Quality Gate
+ * =================
+ *
+ * Author: Muhammad Bilal Motiwala
+ * Project: Black Swan
+ *
+ * Checks the inputs of an analysis before the LLM is asked for a score:
+ * freshness of the bull peak indicator snapshot, daily close history length,
+ * gaps and outliers in the daily closes, 24h minute-series coverage, and
+ * inputs the data service client reported as stale.
+ *
+ * Every problem is an issue with a severity:
+ * - "abort":   the score would not be meaningful (no indicator snapshot, too
+ *              little primary-asset history); the analysis is not run
+ * - "degrade": the analysis runs, but with a lower `confidence`
+ *
+ * Confidence is "high" without issues, "medium" with one or two degrading
+ * issues and "low" with more, or when aborting issues are let through.
+ */
+
+const { toMillis } = require("./cycle-metrics");
+const { snapshotTime } = require("./backtest");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Degrading issues tolerated before confidence drops from medium to low
+const MEDIUM_CONFIDENCE_MAX_ISSUES = 2;
+
+/**
+ * Build an issue
+ * @param {string} check - Check that found it
+ * @param {string} input - Input it concerns (e.g. "bull_peak", "bitcoin_daily")
+ * @param {string} severity - "abort" or "degrade"
+ * @param {string} message - Human-readable description
+ * @param {Object} [details] - Measured values
+ * @returns {Object} Issue
+ */
+function issue(check, input, severity, message, details = {}) {
+  return { check, input, severity, message, ...details };
+}
+
+/**
+ * Check that the bull peak snapshot exists and is recent
+ * @param {Object} bullPeak - Latest indicator snapshot (timestamp / collected_at)
+ * @param {number} asOf - Analysis time (ms)
+ * @param {Object} thresholds - { bullPeakStaleHours, bullPeakMaxAgeHours }
+ * @returns {Array} Issues
+ */
+function checkBullPeak(bullPeak, asOf, thresholds) {
+  if (!bullPeak) {
+    return [
+      issue(
+        "bull_peak_freshness",
+        "bull_peak",
+        "abort",
+        "no bull market peak indicator snapshot"
+      ),
+    ];
+  }
+  const time = snapshotTime(bullPeak);
+  if (time === null) {
+    return [
+      issue(
+        "bull_peak_freshness",
+        "bull_peak",
+        "degrade",
+        "bull market peak snapshot has no timestamp or collected_at"
+      ),
+    ];
+  }
+
+  const ageHours = Math.round(((asOf - time) / HOUR_MS) * 10) / 10;
+  if (ageHours > thresholds.bullPeakMaxAgeHours) {
+    return [
+      issue(
+        "bull_peak_freshness",
+        "bull_peak",
+        "abort",
+        `bull market peak snapshot is ${ageHours}h old (maximum ${thresholds.bullPeakMaxAgeHours}h)`,
+        { age_hours: ageHours }
+      ),
+    ];
+  }
+  if (ageHours > thresholds.bullPeakStaleHours) {
+    return [
+      issue(
+        "bull_peak_freshness",
+        "bull_peak",
+        "degrade",
+        `bull market peak snapshot is ${ageHours}h old (stale after ${thresholds.bullPeakStaleHours}h)`,
+        { age_hours: ageHours }
+      ),
+    ];
+  }
+  return [];
+}
+
+/**
+ * Check an asset's daily closes: history length, gaps and outliers
+ * @param {Array} closes - {timestamp, close} objects sorted ascending
+ * @param {Object} asset - { id, symbol }
+ * @param {boolean} primary - Whether this is the primary asset (too little history aborts)
+ * @param {Object} thresholds - { minDailyDays, maxGapDays, outlierMovePct }
+ * @returns {Array} Issues
+ */
+function checkDailyCloses(closes, asset, primary, thresholds) {
+  const input = `${asset.id}_daily`;
+  const series = closes || [];
+  if (series.length < thresholds.minDailyDays) {
+    return [
+      issue(
+        "daily_history",
+        input,
+        primary ? "abort" : "degrade",
+        `${asset.symbol} has ${series.length} daily closes (minimum ${thresholds.minDailyDays})`,
+        { closes: series.length }
+      ),
+    ];
+  }
+
+  const issues = [];
+  const gaps = [];
+  const outliers = [];
+  for (let i = 1; i < series.length; i++) {
+    const gapDays =
+      (toMillis(series[i].timestamp) - toMillis(series[i - 1].timestamp)) /
+      DAY_MS;
+    if (gapDays > thresholds.maxGapDays) {
+      gaps.push({
+        after: new Date(toMillis(series[i - 1].timestamp)).toISOString(),
+        days: Math.round(gapDays * 10) / 10,
+      });
+    }
+
+    const previous = series[i - 1].close;
+    const movePct =
+      previous > 0 ? Math.abs(series[i].close / previous - 1) * 100 : Infinity;
+    if (movePct > thresholds.outlierMovePct || series[i].close <= 0) {
+      outliers.push({
+        at: new Date(toMillis(series[i].timestamp)).toISOString(),
+        move_pct: Number.isFinite(movePct)
+          ? Math.round(movePct * 10) / 10
+          : null,
+      });
+    }
+  }
+
+  if (gaps.length > 0) {
+    issues.push(
+      issue(
+        "daily_gaps",
+        input,
+        "degrade",
+        `${asset.symbol} daily closes have ${gaps.length} gap(s) over ${
+          thresholds.maxGapDays
+        } days (largest ${Math.max(...gaps.map((g) => g.days))} days)`,
+        { gaps: gaps.slice(0, 10) }
+      )
+    );
+  }
+  if (outliers.length > 0) {
+    issues.push(
+      issue(
+        "daily_outliers",
+        input,
+        "degrade",
+        `${asset.symbol} daily closes have ${outliers.length} day-over-day move(s) over ${thresholds.outlierMovePct}%`,
+        { outliers: outliers.slice(0, 10) }
+      )
+    );
+  }
+  return issues;
+}
+
+/**
+ * Check how much of the last 24 hours an asset's minute series covers
+ * @param {Array} points - Minute points (timestamp / time / t)
+ * @param {Object} asset - { id, symbol }
+ * @param {number} asOf - Analysis time (ms)
+ * @param {Object} thresholds - { minMinuteCoverage } as a fraction of 1440 minutes
+ * @returns {Array} Issues
+ */
+function checkMinuteCoverage(points, asset, asOf, thresholds) {
+  const input = `${asset.id}_24h`;
+  const minutes = new Set();
+  (points || []).forEach((point, i) => {
+    const time = toMillis(point?.timestamp ?? point?.time ?? point?.t);
+    // Points without a timestamp are assumed to be one minute apart
+    if (time === null) minutes.add(i);
+    else if (time > asOf - DAY_MS && time <= asOf) {
+      minutes.add(Math.floor(time / 60000));
+    }
+  });
+
+  const coverage =
+    Math.round((Math.min(minutes.size, 1440) / 1440) * 100) / 100;
+  if (coverage >= thresholds.minMinuteCoverage) return [];
+  return [
+    issue(
+      "minute_coverage",
+      input,
+      "degrade",
+      minutes.size === 0
+        ? `${asset.symbol} has no minute data for the last 24h`
+        : `${asset.symbol} minute data covers ${Math.round(
+            coverage * 100
+          )}% of the last 24h (minimum ${Math.round(
+            thresholds.minMinuteCoverage * 100
+          )}%)`,
+      { coverage }
+    ),
+  ];
+}
+
+/**
+ * Report inputs the data service client served stale
+ * @param {Object} dataInputs - Input name -> { status, age_seconds, error }
+ * @returns {Array} Issues
+ */
+function checkStaleInputs(dataInputs) {
+  return Object.entries(dataInputs || {})
+    .filter(([, s]) => s.status === "stale")
+    .map(([name, s]) =>
+      issue(
+        "input_freshness",
+        name,
+        "degrade",
+        `${name} is stale${s.error ? ` (${s.error})` : ""}`,
+        { age_seconds: s.age_seconds }
+      )
+    );
+}
+
+/**
+ * Confidence of an analysis given its issues
+ * @param {Array} issues - Issues found
+ * @returns {string} "high", "medium" or "low"
+ */
+function confidenceFor(issues) {
+  if (issues.some((i) => i.severity === "abort")) return "low";
+  if (issues.length === 0) return "high";
+  return issues.length <= MEDIUM_CONFIDENCE_MAX_ISSUES ? "medium" : "low";
+}
+
+/**
+ * Run every check on the inputs of an analysis
+ * @param {Object} inputs - Analysis inputs
+ * @param {number} inputs.asOf - Analysis time (ms)
+ * @param {Object} inputs.bullPeak - Latest indicator snapshot
+ * @param {Array} inputs.assets - { id, symbol, daily, minutes } per configured asset, primary first
+ * @param {Object} [inputs.dataInputs] - Input freshness from the data service client
+ * @param {Object} thresholds - Check thresholds (see the individual checks)
+ * @returns {Object} { passed, confidence, issues, checked_at } where passed is
+ *   false when any issue aborts the analysis
+ */
+function assessDataQuality(
+  { asOf, bullPeak, assets, dataInputs = {} },
+  thresholds
+) {
+  const issues = [
+    ...checkBullPeak(bullPeak, asOf, thresholds),
+    ...assets.flatMap((asset, i) => [
+      ...checkDailyCloses(asset.daily, asset, i === 0, thresholds),
+      ...checkMinuteCoverage(asset.minutes, asset, asOf, thresholds),
+    ]),
+    // Missing inputs are covered by the checks above
+    ...checkStaleInputs(dataInputs),
+  ];
+
+  return {
+    passed: !issues.some((i) => i.severity === "abort"),
+    confidence: confidenceFor(issues),
+    issues,
+    checked_at: new Date().toISOString(),
+  };
+}
+
+module.exports = {
+  assessDataQuality,
+  checkBullPeak,
+  checkDailyCloses,
+  checkMinuteCoverage,
+  checkStaleInputs,
+  confidenceFor,
+};
@@ -0,0 +1,320 @@
+/**
+ * Data Service Client
+ * ===================
+ *
+ * Author: Muhammad Bilal Motiwala
+ * Project: Black Swan
+ *
+ * HTTP client for the external price data service (`DATA_SERVICE_URL`).
+ * Requests are retried with exponential backoff on network errors, timeouts,
+ * 429 and 5xx responses. A circuit breaker around the service stops hammering
+ * it once requests keep failing: after `failureThreshold` failed requests in a
+ * row it opens and rejects requests immediately, then lets a single trial
+ * request through after `resetMs` (half-open) to decide whether to close again.
+ *
+ * Also describes the freshness of fetched inputs, so analyses can record which
+ * ones were fresh, served stale from the last good fetch, or missing.
+ */
+
+const axios = require("axios");
+
+/**
+ * Sleep for a number of milliseconds
+ * @param {number} ms - Delay
+ * @returns {Promise} Resolves after the delay
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Whether a failed request is worth retrying
+ * @param {Error} error - Axios error
+ * @returns {boolean} True for network errors, timeouts, 429 and 5xx
+ */
+function isRetryable(error) {
+  const status = error.response?.status;
+  if (!status) return true; // No response: network error or timeout
+  return status === 429 || status >= 500;
+}
+
+/**
+ * Short reason of a failed request, for metrics
+ * @param {Error} error - Axios error
+ * @returns {string} "http_<status>", "timeout" or "network"
+ */
+function failureReason(error) {
+  if (error.response) return `http_${error.response.status}`;
+  if (error.code === "ECONNABORTED" || error.code === "ETIMEDOUT") {
+    return "timeout";
+  }
+  return "network";
+}
+
+/**
+ * Backoff before a retry: exponential with full jitter
+ * @param {number} attempt - Retry number (1 = first retry)
+ * @param {number} baseMs - Base delay
+ * @param {number} maxMs - Delay cap
+ * @returns {number} Delay in milliseconds
+ */
+function backoffDelay(attempt, baseMs, maxMs) {
+  const ceiling = Math.min(maxMs, baseMs * 2 ** (attempt - 1));
+  return Math.round(ceiling / 2 + (Math.random() * ceiling) / 2);
+}
+
+class CircuitBreaker {
+  /**
+   * @param {Object} options - Breaker options
+   * @param {number} options.failureThreshold - Consecutive failures that open the circuit
+   * @param {number} options.resetMs - Time the circuit stays open before a trial request
+   */
+  constructor({ failureThreshold, resetMs }) {
+    this.failureThreshold = failureThreshold;
+    this.resetMs = resetMs;
+    this.state = "closed"; // "closed", "open" or "half_open"
+    this.failures = 0;
+    this.openedAt = null;
+    this.lastError = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Whether a request may go out now. Moves an open circuit to half-open once
+   * resetMs has passed and admits exactly one trial request.
+   * @returns {boolean} True when the request may proceed
+   */
+  allowRequest() {
+    if (this.state === "open" && Date.now() - this.openedAt >= this.resetMs) {
+      this.state = "half_open";
+    }
+    if (this.state === "closed") return true;
+    if (this.state === "half_open" && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Record a successful request (closes the circuit)
+   */
+  onSuccess() {
+    if (this.state !== "closed") {
+      console.log("✅ [DATA] Data service circuit closed");
+    }
+    this.state = "closed";
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Record a failed request (opens the circuit at the threshold or when a trial fails)
+   * @param {Error} error - The failure
+   */
+  onFailure(error) {
+    this.failures++;
+    this.lastError = error.message;
+    this.trialInFlight = false;
+    if (this.state === "half_open" || this.failures >= this.failureThreshold) {
+      if (this.state !== "open") {
+        console.warn(
+          `⚠️ [DATA] Data service circuit open after ${
+            this.failures
+          } failure(s); retrying in ${Math.round(this.resetMs / 1000)}s`
+        );
+      }
+      this.state = "open";
+      this.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * Breaker state for status endpoints
+   * @returns {Object} { state, consecutive_failures, opened_at, last_error }
+   */
+  status() {
+    return {
+      state: this.state,
+      consecutive_failures: this.failures,
+      opened_at: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      last_error: this.lastError,
+    };
+  }
+}
+
+class DataServiceClient {
+  /**
+   * @param {Object} options - Client options
+   * @param {string} options.baseUrl - Data service base URL
+   * @param {number} options.timeoutMs - Per-attempt timeout
+   * @param {number} options.retries - Retries after the first attempt
+   * @param {number} options.backoffMs - Base backoff delay
+   * @param {number} options.maxBackoffMs - Backoff cap
+   * @param {number} options.failureThreshold - Consecutive failed requests that open the circuit
+   * @param {number} options.resetMs - Time the circuit stays open
+   * @param {Function} [options.onRequest] - Called with { path, ok, code, attempts } after every
+   *   request, once its retries are done (used for metrics); code is "circuit_open" or a
+   *   failureReason() for failed requests
+   */
+  constructor({
+    baseUrl,
+    timeoutMs,
+    retries,
+    backoffMs,
+    maxBackoffMs,
+    failureThreshold,
+    resetMs,
+    onRequest = () => {},
+  }) {
+    this.baseUrl = baseUrl;
+    this.timeoutMs = timeoutMs;
+    this.retries = retries;
+    this.backoffMs = backoffMs;
+    this.maxBackoffMs = maxBackoffMs;
+    this.breaker = new CircuitBreaker({ failureThreshold, resetMs });
+    this.onRequest = onRequest;
+  }
+
+  /**
+   * Report a finished request to the onRequest callback
+   * @param {Object} outcome - { path, ok, code, attempts }
+   */
+  report(outcome) {
+    try {
+      this.onRequest(outcome);
+    } catch (error) {
+      console.error("❌ [DATA] Request callback failed:", error.message);
+    }
+  }
+
+  /**
+   * GET a JSON document from the data service
+   * @param {string} path - Path after the base URL (e.g. "/bitcoin?hours=24")
+   * @param {Object} [options] - Request options
+   * @param {number} [options.timeoutMs] - Per-attempt timeout override
+   * @returns {*} Response body
+   * @throws {Error} With `code` "circuit_open" or "request_failed", plus `attempts` and `status`
+   */
+  async getJson(path, { timeoutMs = this.timeoutMs } = {}) {
+    if (!this.breaker.allowRequest()) {
+      const error = new Error(
+        `Data service circuit open (${this.breaker.lastError})`
+      );
+      error.code = "circuit_open";
+      error.attempts = 0;
+      this.report({ path, ok: false, code: error.code, attempts: 0 });
+      throw error;
+    }
+
+    const url = `${this.baseUrl}${path}`;
+    let lastError = null;
+    let attempts = 0;
+    for (let attempt = 0; attempt <= this.retries; attempt++) {
+      if (attempt > 0) {
+        await sleep(backoffDelay(attempt, this.backoffMs, this.maxBackoffMs));
+      }
+      attempts++;
+      try {
+        const res = await axios.get(url, { timeout: timeoutMs });
+        this.breaker.onSuccess();
+        this.report({ path, ok: true, code: null, attempts });
+        return res.data;
+      } catch (error) {
+        lastError = error;
+        if (!isRetryable(error)) break;
+        if (attempt < this.retries) {
+          console.warn(
+            `⚠️ [DATA] GET ${path} failed (${error.message}), retry ${
+              attempt + 1
+            }/${this.retries}`
+          );
+        }
+      }
+    }
+
+    const error = new Error(`GET ${path} failed: ${lastError.message}`);
+    error.code = "request_failed";
+    error.status = lastError.response?.status ?? null;
+    error.attempts = attempts;
+    // A 4xx means the service is up and answering, so it does not count
+    // against the circuit
+    if (isRetryable(lastError)) this.breaker.onFailure(error);
+    else this.breaker.onSuccess();
+    this.report({ path, ok: false, code: failureReason(lastError), attempts });
+    throw error;
+  }
+
+  /**
+   * Client state for status endpoints
+   * @returns {Object} { url, retries, circuit }
+   */
+  status() {
+    return {
+      url: this.baseUrl,
+      retries: this.retries,
+      circuit: this.breaker.status(),
+    };
+  }
+}
+
+/**
+ * Describe the freshness of an input
+ * @param {Object} input - Input details
+ * @param {boolean} input.available - Whether any data is available
+ * @param {number} [input.fetchedAt] - When the data in use was fetched (ms)
+ * @param {boolean} [input.stale] - Whether the data is a fallback or too old
+ * @param {string} [input.error] - Why the latest fetch failed
+ * @returns {Object} { status: "fresh"|"stale"|"missing", fetched_at, age_seconds, error }
+ */
+function inputStatus({ available, fetchedAt = null, stale = false, error }) {
+  return {
+    status: !available ? "missing" : stale ? "stale" : "fresh",
+    fetched_at: fetchedAt ? new Date(fetchedAt).toISOString() : null,
+    age_seconds: fetchedAt ? Math.round((Date.now() - fetchedAt) / 1000) : null,
+    error: error || null,
+  };
+}
+
+/**
+ * Human-readable note on the inputs that are not fresh, for the prompt
+ * @param {Object} inputs - Input name -> inputStatus() result
+ * @returns {string} e.g. "bitcoin_24h: stale (last fetched 42 min ago; circuit open)", or "" when all are fresh
+ */
+function describeInputWarnings(inputs) {
+  return Object.entries(inputs)
+    .filter(([, s]) => s.status !== "fresh")
+    .map(([name, s]) => {
+      const details = [];
+      if (s.age_seconds !== null) {
+        details.push(`last fetched ${formatAge(s.age_seconds)} ago`);
+      }
+      if (s.error) details.push(s.error);
+      return `${name}: ${s.status}${
+        details.length ? ` (${details.join("; ")})` : ""
+      }`;
+    })
+    .join(", ");
+}
+
+/**
+ * Format an age in seconds as minutes, hours or days
+ * @param {number} seconds - Age
+ * @returns {string} e.g. "42 min", "5.5 h", "3 days"
+ */
+function formatAge(seconds) {
+  if (seconds < 3600) return `${Math.round(seconds / 60)} min`;
+  if (seconds < 2 * 86400) return `${Math.round((seconds / 3600) * 10) / 10} h`;
+  return `${Math.round(seconds / 86400)} days`;
+}
+
+module.exports = {
+  DataServiceClient,
+  CircuitBreaker,
+  isRetryable,
+  failureReason,
+  backoffDelay,
+  inputStatus,
+  describeInputWarnings,
+};
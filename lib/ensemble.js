@@ -0,0 +1,101 @@
+/**
+ * Ensemble Scoring
+ * ================
+ *
+ * Author: Muhammad Bilal Motiwala
+ * Project: Black Swan
+ *
+ * Helpers for fanning an analysis out to several models (or several samples of
+ * one model) and aggregating the member scores into a single, more stable score
+ * with spread and disagreement reporting.
+ */
+
+/**
+ * Build the list of ensemble members to run
+ * @param {string[]} models - Models to query (empty means the provider default)
+ * @param {number} samples - Number of samples to draw from each model
+ * @returns {Array} Array of { model, sample } member specs
+ */
+function buildEnsemblePlan(models, samples = 1) {
+  const modelList = models && models.length > 0 ? models : [null];
+  const count = Math.max(1, parseInt(samples) || 1);
+  const plan = [];
+  modelList.forEach((model) => {
+    for (let sample = 1; sample <= count; sample++)
+      plan.push({ model, sample });
+  });
+  return plan;
+}
+
+/**
+ * Median of a list of numbers
+ * @param {number[]} values - Input values
+ * @returns {number} Median value
+ */
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0
+    ? (sorted[mid - 1] + sorted[mid]) / 2
+    : sorted[mid];
+}
+
+/**
+ * Mean after dropping a fraction of the lowest and highest values
+ * @param {number[]} values - Input values
+ * @param {number} trimRatio - Fraction to drop from each end (0..0.5)
+ * @returns {number} Trimmed mean
+ */
+function trimmedMean(values, trimRatio = 0.2) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const trim = Math.floor(
+    sorted.length * Math.min(Math.max(trimRatio, 0), 0.49)
+  );
+  const kept = sorted.slice(trim, sorted.length - trim);
+  return kept.reduce((sum, v) => sum + v, 0) / kept.length;
+}
+
+/**
+ * Aggregate member scores into a single ensemble score
+ * @param {number[]} scores - Scores from successful members
+ * @param {Object} options - Aggregation options
+ * @param {string} options.method - "median" or "trimmed-mean"
+ * @param {number} options.trimRatio - Trim ratio for trimmed-mean
+ * @param {number} options.disagreementThreshold - Spread above which members disagree
+ * @returns {Object} { score, method, spread, std_dev, disagreement, disagreement_threshold }
+ * @throws {Error} If there are no scores or the method is unknown
+ */
+function aggregateScores(
+  scores,
+  { method = "median", trimRatio = 0.2, disagreementThreshold = 15 } = {}
+) {
+  if (!scores || scores.length === 0) {
+    throw new Error("No successful ensemble members to aggregate");
+  }
+
+  let value;
+  if (method === "median") value = median(scores);
+  else if (method === "trimmed-mean") value = trimmedMean(scores, trimRatio);
+  else throw new Error(`Unknown ensemble aggregation method: ${method}`);
+
+  const mean = scores.reduce((sum, s) => sum + s, 0) / scores.length;
+  const variance =
+    scores.reduce((sum, s) => sum + Math.pow(s - mean, 2), 0) / scores.length;
+  const spread = Math.max(...scores) - Math.min(...scores);
+
+  return {
+    score: Math.max(1, Math.min(100, Math.round(value))),
+    method,
+    spread,
+    std_dev: Math.round(Math.sqrt(variance) * 100) / 100,
+    disagreement: spread > disagreementThreshold,
+    disagreement_threshold: disagreementThreshold,
+  };
+}
+
+module.exports = {
+  buildEnsemblePlan,
+  median,
+  trimmedMean,
+  aggregateScores,
+};
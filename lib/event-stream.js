@@ -0,0 +1,192 @@
+/**
+ * Event Stream
+ * ============
+ *
+ * Author: Muhammad Bilal Motiwala
+ * Project: Black Swan
+ *
+ * Server-Sent Events (SSE) broadcast of service events to connected clients,
+ * e.g. a dashboard that updates live instead of polling. Every event gets an id
+ * of the form `<stream>-<sequence>`, where the stream part changes when the
+ * service restarts. The most recent events are kept in memory, so a client
+ * that reconnects with `Last-Event-ID` receives the events it missed.
+ *
+ * When the missed events are no longer available (the id is from before a
+ * restart or older than the buffer), the client receives a `stream.reset`
+ * event first and should reload its state from the REST API.
+ */
+
+const crypto = require("crypto");
+
+class EventStream {
+  /**
+   * @param {Object} [options] - Stream options
+   * @param {number} [options.bufferSize] - Events kept for replay
+   * @param {number} [options.heartbeatMs] - Interval of keep-alive comments
+   * @param {number} [options.maxClients] - Connected clients allowed at once
+   */
+  constructor({
+    bufferSize = 200,
+    heartbeatMs = 25000,
+    maxClients = 100,
+  } = {}) {
+    this.bufferSize = bufferSize;
+    this.heartbeatMs = heartbeatMs;
+    this.maxClients = maxClients;
+    this.streamId = crypto.randomBytes(4).toString("hex"); // New on every start
+    this.sequence = 0;
+    this.buffer = []; // Most recent events, oldest first
+    this.clients = new Set();
+    this.heartbeat = null;
+  }
+
+  /**
+   * Publish an event to every subscribed client
+   * @param {string} type - Event type, e.g. "analysis.completed"
+   * @param {Object} data - Event payload
+   * @returns {Object} Event ({ id, type, data, timestamp })
+   */
+  publish(type, data) {
+    const event = {
+      id: `${this.streamId}-${++this.sequence}`,
+      type,
+      data,
+      timestamp: new Date().toISOString(),
+    };
+    this.buffer.push(event);
+    if (this.buffer.length > this.bufferSize) this.buffer.shift();
+    this.clients.forEach((client) => {
+      if (client.accepts(type)) this.write(client.res, event);
+    });
+    return event;
+  }
+
+  /**
+   * Events published after a given event id
+   * @param {string} lastEventId - Id of the last event the client received
+   * @returns {Array|null} Missed events, or null when they are no longer available
+   */
+  eventsSince(lastEventId) {
+    const [streamId, seq] = String(lastEventId).split("-");
+    const sequence = Number(seq);
+    if (streamId !== this.streamId || !Number.isInteger(sequence)) return null;
+    const oldest = this.buffer.length
+      ? Number(this.buffer[0].id.split("-")[1])
+      : this.sequence + 1;
+    if (sequence < oldest - 1) return null; // Some were dropped from the buffer
+    return this.buffer.filter((e) => Number(e.id.split("-")[1]) > sequence);
+  }
+
+  /**
+   * Attach an HTTP response as a client, replaying missed events first
+   * @param {Object} req - Express request (closing it removes the client)
+   * @param {Object} res - Express response
+   * @param {Object} [options] - Subscription options
+   * @param {string} [options.lastEventId] - Id of the last event the client received
+   * @param {Array} [options.types] - Event type prefixes to receive (all when empty)
+   * @returns {boolean} False when the client limit is reached (nothing was written)
+   */
+  subscribe(req, res, { lastEventId = null, types = [] } = {}) {
+    if (this.clients.size >= this.maxClients) return false;
+
+    const client = {
+      res,
+      accepts: (type) =>
+        types.length === 0 ||
+        types.some((t) => type === t || type.startsWith(`${t}.`)),
+    };
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform", // no-transform: not buffered by compression
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no", // Nor by nginx
+    });
+    res.write(`retry: 5000\n\n`); // Reconnect delay for EventSource
+
+    if (lastEventId) {
+      const missed = this.eventsSince(lastEventId);
+      if (missed === null) {
+        this.write(res, {
+          id: this.lastEventId(),
+          type: "stream.reset",
+          data: { reason: "missed events are no longer available" },
+          timestamp: new Date().toISOString(),
+        });
+      } else {
+        missed
+          .filter((e) => client.accepts(e.type))
+          .forEach((e) => this.write(res, e));
+      }
+    }
+
+    this.clients.add(client);
+    this.startHeartbeat();
+    req.on("close", () => {
+      this.clients.delete(client);
+      if (this.clients.size === 0) this.stopHeartbeat();
+    });
+    return true;
+  }
+
+  /**
+   * Write one event in the SSE wire format
+   * @param {Object} res - Client response
+   * @param {Object} event - Event to write
+   */
+  write(res, event) {
+    const payload = JSON.stringify({
+      ...event.data,
+      timestamp: event.timestamp,
+    });
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${payload}\n\n`);
+    if (typeof res.flush === "function") res.flush();
+  }
+
+  /**
+   * Id of the latest published event
+   * @returns {string} Event id (sequence 0 before the first event)
+   */
+  lastEventId() {
+    return `${this.streamId}-${this.sequence}`;
+  }
+
+  /**
+   * Send keep-alive comments so proxies do not close idle connections
+   */
+  startHeartbeat() {
+    if (this.heartbeat) return;
+    this.heartbeat = setInterval(() => {
+      this.clients.forEach((client) => client.res.write(": keep-alive\n\n"));
+    }, this.heartbeatMs);
+    this.heartbeat.unref();
+  }
+
+  stopHeartbeat() {
+    clearInterval(this.heartbeat);
+    this.heartbeat = null;
+  }
+
+  /**
+   * End every client connection (graceful shutdown)
+   */
+  close() {
+    this.clients.forEach((client) => client.res.end());
+    this.clients.clear();
+    this.stopHeartbeat();
+  }
+
+  /**
+   * Stream state for status endpoints
+   * @returns {Object} { clients, max_clients, buffered, last_event_id }
+   */
+  describe() {
+    return {
+      clients: this.clients.size,
+      max_clients: this.maxClients,
+      buffered: this.buffer.length,
+      last_event_id: this.lastEventId(),
+    };
+  }
+}
+
+module.exports = { EventStream };
@@ -0,0 +1,176 @@
+/**
+ * Health Checks
+ * =============
+ *
+ * Author: Muhammad Bilal Motiwala
+ * Project: Black Swan
+ *
+ * Readiness evaluation for orchestrators. Each check returns a status with its
+ * own details:
+ * - pass: the dependency works
+ * - warn: it works in a reduced way (stale data, a few recent failures)
+ * - fail: analyses cannot run properly until it recovers
+ *
+ * The overall status is "unhealthy" when any check fails (HTTP 503), "degraded"
+ * when any warns and "healthy" otherwise (both HTTP 200). A check that throws
+ * or does not answer within the timeout fails.
+ *
+ * Checks that call out to a dependency (Firestore, the LLM provider) are
+ * wrapped with cachedProbe() so frequent probes do not hit it every time.
+ */
+
+// node-cron does not export its matcher; using it keeps the schedule read
+// exactly the way the scheduler reads it
+const TimeMatcher = require("node-cron/src/time-matcher");
+
+const CHECK_STATUSES = ["pass", "warn", "fail"];
+const SCHEDULE_SCAN_DAYS = 32; // Long enough to see two runs of a monthly schedule
+const scheduleIntervals = new Map(); // Cron expression -> longest gap (ms)
+
+/**
+ * Overall status of a set of check results
+ * @param {Object} checks - Check name -> { status, ... }
+ * @returns {string} "healthy", "degraded" or "unhealthy"
+ */
+function overallStatus(checks) {
+  const statuses = Object.values(checks).map((c) => c.status);
+  if (statuses.includes("fail")) return "unhealthy";
+  if (statuses.includes("warn")) return "degraded";
+  return "healthy";
+}
+
+/**
+ * HTTP status code for an overall status
+ * @param {string} status - Result of overallStatus()
+ * @returns {number} 503 when unhealthy, 200 otherwise
+ */
+function httpStatusFor(status) {
+  return status === "unhealthy" ? 503 : 200;
+}
+
+/**
+ * Run one check, turning exceptions, timeouts and malformed results into failures
+ * @param {Function} check - (Async) function returning { status, ... }
+ * @param {number} timeoutMs - Time allowed for the check
+ * @returns {Promise<Object>} Check result with `duration_ms`
+ */
+async function runCheck(check, timeoutMs) {
+  const t0 = Date.now();
+  let timer;
+  try {
+    const result = await Promise.race([
+      Promise.resolve().then(check),
+      new Promise((_, reject) => {
+        timer = setTimeout(
+          () => reject(new Error(`check timed out after ${timeoutMs}ms`)),
+          timeoutMs
+        );
+      }),
+    ]);
+    if (!result || !CHECK_STATUSES.includes(result.status)) {
+      throw new Error("check returned no status");
+    }
+    return { ...result, duration_ms: Date.now() - t0 };
+  } catch (error) {
+    return {
+      status: "fail",
+      error: error.message,
+      duration_ms: Date.now() - t0,
+    };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Run every check in parallel
+ * @param {Object} checks - Check name -> (async) function returning { status, ... }
+ * @param {Object} [options] - Run options
+ * @param {number} [options.timeoutMs] - Time allowed per check
+ * @returns {Promise<Object>} { status, checks, checked_at }
+ */
+async function runChecks(checks, { timeoutMs = 5000 } = {}) {
+  const names = Object.keys(checks);
+  const results = await Promise.all(
+    names.map((name) => runCheck(checks[name], timeoutMs))
+  );
+  const byName = Object.fromEntries(names.map((n, i) => [n, results[i]]));
+  return {
+    status: overallStatus(byName),
+    checks: byName,
+    checked_at: new Date().toISOString(),
+  };
+}
+
+/**
+ * Wrap a probe so it runs at most once per interval; callers in between get
+ * the last result, and concurrent callers share one in-flight probe
+ * @param {Function} probe - Async function returning a check result
+ * @param {number} intervalMs - How long a result is reused
+ * @returns {Function} Async function returning the (possibly cached) result with `probed_at`
+ */
+function cachedProbe(probe, intervalMs) {
+  let last = null; // { at, result }
+  let inFlight = null;
+  return () => {
+    if (last && Date.now() - last.at < intervalMs) {
+      return Promise.resolve(last.result);
+    }
+    if (!inFlight) {
+      inFlight = Promise.resolve()
+        .then(probe)
+        .catch((error) => ({ status: "fail", error: error.message }))
+        .then((result) => {
+          const probed = { ...result, probed_at: new Date().toISOString() };
+          last = { at: Date.now(), result: probed };
+          return probed;
+        })
+        .finally(() => {
+          inFlight = null;
+        });
+    }
+    return inFlight;
+  };
+}
+
+/**
+ * Longest gap between two consecutive runs of a cron schedule, found by
+ * stepping through the next SCHEDULE_SCAN_DAYS minute by minute (cached per
+ * expression). Schedules that run more often than every minute count as one
+ * minute; schedules that run less than twice in the window count as the
+ * whole window.
+ * @param {string} expression - Cron expression accepted by node-cron
+ * @returns {number} Interval in milliseconds
+ */
+function scheduleIntervalMs(expression) {
+  if (scheduleIntervals.has(expression)) {
+    return scheduleIntervals.get(expression);
+  }
+  const matcher = new TimeMatcher(expression);
+  const second = Number(matcher.expressions[0].split(",")[0]);
+  const minutes = SCHEDULE_SCAN_DAYS * 24 * 60;
+  const date = new Date();
+  date.setSeconds(second, 0);
+  let previous = null;
+  let longest = 0;
+  for (let i = 0; i < minutes; i++) {
+    if (matcher.match(date)) {
+      if (previous) longest = Math.max(longest, date - previous);
+      previous = date.getTime();
+    }
+    date.setMinutes(date.getMinutes() + 1);
+  }
+  const interval = longest || minutes * 60 * 1000;
+  scheduleIntervals.set(expression, interval);
+  return interval;
+}
+
+module.exports = {
+  CHECK_STATUSES,
+  overallStatus,
+  httpStatusFor,
+  runCheck,
+  runChecks,
+  cachedProbe,
+  scheduleIntervalMs,
+};
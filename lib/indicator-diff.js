@@ -0,0 +1,203 @@
+/**
+ * Indicator Diff
+ * ==============
+ *
+ * Author: Muhammad Bilal Motiwala
+ * Project: Black Swan
+ *
+ * Compares consecutive bull market peak indicator snapshots and reports what
+ * changed per indicator: value deltas, hit_status flips, threshold changes and
+ * indicators added or removed.
+ */
+
+/**
+ * Extract a numeric value from an indicator field ("85.3%", "$1,200", 2.4 ...)
+ * @param {*} value - Raw indicator value
+ * @returns {number|null} Parsed number or null
+ */
+function toNumber(value) {
+  if (typeof value === "number") return Number.isFinite(value) ? value : null;
+  if (typeof value !== "string") return null;
+  const match = value.replace(/,/g, "").match(/-?\d+(\.\d+)?/);
+  return match ? parseFloat(match[0]) : null;
+}
+
+/**
+ * Absolute and percentage change between two numeric values
+ * @param {number} from - Previous value
+ * @param {number} to - New value
+ * @returns {Object} { delta, delta_pct } (delta_pct is null when from is 0)
+ */
+function valueDelta(from, to) {
+  return {
+    delta: Math.round((to - from) * 10000) / 10000,
+    delta_pct:
+      from !== 0
+        ? Math.round(((to - from) / Math.abs(from)) * 10000) / 100
+        : null,
+  };
+}
+
+/**
+ * Normalize an indicator into the fields we diff
+ * @param {Object} ind - Raw indicator from the Firestore document
+ * @returns {Object} { name, hit, value, threshold }
+ */
+function normalizeIndicator(ind) {
+  return {
+    name: ind?.indicator_name || "Unknown Indicator",
+    hit: !!ind?.hit_status,
+    value: ind?.current_value ?? ind?.value ?? null,
+    threshold: ind?.threshold ?? null,
+  };
+}
+
+/**
+ * Diff two bull market peak indicator documents
+ * @param {Object} previousDoc - Previous indicators document
+ * @param {Object} currentDoc - New indicators document
+ * @returns {Array} Changes: { indicator, type, from, to, delta?, delta_pct? }
+ */
+function diffIndicatorSnapshots(previousDoc, currentDoc) {
+  const before = new Map(
+    (previousDoc?.indicators || []).map((ind) => {
+      const n = normalizeIndicator(ind);
+      return [n.name, n];
+    })
+  );
+  const after = new Map(
+    (currentDoc?.indicators || []).map((ind) => {
+      const n = normalizeIndicator(ind);
+      return [n.name, n];
+    })
+  );
+  const changes = [];
+
+  after.forEach((next, name) => {
+    const prev = before.get(name);
+    if (!prev) {
+      changes.push({ indicator: name, type: "added", from: null, to: next });
+      return;
+    }
+
+    if (prev.hit !== next.hit) {
+      changes.push({
+        indicator: name,
+        type: "hit_flip",
+        from: prev.hit,
+        to: next.hit,
+      });
+    }
+
+    if (String(prev.threshold) !== String(next.threshold)) {
+      changes.push({
+        indicator: name,
+        type: "threshold_change",
+        from: prev.threshold,
+        to: next.threshold,
+      });
+    }
+
+    if (String(prev.value) !== String(next.value)) {
+      const from = toNumber(prev.value);
+      const to = toNumber(next.value);
+      const change = {
+        indicator: name,
+        type: "value_change",
+        from: prev.value,
+        to: next.value,
+      };
+      if (from !== null && to !== null)
+        Object.assign(change, valueDelta(from, to));
+      changes.push(change);
+    }
+  });
+
+  before.forEach((prev, name) => {
+    if (!after.has(name)) {
+      changes.push({ indicator: name, type: "removed", from: prev, to: null });
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Format a single change as a readable line for the prompt
+ * @param {Object} change - Change from diffIndicatorSnapshots()
+ * @returns {string} Formatted line
+ */
+function formatChange(change) {
+  switch (change.type) {
+    case "added":
+      return `${change.indicator}: added (hit: ${change.to.hit}, Value: ${change.to.value}, Threshold: ${change.to.threshold})`;
+    case "removed":
+      return `${change.indicator}: removed`;
+    case "hit_flip":
+      return `${change.indicator}: hit_status ${change.from} -> ${change.to}`;
+    case "threshold_change":
+      return `${change.indicator}: threshold ${change.from} -> ${change.to}`;
+    default: {
+      const delta =
+        change.delta !== undefined
+          ? ` (${change.delta >= 0 ? "+" : ""}${change.delta}${
+              change.delta_pct !== null
+                ? `, ${change.delta_pct >= 0 ? "+" : ""}${change.delta_pct}%`
+                : ""
+            })`
+          : "";
+      return `${change.indicator}: value ${change.from} -> ${change.to}${delta}`;
+    }
+  }
+}
+
+/**
+ * Summarize change entries for the prompt, collapsing repeated value changes
+ * so each indicator reports its first and latest value
+ * @param {Array} entries - Change entries ({ detected_at, changes }) in ascending order
+ * @param {string|null} since - ISO timestamp of the last analysis
+ * @returns {string} Human-readable summary
+ */
+function formatChangesForPrompt(entries, since) {
+  const sinceText = since ? `since the last analysis (${since})` : "recorded";
+  if (!entries || entries.length === 0) {
+    return `No indicator changes ${sinceText}`;
+  }
+
+  const merged = new Map(); // `${indicator}:${type}` -> change
+  entries.forEach((entry) => {
+    entry.changes.forEach((change) => {
+      const key = `${change.indicator}:${change.type}`;
+      const existing = merged.get(key);
+      if (!existing) {
+        merged.set(key, { ...change });
+        return;
+      }
+      // Keep the original "from" and the latest "to"
+      existing.to = change.to;
+      const from = toNumber(existing.from);
+      const to = toNumber(existing.to);
+      if (existing.type === "value_change" && from !== null && to !== null) {
+        Object.assign(existing, valueDelta(from, to));
+      }
+    });
+  });
+
+  // A flip that flipped back is not a change
+  const lines = [...merged.values()]
+    .filter((c) => !(c.type === "hit_flip" && c.from === c.to))
+    .map((c) => `- ${formatChange(c)}`);
+
+  return lines.length > 0
+    ? `Indicator changes ${sinceText} across ${
+        entries.length
+      } snapshot update(s):\n${lines.join("\n")}`
+    : `No net indicator changes ${sinceText}`;
+}
+
+module.exports = {
+  toNumber,
+  diffIndicatorSnapshots,
+  formatChange,
+  formatChangesForPrompt,
+};
@@ -0,0 +1,282 @@
+/**
+ * Indicator Sources
+ * =================
+ *
+ * Author: Muhammad Bilal Motiwala
+ * Project: Black Swan
+ *
+ * Where the bull market peak indicator snapshot comes from. Every source
+ * exposes a `name`, `start(onSnapshot, onError)`, `stop()` and `describe()`.
+ * `onSnapshot` receives the snapshot document (`{ timestamp, indicators: [...] }`)
+ * whenever it changes, or null when the source has no snapshot; `onError`
+ * receives errors that did not change the snapshot.
+ *
+ * Available sources:
+ * - firestore: Snapshot listener on `bull-market-peak-indicators/latest` (default)
+ * - http:      Polls a JSON endpoint returning the snapshot (or `{ data: snapshot }`)
+ * - file:      Reads a local JSON file and reloads it on change, e.g. fixture
+ *              indicator sets when testing prompt changes
+ */
+
+const fs = require("fs");
+const path = require("path");
+const axios = require("axios");
+
+const INDICATOR_SOURCE_TYPES = ["firestore", "http", "file"];
+
+/**
+ * Check that a document looks like an indicator snapshot
+ * @param {Object} doc - Candidate snapshot
+ * @param {string} origin - Where it came from, for the error message
+ * @returns {Object} The snapshot
+ * @throws {Error} If it has no indicators array
+ */
+function assertSnapshot(doc, origin) {
+  if (!doc || typeof doc !== "object" || !Array.isArray(doc.indicators)) {
+    throw new Error(
+      `${origin} is not an indicator snapshot (no indicators array)`
+    );
+  }
+  return doc;
+}
+
+/**
+ * Firestore document listener (real-time updates)
+ */
+class FirestoreIndicatorSource {
+  /**
+   * @param {Object} options - Source options
+   * @param {Object} options.db - Firestore instance (null when Firebase is not initialized)
+   * @param {string} options.docPath - Document path ("collection/doc")
+   */
+  constructor({ db, docPath }) {
+    this.name = "firestore";
+    this.db = db;
+    this.docPath = docPath;
+    this.unsubscribe = null;
+    this.lastSnapshotAt = null;
+    this.lastError = null;
+  }
+
+  start(onSnapshot, onError) {
+    if (!this.db) {
+      console.warn(
+        "⚠️ [FIRESTORE] Database not available, cannot listen for indicators"
+      );
+      return;
+    }
+    this.unsubscribe = this.db.doc(this.docPath).onSnapshot(
+      (doc) => {
+        this.lastSnapshotAt = Date.now();
+        this.lastError = null;
+        onSnapshot(doc.exists ? { id: doc.id, ...doc.data() } : null);
+      },
+      (error) => {
+        // The listener stops on error; the snapshot is no longer current
+        this.unsubscribe = null;
+        this.lastError = error.message;
+        onError(error);
+        onSnapshot(null);
+      }
+    );
+  }
+
+  stop() {
+    if (this.unsubscribe) this.unsubscribe();
+    this.unsubscribe = null;
+  }
+
+  describe() {
+    return {
+      name: this.name,
+      doc_path: this.docPath,
+      active: !!this.unsubscribe,
+      last_snapshot_at: this.lastSnapshotAt
+        ? new Date(this.lastSnapshotAt).toISOString()
+        : null,
+      last_error: this.lastError,
+    };
+  }
+}
+
+/**
+ * HTTP polling source. A failed poll keeps the last snapshot (its timestamp
+ * shows how old it is); an unchanged response is not reported again.
+ */
+class HttpIndicatorSource {
+  /**
+   * @param {Object} options - Source options
+   * @param {string} options.url - JSON endpoint returning the snapshot
+   * @param {number} options.intervalMs - Poll interval
+   * @param {number} [options.timeout] - Request timeout in milliseconds
+   */
+  constructor({ url, intervalMs, timeout = 30000 }) {
+    this.name = "http";
+    this.url = url;
+    this.intervalMs = intervalMs;
+    this.timeout = timeout;
+    this.timer = null;
+    this.lastBody = null; // Serialized last snapshot, to skip unchanged polls
+    this.lastPolledAt = null;
+    this.lastError = null;
+  }
+
+  start(onSnapshot, onError) {
+    if (!this.url) {
+      console.warn("⚠️ [INDICATORS] INDICATOR_SOURCE_URL is not set");
+      return;
+    }
+    const poll = async () => {
+      try {
+        const res = await axios.get(this.url, { timeout: this.timeout });
+        const doc = assertSnapshot(res.data?.data ?? res.data, this.url);
+        this.lastPolledAt = Date.now();
+        this.lastError = null;
+        const body = JSON.stringify(doc);
+        if (body === this.lastBody) return;
+        this.lastBody = body;
+        onSnapshot(doc);
+      } catch (error) {
+        this.lastError = error.message;
+        onError(error);
+      }
+    };
+    poll();
+    this.timer = setInterval(poll, this.intervalMs);
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  describe() {
+    return {
+      name: this.name,
+      url: this.url,
+      interval_seconds: Math.round(this.intervalMs / 1000),
+      active: !!this.timer,
+      last_polled_at: this.lastPolledAt
+        ? new Date(this.lastPolledAt).toISOString()
+        : null,
+      last_error: this.lastError,
+    };
+  }
+}
+
+/**
+ * Local JSON file source, reloaded when the file changes
+ */
+class FileIndicatorSource {
+  /**
+   * @param {Object} options - Source options
+   * @param {string} options.file - Path of the snapshot JSON file
+   * @param {boolean} [options.watch] - Reload the file when it changes
+   */
+  constructor({ file, watch = true }) {
+    this.name = "file";
+    this.file = file ? path.resolve(file) : null;
+    this.watch = watch;
+    this.watcher = null;
+    this.loadedAt = null;
+    this.lastError = null;
+  }
+
+  /**
+   * Read and validate the snapshot file
+   * @returns {Object} Snapshot
+   * @throws {Error} If the file is missing, not JSON or not a snapshot
+   */
+  read() {
+    const doc = JSON.parse(fs.readFileSync(this.file, "utf8"));
+    return assertSnapshot(doc, this.file);
+  }
+
+  start(onSnapshot, onError) {
+    if (!this.file) {
+      console.warn("⚠️ [INDICATORS] INDICATOR_SOURCE_FILE is not set");
+      return;
+    }
+    const load = () => {
+      try {
+        onSnapshot(this.read());
+        this.loadedAt = Date.now();
+        this.lastError = null;
+      } catch (error) {
+        // A half-written or invalid file keeps the previous snapshot
+        this.lastError = error.message;
+        onError(error);
+      }
+    };
+    load();
+
+    if (this.watch && fs.existsSync(this.file)) {
+      // Editors often replace the file, so watch its directory
+      let timer = null;
+      this.watcher = fs.watch(
+        path.dirname(this.file),
+        (eventType, filename) => {
+          if (filename !== path.basename(this.file)) return;
+          clearTimeout(timer);
+          timer = setTimeout(load, 100); // Let the write finish
+        }
+      );
+    }
+  }
+
+  stop() {
+    if (this.watcher) this.watcher.close();
+    this.watcher = null;
+  }
+
+  describe() {
+    return {
+      name: this.name,
+      file: this.file,
+      active: this.loadedAt !== null,
+      watching: !!this.watcher,
+      loaded_at: this.loadedAt ? new Date(this.loadedAt).toISOString() : null,
+      last_error: this.lastError,
+    };
+  }
+}
+
+/**
+ * Create the indicator source selected by configuration
+ * @param {Object} config - Service CONFIG (uses INDICATOR_SOURCE and COLLECTIONS)
+ * @param {Object} deps - Runtime dependencies
+ * @param {Object} deps.db - Firestore instance or null
+ * @returns {Object} Indicator source
+ * @throws {Error} If the configured source type is unknown
+ */
+function createIndicatorSource(config, { db }) {
+  const source = config.INDICATOR_SOURCE;
+  switch (source.TYPE) {
+    case "firestore":
+      return new FirestoreIndicatorSource({
+        db,
+        docPath: config.COLLECTIONS.BULL_PEAK_LATEST,
+      });
+    case "http":
+      return new HttpIndicatorSource({
+        url: source.URL,
+        intervalMs: source.POLL_MS,
+        timeout: config.REQUEST_TIMEOUT,
+      });
+    case "file":
+      return new FileIndicatorSource({
+        file: source.FILE,
+        watch: source.WATCH,
+      });
+    default:
+      throw new Error(`Unknown indicator source: ${source.TYPE}`);
+  }
+}
+
+module.exports = {
+  INDICATOR_SOURCE_TYPES,
+  FirestoreIndicatorSource,
+  HttpIndicatorSource,
+  FileIndicatorSource,
+  createIndicatorSource,
+};
@@ -0,0 +1,220 @@
+/**
+ * Analysis Job Runner
+ * ===================
+ *
+ * Author: Muhammad Bilal Motiwala
+ * Project: Black Swan
+ *
+ * Single-flight runner for analyze(). Only one analysis runs at a time: triggers
+ * that arrive while a run is in progress (cron, manual POSTs, event triggers)
+ * coalesce onto that run instead of paying for another LLM call and writing a
+ * duplicate document. Each run is a job with an id and per-step progress that
+ * can be polled while it runs. Job starts, step updates and finished steps and
+ * jobs are reported to optional callbacks (used for metrics and the event stream).
+ */
+
+const crypto = require("crypto");
+
+// Pipeline steps reported by analyze(), in execution order
+const JOB_STEPS = [
+  "data_build",
+  "quality",
+  "llm",
+  "parse",
+  "validate",
+  "store",
+];
+
+class AnalysisJobRunner {
+  /**
+   * @param {Object} options - Runner options
+   * @param {Function} options.run - Async (trigger, reportProgress, job) => analyze() result
+   * @param {number} [options.maxJobs] - Finished jobs kept for status lookups
+   * @param {Function} [options.onJobStarted] - (job) called when a new job starts
+   * @param {Function} [options.onStepUpdated] - (job, step) called on every step status change
+   * @param {Function} [options.onStepFinished] - (job, step, durationMs) called when a step completes
+   *   or fails after running; durationMs covers this run of the step (steps re-run on repairs)
+   * @param {Function} [options.onJobFinished] - (job) called when a job has finished
+   */
+  constructor({
+    run,
+    maxJobs = 100,
+    onJobStarted = () => {},
+    onStepUpdated = () => {},
+    onStepFinished = () => {},
+    onJobFinished = () => {},
+  }) {
+    this.run = run;
+    this.maxJobs = maxJobs;
+    this.onJobStarted = onJobStarted;
+    this.onStepUpdated = onStepUpdated;
+    this.onStepFinished = onStepFinished;
+    this.onJobFinished = onJobFinished;
+    this.jobs = new Map(); // Job id -> job (insertion ordered, oldest first)
+    this.activeJob = null; // Job currently running, if any
+  }
+
+  /**
+   * Submit a trigger. Starts a new job, or joins the one already running.
+   * @param {Object} trigger - What requested the analysis ({ type, ... })
+   * @returns {Object} { job, coalesced, promise } where promise resolves to the analyze() result
+   */
+  submit(trigger) {
+    if (this.activeJob) {
+      this.activeJob.coalesced_triggers.push({
+        ...trigger,
+        at: new Date().toISOString(),
+      });
+      console.log(
+        `🔗 [JOBS] ${trigger.type} trigger coalesced onto job ${this.activeJob.id}`
+      );
+      return {
+        job: this.activeJob,
+        coalesced: true,
+        promise: this.activeJob.promise,
+      };
+    }
+
+    const job = {
+      id: crypto.randomUUID(),
+      status: "running",
+      trigger,
+      coalesced_triggers: [],
+      steps: JOB_STEPS.map((name) => ({ name, status: "pending" })),
+      stepTimers: {}, // Step name -> start (ms) of its current run
+      created_at: new Date().toISOString(),
+      finished_at: null,
+      result: null,
+      error: null,
+    };
+    this.activeJob = job;
+    this.jobs.set(job.id, job);
+    this.evictOldJobs();
+    this.notify(this.onJobStarted, job);
+
+    job.promise = this.execute(job);
+    return { job, coalesced: false, promise: job.promise };
+  }
+
+  /**
+   * Run a job to completion, recording progress and the final result
+   * @param {Object} job - Job to run
+   * @returns {Object} The analyze() result
+   */
+  async execute(job) {
+    const reportProgress = (step, status, detail) =>
+      this.updateStep(job, step, status, detail);
+    try {
+      const result = await this.run(job.trigger, reportProgress, job);
+      job.status = result?.success
+        ? "succeeded"
+        : result?.skipped
+        ? "skipped"
+        : "failed";
+      job.error = result?.success ? null : result?.error || "unknown_error";
+      job.result = result;
+      return result;
+    } catch (error) {
+      job.status = "failed";
+      job.error = error.message;
+      return { success: false, error: error.message };
+    } finally {
+      job.finished_at = new Date().toISOString();
+      // Any step still running at this point did not complete
+      job.steps.forEach((s) => {
+        if (s.status === "running") this.updateStep(job, s.name, "failed");
+      });
+      this.activeJob = null;
+      this.notify(this.onJobFinished, job);
+    }
+  }
+
+  /**
+   * Update the progress of one pipeline step
+   * @param {Object} job - Job being run
+   * @param {string} step - Step name from JOB_STEPS
+   * @param {string} status - "running", "completed" or "failed"
+   * @param {string} [detail] - Optional detail (e.g. repair attempt)
+   */
+  updateStep(job, step, status, detail) {
+    const entry = job.steps.find((s) => s.name === step);
+    if (!entry) return;
+    const now = new Date().toISOString();
+    if (status === "running" && entry.status !== "running") {
+      entry.started_at = entry.started_at || now;
+      job.stepTimers[step] = Date.now();
+    }
+    const finished = status === "completed" || status === "failed";
+    if (finished) entry.finished_at = now;
+    entry.status = status;
+    if (detail !== undefined) entry.detail = detail;
+    this.notify(this.onStepUpdated, job, entry);
+    if (finished && job.stepTimers[step] !== undefined) {
+      const durationMs = Date.now() - job.stepTimers[step];
+      delete job.stepTimers[step];
+      this.notify(this.onStepFinished, job, entry, durationMs);
+    }
+  }
+
+  /**
+   * Call a progress callback; its errors never affect the job
+   * @param {Function} callback - Callback to call
+   * @param {...*} args - Callback arguments
+   */
+  notify(callback, ...args) {
+    try {
+      callback(...args);
+    } catch (error) {
+      console.error("❌ [JOBS] Progress callback failed:", error.message);
+    }
+  }
+
+  /**
+   * Drop the oldest finished jobs beyond maxJobs
+   */
+  evictOldJobs() {
+    for (const [id, job] of this.jobs) {
+      if (this.jobs.size <= this.maxJobs) break;
+      if (job !== this.activeJob) this.jobs.delete(id);
+    }
+  }
+
+  /**
+   * Look up a job
+   * @param {string} id - Job id
+   * @returns {Object|null} Job or null if unknown (or evicted)
+   */
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  /**
+   * Most recently finished job
+   * @param {string} [status] - Only jobs that finished with this status
+   * @returns {Object|null} Job or null if there is none
+   */
+  lastFinished(status = null) {
+    const jobs = [...this.jobs.values()].reverse();
+    return (
+      jobs.find((j) => j.finished_at && (!status || j.status === status)) ||
+      null
+    );
+  }
+
+  /**
+   * Serializable view of a job for API responses
+   * @param {Object} job - Job to describe
+   * @returns {Object} Job without its internal promise and timers
+   */
+  describe(job) {
+    const { promise, stepTimers, ...view } = job;
+    return {
+      ...view,
+      duration_ms:
+        (job.finished_at ? Date.parse(job.finished_at) : Date.now()) -
+        Date.parse(job.created_at),
+    };
+  }
+}
+
+module.exports = { AnalysisJobRunner, JOB_STEPS };
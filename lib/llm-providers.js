@@ -0,0 +1,303 @@
+/**
+ * LLM Providers
+ * =============
+ *
+ * Author: Muhammad Bilal Motiwala
+ * Project: Black Swan
+ *
+ * Provider abstraction used by the analysis pipeline to obtain a model response.
+ * Every provider implements `complete(request)` and resolves to
+ * `{ text, provider, model, usage, finishReason }`, where `text` is the raw
+ * response that is then parsed and validated by MarketPeakDataAggregator and
+ * `usage` is the token usage reported by the endpoint (`{ prompt_tokens,
+ * completion_tokens, total_tokens, cost? }`, or null). `probe()` checks that the
+ * provider is reachable, for health checks.
+ *
+ * Available providers:
+ * - openrouter:        OpenRouter chat completions API (default)
+ * - openai-compatible: Any OpenAI-compatible endpoint (llama.cpp, Ollama, vLLM...)
+ * - rules-only:        Deterministic scoring from indicators, no network access
+ */
+
+const axios = require("axios");
+
+const LLM_PROVIDERS = ["openrouter", "openai-compatible", "rules-only"];
+
+/**
+ * Provider for any endpoint that implements the OpenAI chat completions API
+ */
+class OpenAICompatibleProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.url - Full chat completions URL
+   * @param {string} options.model - Model identifier sent with each request
+   * @param {string} [options.apiKey] - Optional bearer token
+   * @param {number} [options.timeout] - Request timeout in milliseconds
+   */
+  constructor({ url, model, apiKey = null, timeout = 90000 }) {
+    this.name = "openai-compatible";
+    this.url = url;
+    this.model = model;
+    this.apiKey = apiKey;
+    this.timeout = timeout;
+    this.requestExtras = {}; // Provider-specific request body fields
+  }
+
+  /**
+   * Ensure the provider has everything it needs before making a request
+   * @throws {Error} If the endpoint URL is missing
+   */
+  assertConfigured() {
+    if (!this.url) throw new Error("OpenAI-compatible endpoint not configured");
+  }
+
+  /**
+   * Send a prompt to the chat completions endpoint
+   * @param {Object} request - Completion request
+   * @param {string} request.prompt - Filled prompt text
+   * @param {Array} [request.messages] - Full chat history (overrides prompt, used for repair rounds)
+   * @param {string} [request.model] - Model override (defaults to the provider model)
+   * @param {number} [request.temperature] - Sampling temperature
+   * @param {number} [request.maxTokens] - Maximum completion tokens
+   * @param {Object} [request.responseFormat] - Optional response_format (JSON schema / JSON mode)
+   * @returns {Object} { text, provider, model, usage, finishReason }
+   */
+  async complete({
+    prompt,
+    messages = null,
+    model = this.model,
+    temperature = 0.3,
+    maxTokens = 20000,
+    responseFormat = null,
+  }) {
+    this.assertConfigured();
+
+    const headers = { "Content-Type": "application/json" };
+    if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+
+    const response = await axios.post(
+      this.url,
+      {
+        model,
+        messages: messages || [{ role: "user", content: prompt }],
+        temperature,
+        max_tokens: maxTokens,
+        ...(responseFormat && { response_format: responseFormat }),
+        ...this.requestExtras,
+      },
+      { headers, timeout: this.timeout }
+    );
+
+    // Extract the AI response text
+    const choice = response.data?.choices?.[0];
+    return {
+      text: choice?.message?.content || "",
+      provider: this.name,
+      model,
+      usage: response.data?.usage || null,
+      finishReason: choice?.finish_reason || null,
+    };
+  }
+
+  /**
+   * Check that the endpoint is reachable without spending tokens: GET the
+   * models list next to the chat completions URL. Any answer short of a 5xx or
+   * a rejected key counts, since not every server implements /models.
+   * @param {Object} [options] - Probe options
+   * @param {number} [options.timeout] - Request timeout in milliseconds
+   * @returns {Object} { status: "pass"|"fail", url, http_status, latency_ms, error? }
+   */
+  async probe({ timeout = 5000 } = {}) {
+    this.assertConfigured();
+    const url = this.url.replace(/\/chat\/completions\/?$/, "/models");
+    const headers = this.apiKey
+      ? { Authorization: `Bearer ${this.apiKey}` }
+      : {};
+    const t0 = Date.now();
+    try {
+      const response = await axios.get(url, {
+        headers,
+        timeout,
+        validateStatus: () => true, // Judged below
+      });
+      const rejected = [401, 403].includes(response.status);
+      const ok = response.status < 500 && !rejected;
+      return {
+        status: ok ? "pass" : "fail",
+        url,
+        http_status: response.status,
+        latency_ms: Date.now() - t0,
+        ...(!ok && {
+          error: rejected ? "API key rejected" : `HTTP ${response.status}`,
+        }),
+      };
+    } catch (error) {
+      return {
+        status: "fail",
+        url,
+        http_status: null,
+        latency_ms: Date.now() - t0,
+        error: error.message,
+      };
+    }
+  }
+}
+
+/**
+ * OpenRouter provider - an OpenAI-compatible endpoint that requires an API key
+ */
+class OpenRouterProvider extends OpenAICompatibleProvider {
+  constructor(options) {
+    super(options);
+    this.name = "openrouter";
+    this.requestExtras = { usage: { include: true } }; // Report cost in usage
+  }
+
+  assertConfigured() {
+    if (!this.apiKey) throw new Error("OpenRouter API key not configured");
+  }
+}
+
+/**
+ * Deterministic provider that scores the market from bull peak indicators and
+ * cycle metrics without any network access. Used in staging/CI and as an
+ * offline baseline. The response is a JSON string so it flows through the same
+ * parse and validate steps as real model output.
+ */
+class RulesOnlyProvider {
+  constructor() {
+    this.name = "rules-only";
+    this.model = "rules-only-v1";
+  }
+
+  /**
+   * Map the number of triggered indicators onto the prompt's scoring bands
+   * @param {number} hits - Number of indicators with hit_status = true
+   * @returns {number} Base score for the band
+   */
+  baseScoreForHits(hits) {
+    if (hits >= 8) return 50; // Peak Likely
+    if (hits >= 6) return 35; // Peak Formation Possible
+    if (hits >= 4) return 20; // Elevated Concerns
+    if (hits >= 2) return 10; // Early Warning Signs
+    return 1 + hits * 4; // Far From Peak
+  }
+
+  async complete({ templateData = {} }) {
+    const raw = templateData.bull_market_peak_raw;
+    const indicators = Array.isArray(raw?.indicators) ? raw.indicators : [];
+    const hits = indicators.filter((ind) => !!ind?.hit_status);
+    const primary = templateData.primary_asset || {
+      id: "bitcoin",
+      symbol: "BTC",
+    };
+    const metrics = templateData.cycle_metrics?.[primary.id] || {};
+
+    let score = this.baseScoreForHits(hits.length);
+    const keyFactors = [
+      `${hits.length} of ${indicators.length} bull market peak indicators triggered`,
+    ];
+
+    // Valuation stretch relative to the 200-day average
+    if (Number.isFinite(metrics.mayer_multiple)) {
+      if (metrics.mayer_multiple >= 2.4) score += 8;
+      else if (metrics.mayer_multiple >= 1.8) score += 4;
+      keyFactors.push(
+        `${primary.symbol} Mayer multiple at ${metrics.mayer_multiple}`
+      );
+    }
+
+    // Overbought momentum
+    if (Number.isFinite(metrics.rsi_14d) && metrics.rsi_14d >= 80) {
+      score += 3;
+      keyFactors.push(
+        `${primary.symbol} 14-day RSI overbought at ${metrics.rsi_14d}`
+      );
+    }
+
+    if (Number.isFinite(metrics.multiple_from_cycle_low)) {
+      keyFactors.push(
+        `${primary.symbol} trading ${metrics.multiple_from_cycle_low}x above its cycle low`
+      );
+    }
+    if (Number.isFinite(metrics.drawdown_from_ath_pct)) {
+      keyFactors.push(
+        `${primary.symbol} ${Math.abs(
+          metrics.drawdown_from_ath_pct
+        )}% below its all-time high`
+      );
+    }
+
+    score = Math.max(1, Math.min(100, Math.round(score)));
+    const hitNames = hits
+      .map((ind) => ind?.indicator_name)
+      .filter(Boolean)
+      .join(", ");
+
+    const result = {
+      score,
+      analysis: `Rules-only assessment: ${hits.length} of ${
+        indicators.length
+      } peak indicators are triggered${
+        hitNames ? ` (${hitNames})` : ""
+      }, placing the market in the band that starts at ${this.baseScoreForHits(
+        hits.length
+      )}.`,
+      reasoning: `Score derived deterministically from the count of triggered bull market peak indicators, adjusted for the ${primary.symbol} Mayer multiple and 14-day RSI. No language model was consulted.`,
+      key_factors: keyFactors,
+    };
+
+    return {
+      text: JSON.stringify(result),
+      provider: this.name,
+      model: this.model,
+      usage: null, // No tokens are used
+      finishReason: "stop",
+    };
+  }
+
+  /**
+   * Always reachable: no network access is involved
+   * @returns {Object} { status: "pass" }
+   */
+  async probe() {
+    return { status: "pass", detail: "no network access needed" };
+  }
+}
+
+/**
+ * Create the configured LLM provider
+ * @param {Object} config - Service configuration (CONFIG from index.js)
+ * @returns {Object} Provider instance implementing complete() and probe()
+ * @throws {Error} If the provider name is unknown
+ */
+function createLLMProvider(config) {
+  switch (config.LLM_PROVIDER) {
+    case "openrouter":
+      return new OpenRouterProvider({
+        url: config.OPENROUTER_URL,
+        model: config.MODEL,
+        apiKey: config.OPENROUTER_API_KEY,
+        timeout: config.REQUEST_TIMEOUT,
+      });
+    case "openai-compatible":
+      return new OpenAICompatibleProvider({
+        url: config.OPENAI_COMPATIBLE_URL,
+        model: config.OPENAI_COMPATIBLE_MODEL,
+        apiKey: config.OPENAI_COMPATIBLE_API_KEY,
+        timeout: config.REQUEST_TIMEOUT,
+      });
+    case "rules-only":
+      return new RulesOnlyProvider();
+    default:
+      throw new Error(`Unknown LLM provider: ${config.LLM_PROVIDER}`);
+  }
+}
+
+module.exports = {
+  LLM_PROVIDERS,
+  OpenAICompatibleProvider,
+  OpenRouterProvider,
+  RulesOnlyProvider,
+  createLLMProvider,
+};
@@ -0,0 +1,114 @@
+/**
+ * Structured Logging
+ * ==================
+ *
+ * Author: Muhammad Bilal Motiwala
+ * Project: Black Swan
+ *
+ * The service logs with emoji-prefixed console lines such as
+ * `📈 [ANALYSIS] Market Peak Score: 72/100`. With `LOG_FORMAT=json` the console
+ * methods are replaced so every line is written as one JSON object instead:
+ *
+ *   {"time":"...","level":"info","service":"market-peak-analysis-service",
+ *    "component":"analysis","msg":"Market Peak Score: 72/100","run_id":"0b6c..."}
+ *
+ * Fields set with withLogContext() (e.g. the `run_id` of an analysis run) are
+ * added to every line logged from inside the callback, including lines logged
+ * from awaited calls, timers and callbacks it starts.
+ */
+
+const util = require("util");
+const { AsyncLocalStorage } = require("async_hooks");
+
+const LOG_FORMATS = ["pretty", "json"];
+
+// Console method -> log level
+const CONSOLE_LEVELS = {
+  debug: "debug",
+  log: "info",
+  info: "info",
+  warn: "warn",
+  error: "error",
+};
+
+const contextStorage = new AsyncLocalStorage();
+
+/**
+ * Run a function with fields added to every line it logs
+ * @param {Object} fields - Context fields (e.g. { run_id })
+ * @param {Function} fn - Function to run
+ * @returns {*} The function's return value
+ */
+function withLogContext(fields, fn) {
+  return contextStorage.run({ ...contextStorage.getStore(), ...fields }, fn);
+}
+
+/**
+ * Context fields of the current call
+ * @returns {Object} Fields set by the enclosing withLogContext() calls ({} outside of one)
+ */
+function logContext() {
+  return contextStorage.getStore() || {};
+}
+
+/**
+ * Split a console line into its component tag and message
+ * @param {string} text - Formatted line, e.g. "📈 [ANALYSIS] Market Peak Score: 72/100"
+ * @returns {Object} { component, msg }, e.g. { component: "analysis", msg: "Market Peak Score: 72/100" }
+ */
+function parseLogLine(text) {
+  const match = text.match(
+    /^[^\w\s[]*\s*\[([A-Z][A-Z0-9_ -]*)\]\s*([\s\S]*)$/u
+  );
+  if (!match) return { component: null, msg: text.trim() };
+  return { component: match[1].toLowerCase(), msg: match[2] };
+}
+
+/**
+ * Build the JSON log entry for a console call
+ * @param {string} level - Log level
+ * @param {Array} args - Console arguments
+ * @param {string} service - Service name
+ * @returns {Object} Entry
+ */
+function buildLogEntry(level, args, service) {
+  // Errors are shown by message; the stack goes into the error field
+  const { component, msg } = parseLogLine(
+    util.format(...args.map((a) => (a instanceof Error ? a.message : a)))
+  );
+  const error = args.find((a) => a instanceof Error);
+  return {
+    time: new Date().toISOString(),
+    level,
+    service,
+    ...(component && { component }),
+    msg,
+    ...logContext(),
+    ...(error && { error: { message: error.message, stack: error.stack } }),
+  };
+}
+
+/**
+ * Replace the console methods with JSON line writers (info and debug go to
+ * stdout, warnings and errors to stderr, like the console methods they replace)
+ * @param {Object} options - Logger options
+ * @param {string} options.service - Service name added to every line
+ */
+function useJsonConsole({ service }) {
+  Object.entries(CONSOLE_LEVELS).forEach(([method, level]) => {
+    const stream =
+      level === "warn" || level === "error" ? process.stderr : process.stdout;
+    console[method] = (...args) => {
+      stream.write(`${JSON.stringify(buildLogEntry(level, args, service))}\n`);
+    };
+  });
+}
+
+module.exports = {
+  LOG_FORMATS,
+  withLogContext,
+  logContext,
+  parseLogLine,
+  buildLogEntry,
+  useJsonConsole,
+};
@@ -0,0 +1,226 @@
+/**
+ * Service Metrics
+ * ===============
+ *
+ * Author: Muhammad Bilal Motiwala
+ * Project: Black Swan
+ *
+ * Prometheus metrics for the analysis pipeline, exposed on `/metrics`:
+ * - Analysis runs and their duration, per pipeline step
+ * - LLM call latency and failures per provider and model
+ * - The JSON sanitization level model output needed before it parsed
+ * - Data service requests and errors per asset
+ * - Daily closes cache age, the latest score and the bull peak indicator hits
+ *
+ * Values that describe current state (cache age, indicator hits) are read from
+ * `sources` callbacks when the metrics are scraped rather than pushed.
+ */
+
+const client = require("prom-client");
+
+// Histogram buckets (seconds): steps take milliseconds, LLM calls up to minutes
+const DURATION_BUCKETS = [0.05, 0.25, 1, 2.5, 5, 10, 30, 60, 120, 300, 600];
+
+class ServiceMetrics {
+  /**
+   * @param {Object} [options] - Metrics options
+   * @param {string} [options.prefix] - Prefix of every metric name
+   * @param {boolean} [options.collectDefaults] - Also expose process metrics (CPU, memory, event loop)
+   * @param {Object} [options.sources] - Scrape-time readers
+   * @param {Function} [options.sources.cacheAges] - () => asset id -> daily closes age in seconds (null when never fetched)
+   * @param {Function} [options.sources.indicatorSummary] - () => { hit, total } of the latest snapshot, or null
+   */
+  constructor({
+    prefix = "market_peak_",
+    collectDefaults = true,
+    sources = {},
+  } = {}) {
+    this.registry = new client.Registry();
+    if (collectDefaults) {
+      client.collectDefaultMetrics({ register: this.registry, prefix });
+    }
+    const registers = [this.registry];
+
+    this.analysisRuns = new client.Counter({
+      name: `${prefix}analysis_runs_total`,
+      help: "Analysis runs by trigger type and outcome",
+      labelNames: ["trigger", "status"],
+      registers,
+    });
+    this.analysisDuration = new client.Histogram({
+      name: `${prefix}analysis_duration_seconds`,
+      help: "Duration of analysis runs",
+      labelNames: ["status"],
+      buckets: DURATION_BUCKETS,
+      registers,
+    });
+    this.stepDuration = new client.Histogram({
+      name: `${prefix}analysis_step_duration_seconds`,
+      help: "Duration of analysis pipeline steps",
+      labelNames: ["step", "status"],
+      buckets: DURATION_BUCKETS,
+      registers,
+    });
+    this.llmCalls = new client.Counter({
+      name: `${prefix}llm_requests_total`,
+      help: "LLM calls by provider, model, purpose and outcome",
+      labelNames: ["provider", "model", "purpose", "status"],
+      registers,
+    });
+    this.llmLatency = new client.Histogram({
+      name: `${prefix}llm_request_duration_seconds`,
+      help: "LLM call latency",
+      labelNames: ["provider", "model", "purpose"],
+      buckets: DURATION_BUCKETS,
+      registers,
+    });
+    this.jsonParses = new client.Counter({
+      name: `${prefix}llm_json_parse_total`,
+      help: 'Model responses by the sanitization level that parsed them (1-2, or "failed")',
+      labelNames: ["level"],
+      registers,
+    });
+    this.dataServiceRequests = new client.Counter({
+      name: `${prefix}data_service_requests_total`,
+      help: "Data service requests by asset, endpoint and outcome",
+      labelNames: ["asset", "endpoint", "status"],
+      registers,
+    });
+    this.dataServiceErrors = new client.Counter({
+      name: `${prefix}data_service_errors_total`,
+      help: "Failed data service requests by asset, endpoint and error code",
+      labelNames: ["asset", "endpoint", "code"],
+      registers,
+    });
+    this.score = new client.Gauge({
+      name: `${prefix}score`,
+      help: "Market peak score of the latest successful analysis",
+      registers,
+    });
+    this.lastSuccess = new client.Gauge({
+      name: `${prefix}analysis_last_success_timestamp_seconds`,
+      help: "Unix time of the latest successful analysis",
+      registers,
+    });
+
+    const { cacheAges, indicatorSummary } = sources;
+    new client.Gauge({
+      name: `${prefix}daily_cache_age_seconds`,
+      help: "Age of each asset's cached daily closes",
+      labelNames: ["asset"],
+      registers,
+      collect() {
+        this.reset();
+        if (!cacheAges) return;
+        Object.entries(cacheAges()).forEach(([asset, age]) => {
+          if (age !== null) this.set({ asset }, age);
+        });
+      },
+    });
+    new client.Gauge({
+      name: `${prefix}indicators_hit`,
+      help: "Bull market peak indicators hit in the latest snapshot",
+      registers,
+      collect() {
+        const summary = indicatorSummary ? indicatorSummary() : null;
+        if (summary) this.set(summary.hit);
+      },
+    });
+    new client.Gauge({
+      name: `${prefix}indicators_total`,
+      help: "Bull market peak indicators in the latest snapshot",
+      registers,
+      collect() {
+        const summary = indicatorSummary ? indicatorSummary() : null;
+        if (summary) this.set(summary.total);
+      },
+    });
+  }
+
+  /**
+   * Record a finished pipeline step
+   * @param {string} step - Step name from JOB_STEPS
+   * @param {string} status - "completed" or "failed"
+   * @param {number} durationMs - Step duration
+   */
+  observeStep(step, status, durationMs) {
+    this.stepDuration.observe({ step, status }, durationMs / 1000);
+  }
+
+  /**
+   * Record a finished analysis run
+   * @param {Object} run - Run details
+   * @param {string} run.trigger - Trigger type
+   * @param {string} run.status - "succeeded", "failed" or "skipped"
+   * @param {number} run.durationMs - Run duration
+   * @param {number} [run.score] - Score of a successful run
+   */
+  observeAnalysis({ trigger, status, durationMs, score = null }) {
+    this.analysisRuns.inc({ trigger, status });
+    this.analysisDuration.observe({ status }, durationMs / 1000);
+    if (status === "succeeded" && Number.isFinite(score)) {
+      this.score.set(score);
+      this.lastSuccess.set(Date.now() / 1000);
+    }
+  }
+
+  /**
+   * Record an LLM call
+   * @param {Object} call - Call details
+   * @param {string} call.provider - Provider name
+   * @param {string} call.model - Model name
+   * @param {string} call.purpose - "analysis", "shadow" or "backtest"
+   * @param {boolean} call.ok - Whether the provider returned a response
+   * @param {number} call.latencyMs - Call latency
+   */
+  observeLlmCall({ provider, model, purpose, ok, latencyMs }) {
+    const labels = { provider, model: model || "default", purpose };
+    this.llmCalls.inc({ ...labels, status: ok ? "ok" : "error" });
+    this.llmLatency.observe(labels, latencyMs / 1000);
+  }
+
+  /**
+   * Record how a model response was parsed
+   * @param {number|string} level - Sanitization level (1-based) that parsed it, or "failed"
+   */
+  recordJsonParse(level) {
+    this.jsonParses.inc({ level: String(level) });
+  }
+
+  /**
+   * Record a data service request
+   * @param {Object} request - Request details
+   * @param {string} request.asset - Asset id
+   * @param {string} request.endpoint - "minutes" or "daily"
+   * @param {boolean} request.ok - Whether it succeeded (after retries)
+   * @param {string} [request.code] - Error code of a failed request
+   */
+  recordDataServiceRequest({ asset, endpoint, ok, code }) {
+    this.dataServiceRequests.inc({
+      asset,
+      endpoint,
+      status: ok ? "ok" : "error",
+    });
+    if (!ok) {
+      this.dataServiceErrors.inc({ asset, endpoint, code: code || "unknown" });
+    }
+  }
+
+  /**
+   * Content type of the exposition format
+   * @returns {string} Content-Type header value
+   */
+  get contentType() {
+    return this.registry.contentType;
+  }
+
+  /**
+   * Render every metric in the Prometheus text format
+   * @returns {Promise<string>} Exposition text
+   */
+  render() {
+    return this.registry.metrics();
+  }
+}
+
+module.exports = { ServiceMetrics, DURATION_BUCKETS };
@@ -0,0 +1,185 @@
+/**
+ * Analysis Output Schema
+ * ======================
+ *
+ * Author: Muhammad Bilal Motiwala
+ * Project: Black Swan
+ *
+ * JSON schema for the model's { score, analysis, reasoning, key_factors } output
+ * and a small validator for the subset of JSON Schema it uses. The same schema
+ * is sent to providers that support structured output (response_format) and
+ * used to validate every response before it is stored.
+ */
+
+const ANALYSIS_OUTPUT_SCHEMA = {
+  type: "object",
+  properties: {
+    score: { type: "integer", minimum: 1, maximum: 100 },
+    analysis: { type: "string", minLength: 20, maxLength: 8000 },
+    reasoning: { type: "string", minLength: 20, maxLength: 12000 },
+    key_factors: {
+      type: "array",
+      minItems: 1,
+      maxItems: 8,
+      items: { type: "string", minLength: 3, maxLength: 400 },
+    },
+  },
+  required: ["score", "analysis", "reasoning", "key_factors"],
+  additionalProperties: false,
+};
+
+/**
+ * Check a value against a JSON schema type name
+ * @param {*} value - Value to check
+ * @param {string} type - JSON schema type
+ * @returns {boolean} Whether the value matches
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case "object":
+      return (
+        value !== null && typeof value === "object" && !Array.isArray(value)
+      );
+    case "array":
+      return Array.isArray(value);
+    case "string":
+      return typeof value === "string";
+    case "integer":
+      return Number.isInteger(value);
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    case "boolean":
+      return typeof value === "boolean";
+    default:
+      return false;
+  }
+}
+
+/**
+ * Validate a value against a schema
+ * Supports type, properties, required, additionalProperties, items,
+ * minItems/maxItems, minLength/maxLength and minimum/maximum.
+ * @param {*} value - Value to validate
+ * @param {Object} schema - Schema to validate against
+ * @param {string} path - Path of the value, used in error messages
+ * @returns {string[]} List of validation errors (empty when valid)
+ */
+function validateAgainstSchema(value, schema, path = "$") {
+  const errors = [];
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    errors.push(`${path} must be of type ${schema.type}`);
+    return errors; // Further checks are meaningless with the wrong type
+  }
+
+  if (schema.type === "object") {
+    (schema.required || []).forEach((key) => {
+      if (!(key in value)) errors.push(`${path}.${key} is required`);
+    });
+    Object.entries(value).forEach(([key, child]) => {
+      const childSchema = schema.properties?.[key];
+      if (childSchema) {
+        errors.push(
+          ...validateAgainstSchema(child, childSchema, `${path}.${key}`)
+        );
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key} is not an allowed property`);
+      }
+    });
+  }
+
+  if (schema.type === "array") {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path} must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path} must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => {
+        errors.push(
+          ...validateAgainstSchema(item, schema.items, `${path}[${i}]`)
+        );
+      });
+    }
+  }
+
+  if (schema.type === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path} must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path} must be at most ${schema.maxLength} characters`);
+    }
+  }
+
+  if (schema.type === "integer" || schema.type === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path} must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path} must be <= ${schema.maximum}`);
+    }
+  }
+
+  return errors;
+}
+
+// Keywords enforced locally but not accepted by every strict structured-output API
+const LOCAL_ONLY_KEYWORDS = [
+  "minLength",
+  "maxLength",
+  "minimum",
+  "maximum",
+  "minItems",
+  "maxItems",
+];
+
+/**
+ * Remove locally-enforced constraint keywords from a schema (recursively)
+ * @param {Object} schema - Schema to strip
+ * @returns {Object} Copy of the schema accepted by strict structured-output APIs
+ */
+function stripLocalOnlyKeywords(schema) {
+  const stripped = {};
+  Object.entries(schema).forEach(([key, value]) => {
+    if (LOCAL_ONLY_KEYWORDS.includes(key)) return;
+    if (key === "properties") {
+      stripped.properties = {};
+      Object.entries(value).forEach(([prop, child]) => {
+        stripped.properties[prop] = stripLocalOnlyKeywords(child);
+      });
+    } else if (key === "items") {
+      stripped.items = stripLocalOnlyKeywords(value);
+    } else {
+      stripped[key] = value;
+    }
+  });
+  return stripped;
+}
+
+/**
+ * Build the response_format payload for OpenAI-compatible APIs
+ * @param {string} mode - "json_schema", "json_object" or "none"
+ * @returns {Object|null} response_format value, or null to omit it
+ */
+function buildResponseFormat(mode) {
+  if (mode === "json_schema") {
+    return {
+      type: "json_schema",
+      json_schema: {
+        name: "market_peak_analysis",
+        strict: true,
+        schema: stripLocalOnlyKeywords(ANALYSIS_OUTPUT_SCHEMA),
+      },
+    };
+  }
+  if (mode === "json_object") return { type: "json_object" };
+  return null;
+}
+
+module.exports = {
+  ANALYSIS_OUTPUT_SCHEMA,
+  validateAgainstSchema,
+  buildResponseFormat,
+};
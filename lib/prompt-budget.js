@@ -0,0 +1,200 @@
+/**
+ * Prompt Token Budget
+ * ===================
+ *
+ * Author: Muhammad Bilal Motiwala
+ * Project: Black Swan
+ *
+ * Keeps the filled analysis prompt within the model's context window (or a
+ * configured budget). Token counts are estimated from the prompt text, and when
+ * the prompt is too large the price series are compressed step by step:
+ * older daily history becomes weekly or monthly closes while recent days stay
+ * daily, and minute data becomes OHLC bars instead of sampled points.
+ */
+
+const { toMillis } = require("./cycle-metrics");
+const { pointPrice } = require("./analysis-triggers");
+
+// Characters per token. Prompts are mostly JSON numbers, which tokenize more
+// densely than prose, so this errs on the side of overestimating.
+const CHARS_PER_TOKEN = 3.5;
+
+// Context windows (tokens) by model id prefix; first match wins
+const MODEL_CONTEXT_WINDOWS = [
+  ["openai/gpt-5", 400000],
+  ["openai/gpt-4.1", 1047576],
+  ["openai/gpt-4o", 128000],
+  ["openai/o3", 200000],
+  ["openai/o4", 200000],
+  ["anthropic/claude", 200000],
+  ["google/gemini", 1048576],
+  ["x-ai/grok-4", 256000],
+  ["deepseek/", 128000],
+  ["meta-llama/", 128000],
+];
+
+// Context window assumed for models not listed above
+const DEFAULT_CONTEXT_WINDOW = 128000;
+
+// Compression steps tried in order until the prompt fits.
+// recentDays: trailing days kept as daily closes; olderStepDays: spacing of the
+// closes kept before that; minuteBarMinutes: OHLC bar size (null = sampled points)
+const COMPRESSION_LEVELS = [
+  {
+    name: "none",
+    recentDays: Infinity,
+    olderStepDays: 1,
+    minuteBarMinutes: null,
+  },
+  {
+    name: "weekly-history",
+    recentDays: 180,
+    olderStepDays: 7,
+    minuteBarMinutes: 60,
+  },
+  {
+    name: "weekly-history-compact",
+    recentDays: 90,
+    olderStepDays: 7,
+    minuteBarMinutes: 240,
+  },
+  {
+    name: "monthly-history",
+    recentDays: 30,
+    olderStepDays: 30,
+    minuteBarMinutes: 1440,
+  },
+];
+
+/**
+ * Estimate the number of tokens in a text
+ * @param {string} text - Prompt text
+ * @returns {number} Estimated tokens
+ */
+function estimateTokens(text) {
+  return Math.ceil(String(text || "").length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Context window of a model
+ * @param {string} model - Model id (e.g. "openai/gpt-5-mini")
+ * @param {number} [override] - Configured context window, used for every model when set
+ * @returns {number} Context window in tokens
+ */
+function contextWindowFor(model, override = null) {
+  if (override) return override;
+  const match = MODEL_CONTEXT_WINDOWS.find(([prefix]) =>
+    String(model || "").startsWith(prefix)
+  );
+  return match ? match[1] : DEFAULT_CONTEXT_WINDOW;
+}
+
+/**
+ * Prompt token budget for a set of models (the smallest one decides)
+ * @param {Array} models - Model ids the prompt is sent to
+ * @param {Object} options - Budget options
+ * @param {number} [options.maxPromptTokens] - Configured budget, applied on top of the window
+ * @param {number} [options.contextWindow] - Context window override
+ * @param {number} options.completionTokens - Tokens reserved for the response
+ * @returns {Object} { budget, context_window }
+ */
+function promptTokenBudget(
+  models,
+  { maxPromptTokens = null, contextWindow = null, completionTokens }
+) {
+  const window = Math.min(
+    ...models.map((model) => contextWindowFor(model, contextWindow))
+  );
+  const budget = Math.min(
+    window - completionTokens,
+    maxPromptTokens || Infinity
+  );
+  return { budget, context_window: window };
+}
+
+/**
+ * Downsample daily closes: recent days stay daily, older history keeps one
+ * close every `olderStepDays`, counted back from the newest older close
+ * @param {Array} closes - {timestamp, close} objects sorted ascending
+ * @param {Object} level - Compression level
+ * @returns {Array} Downsampled closes, still ascending
+ */
+function downsampleDailyCloses(closes, { recentDays, olderStepDays }) {
+  if (!Array.isArray(closes) || olderStepDays <= 1) return closes || [];
+  const split = Math.max(0, closes.length - recentDays);
+  const older = closes.slice(0, split);
+  return [
+    ...older.filter((_, i) => (older.length - 1 - i) % olderStepDays === 0),
+    ...closes.slice(split),
+  ];
+}
+
+/**
+ * Summarize a minute series as OHLC bars
+ * @param {Array} series - Minute points (oldest first)
+ * @param {number} barMinutes - Bar size in minutes
+ * @returns {Array} { start, open, high, low, close } bars, oldest first
+ */
+function summarizeMinuteSeries(series, barMinutes) {
+  const barMs = barMinutes * 60 * 1000;
+  const bars = new Map();
+  (Array.isArray(series) ? series : []).forEach((point, i) => {
+    const price = pointPrice(point);
+    if (price === null) return;
+    const time = toMillis(point?.timestamp ?? point?.time ?? point?.t);
+    // Points without a timestamp are assumed to be one minute apart
+    const key =
+      time !== null
+        ? Math.floor(time / barMs) * barMs
+        : Math.floor(i / barMinutes);
+    const bar = bars.get(key);
+    if (!bar) {
+      bars.set(key, {
+        start: time !== null ? new Date(key).toISOString() : null,
+        open: price,
+        high: price,
+        low: price,
+        close: price,
+      });
+    } else {
+      bar.high = Math.max(bar.high, price);
+      bar.low = Math.min(bar.low, price);
+      bar.close = price;
+    }
+  });
+  return [...bars.values()];
+}
+
+/**
+ * Describe the daily history resolution of a level for the prompt
+ * @param {Object} level - Compression level
+ * @returns {string} e.g. "daily closes for the last 180 days, weekly closes before"
+ */
+function describeDailyResolution({ recentDays, olderStepDays }) {
+  if (olderStepDays <= 1) return "daily closes";
+  const older = olderStepDays === 7 ? "weekly" : `${olderStepDays}-day`;
+  return `daily closes for the last ${recentDays} days, ${older} closes before`;
+}
+
+/**
+ * Describe the minute data resolution of a level for the prompt
+ * @param {Object} level - Compression level
+ * @returns {string} e.g. "60-minute OHLC bars"
+ */
+function describeMinuteResolution({ minuteBarMinutes }) {
+  if (!minuteBarMinutes) return "every 5th minute";
+  if (minuteBarMinutes >= 1440) return "24h OHLC summary";
+  return `${minuteBarMinutes}-minute OHLC bars`;
+}
+
+module.exports = {
+  CHARS_PER_TOKEN,
+  COMPRESSION_LEVELS,
+  estimateTokens,
+  contextWindowFor,
+  promptTokenBudget,
+  downsampleDailyCloses,
+  summarizeMinuteSeries,
+  describeDailyResolution,
+  describeMinuteResolution,
+};
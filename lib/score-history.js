@@ -0,0 +1,162 @@
+/**
+ * Score History
+ * =============
+ *
+ * Author: Muhammad Bilal Motiwala
+ * Project: Black Swan
+ *
+ * Helpers that turn stored analyses into time-series for dashboards: fixed
+ * interval buckets (min/max/mean/last), rolling 24h/7d averages, score deltas
+ * and the number of bull market peak indicators hit over time.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Supported bucket intervals for the history API
+const INTERVALS = {
+  "1h": HOUR_MS,
+  "1d": DAY_MS,
+  "1w": 7 * DAY_MS,
+};
+
+// Longest rolling window, i.e. how much history before `from` is needed
+const ROLLING_LOOKBACK_MS = 7 * DAY_MS;
+
+/**
+ * Convert a stored analysis document into a compact history point
+ * @param {Object} doc - Stored analysis ({ id, timestamp, score, indicator_summary })
+ * @returns {Object|null} { id, timestamp, score, indicators_hit } or null if unusable
+ */
+function toHistoryPoint(doc) {
+  const timestamp = Date.parse(doc?.timestamp);
+  if (!Number.isFinite(timestamp) || !Number.isFinite(doc?.score)) return null;
+  return {
+    id: doc.id,
+    timestamp,
+    score: doc.score,
+    indicators_hit: Number.isFinite(doc.indicator_summary?.hit)
+      ? doc.indicator_summary.hit
+      : null, // Analyses stored before indicator summaries were recorded
+  };
+}
+
+/**
+ * Start of the bucket containing a timestamp (buckets are aligned to the epoch, UTC)
+ * @param {number} timestamp - Timestamp in ms
+ * @param {number} intervalMs - Bucket size in ms
+ * @returns {number} Bucket start in ms
+ */
+function bucketStart(timestamp, intervalMs) {
+  return Math.floor(timestamp / intervalMs) * intervalMs;
+}
+
+/**
+ * Average score of points within (end - windowMs, end]
+ * @param {Array} points - History points sorted ascending
+ * @param {number} end - Window end in ms (inclusive)
+ * @param {number} windowMs - Window length in ms
+ * @returns {number|null} Average or null when the window is empty
+ */
+function rollingAverage(points, end, windowMs) {
+  const inWindow = points.filter(
+    (p) => p.timestamp > end - windowMs && p.timestamp <= end
+  );
+  if (inWindow.length === 0) return null;
+  const avg = inWindow.reduce((sum, p) => sum + p.score, 0) / inWindow.length;
+  return Math.round(avg * 100) / 100;
+}
+
+/**
+ * Group points into fixed-interval buckets with rolling statistics
+ * @param {Array} points - History points within the requested range, sorted ascending
+ * @param {number} intervalMs - Bucket size in ms
+ * @param {Array} lookbackPoints - Points before the range used to warm up rolling averages
+ * @returns {Array} Buckets with min/max/mean/last, deltas and rolling averages
+ */
+function bucketizeScores(points, intervalMs, lookbackPoints = []) {
+  const allPoints = [...lookbackPoints, ...points];
+  const byBucket = new Map();
+  points.forEach((p) => {
+    const start = bucketStart(p.timestamp, intervalMs);
+    if (!byBucket.has(start)) byBucket.set(start, []);
+    byBucket.get(start).push(p);
+  });
+
+  let previousLast = lookbackPoints.length
+    ? lookbackPoints[lookbackPoints.length - 1].score
+    : null;
+
+  return [...byBucket.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([start, members]) => {
+      const scores = members.map((p) => p.score);
+      const lastPoint = members[members.length - 1];
+      const mean = scores.reduce((sum, s) => sum + s, 0) / scores.length;
+      const bucket = {
+        start: new Date(start).toISOString(),
+        end: new Date(start + intervalMs).toISOString(),
+        count: members.length,
+        min: Math.min(...scores),
+        max: Math.max(...scores),
+        mean: Math.round(mean * 100) / 100,
+        last: lastPoint.score,
+        delta: previousLast === null ? null : lastPoint.score - previousLast,
+        rolling_avg_24h: rollingAverage(allPoints, lastPoint.timestamp, DAY_MS),
+        rolling_avg_7d: rollingAverage(
+          allPoints,
+          lastPoint.timestamp,
+          ROLLING_LOOKBACK_MS
+        ),
+        indicators_hit_last: lastPoint.indicators_hit,
+        indicators_hit_max: members.some((p) => p.indicators_hit !== null)
+          ? Math.max(
+              ...members
+                .map((p) => p.indicators_hit)
+                .filter((hit) => hit !== null)
+            )
+          : null,
+      };
+      previousLast = lastPoint.score;
+      return bucket;
+    });
+}
+
+/**
+ * Encode the pagination cursor after a history point
+ * @param {Object} point - Last point of a page ({ id, timestamp })
+ * @returns {string} Opaque cursor
+ */
+function encodeHistoryCursor(point) {
+  const cursor = { timestamp: new Date(point.timestamp).toISOString() };
+  if (point.id) cursor.id = point.id;
+  return Buffer.from(JSON.stringify(cursor)).toString("base64url");
+}
+
+/**
+ * Decode a history pagination cursor
+ * @param {string} cursor - Cursor from encodeHistoryCursor(); a plain ISO
+ *   timestamp (cursors issued before ids were added) resumes after that time
+ * @returns {Object} { timestamp, id } for the repository's range()
+ */
+function decodeHistoryCursor(cursor) {
+  const text = Buffer.from(cursor, "base64url").toString("utf8");
+  try {
+    const { timestamp, id } = JSON.parse(text);
+    if (typeof timestamp === "string") return { timestamp, id };
+  } catch {
+    // Not JSON: an older timestamp-only cursor
+  }
+  return { timestamp: text };
+}
+
+module.exports = {
+  INTERVALS,
+  ROLLING_LOOKBACK_MS,
+  toHistoryPoint,
+  encodeHistoryCursor,
+  decodeHistoryCursor,
+  bucketStart,
+  rollingAverage,
+  bucketizeScores,
+};
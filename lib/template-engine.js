@@ -0,0 +1,428 @@
+/**
+ * Prompt Template Engine
+ * ======================
+ *
+ * Author: Muhammad Bilal Motiwala
+ * Project: Black Swan
+ *
+ * Renders the prompt templates in `prompts/`. Templates are parsed once into a
+ * tree and rendered by walking it, so data values are inserted verbatim (no
+ * RegExp or `$` replacement patterns involved) and every placeholder is
+ * accounted for: placeholders without data and data keys the template never
+ * uses are reported back to the caller.
+ *
+ * Syntax:
+ *   {{key}}, {{key.nested}}        Value (objects are pretty-printed as JSON)
+ *   {{#if key}}...{{else}}...{{/if}}  Conditional on a truthy value (empty arrays are falsy)
+ *   {{#each list}}...{{/each}}     Loop over an array or object. Inside, item fields
+ *                                  resolve first, then outer data; {{this}}, {{@index}}
+ *                                  and {{@key}} refer to the current item
+ *   {{> name}}                     Include the partial `prompts/partials/<name>.md`
+ *
+ * Block tags and partials that sit alone on a line do not leave a blank line behind.
+ */
+
+// Any {{ ... }} tag; group 1 is the sigil (#, /, >), group 2 the tag body
+const TAG_PATTERN = /\{\{\s*([#/>]?)\s*([^{}]*?)\s*\}\}/g;
+
+// Valid placeholder paths: key, key.nested, this, @index, @key
+const PATH_PATTERN = /^(?:this|@index|@key|[A-Za-z_][\w-]*)(?:\.[\w-]+)*$/;
+
+// Deepest partial nesting before a cycle is assumed
+const MAX_PARTIAL_DEPTH = 10;
+
+/**
+ * Build a template error that carries its location
+ * @param {string} message - Error description
+ * @param {string} name - Template name
+ * @param {number} [line] - 1-based line of the offending tag
+ * @returns {Error} Error with `template` and `line` properties
+ */
+function templateError(message, name, line) {
+  const error = new Error(`${name}${line ? `:${line}` : ""}: ${message}`);
+  error.template = name;
+  error.line = line || null;
+  return error;
+}
+
+/**
+ * Parse a template into a node tree
+ * @param {string} source - Template text
+ * @param {string} [name] - Template name used in error messages
+ * @returns {Array} Nodes: text, var, if, each and partial
+ * @throws {Error} On unknown or unbalanced block tags and invalid paths
+ */
+function parseTemplate(source, name = "template") {
+  const nodes = [];
+  // Open blocks, innermost last: { node, target } where target receives children
+  const stack = [{ node: null, target: nodes }];
+  let cursor = 0;
+  let match;
+
+  const lineAt = (index) => source.slice(0, index).split("\n").length;
+  const current = () => stack[stack.length - 1];
+  const checkPath = (path, line) => {
+    if (!PATH_PATTERN.test(path)) {
+      throw templateError(`invalid placeholder "${path}"`, name, line);
+    }
+    return path;
+  };
+
+  TAG_PATTERN.lastIndex = 0;
+  while ((match = TAG_PATTERN.exec(source)) !== null) {
+    const [raw, sigil, body] = match;
+    const line = lineAt(match.index);
+    let start = match.index;
+    let end = match.index + raw.length;
+
+    // A block tag or partial alone on its line swallows the whole line
+    if (sigil || body === "else") {
+      const lineStart = source.lastIndexOf("\n", start - 1) + 1;
+      const newline = source.indexOf("\n", end);
+      const lineEnd = newline === -1 ? source.length : newline + 1;
+      if (
+        /^[ \t]*$/.test(source.slice(lineStart, start)) &&
+        /^[ \t]*\r?\n?$/.test(source.slice(end, lineEnd))
+      ) {
+        start = lineStart;
+        end = lineEnd;
+      }
+    }
+
+    if (start > cursor) {
+      current().target.push({
+        type: "text",
+        value: source.slice(cursor, start),
+      });
+    }
+    cursor = end;
+
+    const open = current().node;
+    if (sigil === "#") {
+      const [keyword, path, extra] = body.split(/\s+/);
+      if ((keyword !== "if" && keyword !== "each") || !path || extra) {
+        throw templateError(`unknown block "{{#${body}}}"`, name, line);
+      }
+      const node =
+        keyword === "if"
+          ? {
+              type: "if",
+              path: checkPath(path, line),
+              line,
+              then: [],
+              otherwise: [],
+            }
+          : { type: "each", path: checkPath(path, line), line, children: [] };
+      current().target.push(node);
+      stack.push({ node, target: node.then || node.children });
+    } else if (sigil === "/") {
+      if (!open || open.type !== body) {
+        throw templateError(
+          `unexpected "{{/${body}}}"${
+            open ? ` (open block: {{#${open.type}}} on line ${open.line})` : ""
+          }`,
+          name,
+          line
+        );
+      }
+      stack.pop();
+    } else if (sigil === ">") {
+      if (!/^[\w-]+$/.test(body)) {
+        throw templateError(`invalid partial name "${body}"`, name, line);
+      }
+      current().target.push({ type: "partial", name: body, line });
+    } else if (body === "else") {
+      if (!open || open.type !== "if" || current().target === open.otherwise) {
+        throw templateError(`"{{else}}" outside of {{#if}}`, name, line);
+      }
+      current().target = open.otherwise;
+    } else {
+      current().target.push({ type: "var", path: checkPath(body, line), line });
+    }
+  }
+
+  if (stack.length > 1) {
+    const { node } = current();
+    throw templateError(
+      `unclosed {{#${node.type} ${node.path}}}`,
+      name,
+      node.line
+    );
+  }
+  if (cursor < source.length) {
+    nodes.push({ type: "text", value: source.slice(cursor) });
+  }
+  return nodes;
+}
+
+/**
+ * Names of the partials a parsed template includes directly
+ * @param {Array} nodes - Parsed template
+ * @returns {Array} Unique partial names in order of appearance
+ */
+function listPartials(nodes) {
+  const names = new Set();
+  const walk = (list) =>
+    list.forEach((node) => {
+      if (node.type === "partial") names.add(node.name);
+      if (node.type === "if") {
+        walk(node.then);
+        walk(node.otherwise);
+      }
+      if (node.type === "each") walk(node.children);
+    });
+  walk(nodes);
+  return [...names];
+}
+
+/**
+ * Resolve a placeholder path against the scope chain
+ * @param {string} path - Placeholder path
+ * @param {Array} scopes - Scopes, innermost last ({ value, index?, key? })
+ * @param {Set} used - Receives top-level data keys resolved from the root scope
+ * @returns {*} Resolved value or undefined when missing
+ */
+function resolvePath(path, scopes, used) {
+  const inner = scopes[scopes.length - 1];
+  if (path === "@index") return inner.index;
+  if (path === "@key") return inner.key;
+
+  const [head, ...rest] = path.split(".");
+  let value;
+  if (head === "this") {
+    value = inner.value;
+  } else {
+    // Innermost scope that has the key wins
+    const depth = [...scopes]
+      .reverse()
+      .findIndex(
+        (scope) =>
+          scope.value !== null &&
+          typeof scope.value === "object" &&
+          head in scope.value
+      );
+    if (depth === -1) return undefined;
+    if (depth === scopes.length - 1) used.add(head);
+    value = scopes[scopes.length - 1 - depth].value[head];
+  }
+
+  for (const key of rest) {
+    if (value === null || value === undefined) return undefined;
+    value = value[key];
+  }
+  return value;
+}
+
+/**
+ * Format a value for insertion into the prompt
+ * @param {*} value - Resolved value
+ * @returns {string} JSON for objects, String() for everything else
+ */
+function formatValue(value) {
+  return typeof value === "object" && value !== null
+    ? JSON.stringify(value, null, 2) // Pretty-print objects as JSON
+    : String(value);
+}
+
+/**
+ * Iteration entries of an {{#each}} value
+ * @param {*} value - Array or plain object
+ * @returns {Array|null} [{ value, index, key }] or null if not iterable
+ */
+function eachEntries(value) {
+  if (Array.isArray(value)) {
+    return value.map((item, index) => ({ value: item, index, key: index }));
+  }
+  if (value !== null && typeof value === "object") {
+    return Object.entries(value).map(([key, item], index) => ({
+      value: item,
+      index,
+      key,
+    }));
+  }
+  return null;
+}
+
+/**
+ * Whether an {{#if}} value counts as true
+ * @param {*} value - Resolved value
+ * @returns {boolean} False for falsy values and empty arrays
+ */
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : !!value;
+}
+
+/**
+ * Render a template with data
+ * @param {string|Array} template - Template text or parsed nodes
+ * @param {Object} data - Data object
+ * @param {Object} [options] - Render options
+ * @param {string} [options.name] - Template name used in messages
+ * @param {Function} [options.loadPartial] - name => parsed nodes (or text) of a partial
+ * @returns {Object} { text, missing, unused } - missing lists placeholder paths without
+ *   data (left in the text as-is), unused lists top-level data keys the template never read
+ * @throws {Error} On syntax errors, unknown partials or partial cycles
+ */
+function renderTemplate(
+  template,
+  data,
+  { name = "template", loadPartial } = {}
+) {
+  const nodes =
+    typeof template === "string" ? parseTemplate(template, name) : template;
+  const missing = new Set();
+  const used = new Set();
+
+  const partialNodes = (node, depth) => {
+    if (depth >= MAX_PARTIAL_DEPTH) {
+      throw templateError(
+        `partial "${node.name}" nested too deeply`,
+        name,
+        node.line
+      );
+    }
+    if (!loadPartial) {
+      throw templateError(
+        `partials are not available ("${node.name}")`,
+        name,
+        node.line
+      );
+    }
+    const partial = loadPartial(node.name);
+    return typeof partial === "string"
+      ? parseTemplate(partial, node.name)
+      : partial;
+  };
+
+  const render = (list, scopes, depth) =>
+    list
+      .map((node) => {
+        switch (node.type) {
+          case "text":
+            return node.value;
+          case "var": {
+            const value = resolvePath(node.path, scopes, used);
+            if (value === undefined) {
+              missing.add(node.path);
+              return `{{${node.path}}}`;
+            }
+            return formatValue(value);
+          }
+          case "if":
+            return render(
+              isTruthy(resolvePath(node.path, scopes, used))
+                ? node.then
+                : node.otherwise,
+              scopes,
+              depth
+            );
+          case "each": {
+            const value = resolvePath(node.path, scopes, used);
+            if (value === undefined) {
+              missing.add(node.path);
+              return "";
+            }
+            return (eachEntries(value) || [])
+              .map((entry) => render(node.children, [...scopes, entry], depth))
+              .join("");
+          }
+          case "partial":
+            return render(partialNodes(node, depth), scopes, depth + 1);
+          default:
+            return "";
+        }
+      })
+      .join("");
+
+  const text = render(nodes, [{ value: data }], 0);
+  return {
+    text,
+    missing: [...missing],
+    unused: Object.keys(data || {}).filter((key) => !used.has(key)),
+  };
+}
+
+/**
+ * Statically check a template against a data shape. Unlike rendering, both
+ * branches of every {{#if}} are checked, and {{#each}} bodies are checked
+ * against the first item of the list.
+ * @param {string|Array} template - Template text or parsed nodes
+ * @param {Object} data - Example data with the same shape as real data
+ * @param {Object} [options] - Same as renderTemplate()
+ * @returns {Object} { missing, unused, partials } - partials lists every partial reached
+ * @throws {Error} On syntax errors, unknown partials or partial cycles
+ */
+function checkTemplate(
+  template,
+  data,
+  { name = "template", loadPartial } = {}
+) {
+  const nodes =
+    typeof template === "string" ? parseTemplate(template, name) : template;
+  const missing = new Set();
+  const used = new Set();
+  const partials = new Set();
+
+  const walk = (list, scopes, depth) =>
+    list.forEach((node) => {
+      if (node.type === "var") {
+        if (resolvePath(node.path, scopes, used) === undefined) {
+          missing.add(node.path);
+        }
+      } else if (node.type === "if") {
+        if (resolvePath(node.path, scopes, used) === undefined) {
+          missing.add(node.path);
+        }
+        walk(node.then, scopes, depth);
+        walk(node.otherwise, scopes, depth);
+      } else if (node.type === "each") {
+        const value = resolvePath(node.path, scopes, used);
+        const entries = value === undefined ? null : eachEntries(value);
+        if (value === undefined) missing.add(node.path);
+        // Without an example item, the body can only be checked against outer data
+        walk(
+          node.children,
+          entries?.length ? [...scopes, entries[0]] : scopes,
+          depth
+        );
+      } else if (node.type === "partial") {
+        if (depth >= MAX_PARTIAL_DEPTH) {
+          throw templateError(
+            `partial "${node.name}" nested too deeply`,
+            name,
+            node.line
+          );
+        }
+        if (!loadPartial) {
+          throw templateError(
+            `partials are not available ("${node.name}")`,
+            name,
+            node.line
+          );
+        }
+        partials.add(node.name);
+        const partial = loadPartial(node.name);
+        walk(
+          typeof partial === "string"
+            ? parseTemplate(partial, node.name)
+            : partial,
+          scopes,
+          depth + 1
+        );
+      }
+    });
+
+  walk(nodes, [{ value: data }], 0);
+  return {
+    missing: [...missing],
+    unused: Object.keys(data || {}).filter((key) => !used.has(key)),
+    partials: [...partials],
+  };
+}
+
+module.exports = {
+  parseTemplate,
+  renderTemplate,
+  checkTemplate,
+  listPartials,
+};
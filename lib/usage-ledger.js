@@ -0,0 +1,228 @@
+/**
+ * LLM Usage Ledger
+ * ================
+ *
+ * Author: Muhammad Bilal Motiwala
+ * Project: Black Swan
+ *
+ * Accounts for every LLM call: prompt/completion tokens, cost, latency and
+ * finish reason. The cost is what the provider reports (OpenRouter does);
+ * for providers that report none it is estimated from the token counts with
+ * the configured per-million-token prices, and the record is marked
+ * `cost_estimated`. Calls are summed into daily and monthly
+ * totals (UTC) that back `/api/usage` and the monthly budget, which stops
+ * unattended analyses once spend exceeds it.
+ *
+ * Totals are kept in memory for the current periods and handed to a `persist`
+ * callback per call, which stores them (Firestore increments in the service).
+ */
+
+/**
+ * Estimate the cost of a call from its token counts
+ * @param {number|null} promptTokens - Prompt tokens
+ * @param {number|null} completionTokens - Completion tokens
+ * @param {Object} [prices] - { promptPerMtok, completionPerMtok } in USD per million tokens
+ * @returns {number|null} Cost in USD, or null without prices or token counts
+ */
+function estimateCost(promptTokens, completionTokens, prices) {
+  const { promptPerMtok = null, completionPerMtok = null } = prices || {};
+  if (promptPerMtok === null && completionPerMtok === null) return null;
+  if (promptTokens === null && completionTokens === null) return null;
+  return roundCost(
+    ((promptTokens || 0) * (promptPerMtok || 0) +
+      (completionTokens || 0) * (completionPerMtok || 0)) /
+      1e6
+  );
+}
+
+/**
+ * Build the usage record of one LLM call
+ * @param {Object} call - Call details
+ * @param {string} call.provider - Provider name
+ * @param {string} call.model - Model used
+ * @param {string} call.purpose - Why the call was made ("analysis", "shadow", "backtest")
+ * @param {Object} [call.usage] - Provider usage ({ prompt_tokens, completion_tokens, total_tokens, cost })
+ * @param {string} [call.finishReason] - Provider finish reason
+ * @param {number} call.latencyMs - Wall time of the call
+ * @param {Object} [call.prices] - Token prices for estimateCost(), used when the provider reports no cost
+ * @returns {Object} Usage record
+ */
+function buildCallRecord({
+  provider,
+  model,
+  purpose,
+  usage = null,
+  finishReason = null,
+  latencyMs,
+  prices = null,
+}) {
+  const prompt = usage?.prompt_tokens ?? null;
+  const completion = usage?.completion_tokens ?? null;
+  const reported = Number.isFinite(usage?.cost) ? usage.cost : null;
+  const estimated =
+    reported === null ? estimateCost(prompt, completion, prices) : null;
+  return {
+    provider,
+    model,
+    purpose,
+    prompt_tokens: prompt,
+    completion_tokens: completion,
+    total_tokens:
+      usage?.total_tokens ??
+      (prompt !== null || completion !== null
+        ? (prompt || 0) + (completion || 0)
+        : null),
+    cost_usd: reported ?? estimated,
+    cost_estimated: estimated !== null,
+    latency_ms: latencyMs,
+    finish_reason: finishReason,
+    at: new Date().toISOString(),
+  };
+}
+
+/**
+ * Sum a list of call records
+ * @param {Array} calls - Records from buildCallRecord()
+ * @returns {Object} { calls, prompt_tokens, completion_tokens, total_tokens, cost_usd, latency_ms }
+ */
+function summarizeCalls(calls) {
+  const sum = (key) => calls.reduce((total, c) => total + (c[key] || 0), 0);
+  return {
+    calls: calls.length,
+    prompt_tokens: sum("prompt_tokens"),
+    completion_tokens: sum("completion_tokens"),
+    total_tokens: sum("total_tokens"),
+    cost_usd: roundCost(sum("cost_usd")),
+    latency_ms: sum("latency_ms"),
+  };
+}
+
+/**
+ * Round a dollar amount to 6 decimals (sub-cent per-call costs add up)
+ * @param {number} value - Amount in USD
+ * @returns {number} Rounded amount
+ */
+function roundCost(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+/**
+ * UTC day and month a time falls into
+ * @param {number|Date} [time] - Time (default: now)
+ * @returns {Object} { day: "YYYY-MM-DD", month: "YYYY-MM" }
+ */
+function usagePeriods(time = Date.now()) {
+  const iso = new Date(time).toISOString();
+  return { day: iso.slice(0, 10), month: iso.slice(0, 7) };
+}
+
+/**
+ * Empty totals for a period
+ * @returns {Object} Zeroed totals
+ */
+function emptyTotals() {
+  return {
+    calls: 0,
+    prompt_tokens: 0,
+    completion_tokens: 0,
+    total_tokens: 0,
+    cost_usd: 0,
+    by_purpose: {},
+  };
+}
+
+class UsageLedger {
+  /**
+   * @param {Object} options - Ledger options
+   * @param {number} [options.monthlyBudgetUsd] - Monthly spend limit (null = unlimited)
+   * @param {Function} [options.persist] - Async (record, periods) callback that stores a call
+   */
+  constructor({ monthlyBudgetUsd = null, persist = null } = {}) {
+    this.monthlyBudgetUsd = monthlyBudgetUsd;
+    this.persist = persist;
+    this.days = new Map(); // "YYYY-MM-DD" -> totals
+    this.months = new Map(); // "YYYY-MM" -> totals
+  }
+
+  /**
+   * Seed the totals of a month, e.g. from storage at startup
+   * @param {string} month - "YYYY-MM"
+   * @param {Object} totals - Stored totals
+   */
+  seedMonth(month, totals) {
+    this.months.set(month, { ...emptyTotals(), ...totals });
+  }
+
+  /**
+   * Account for one call
+   * @param {Object} record - Record from buildCallRecord()
+   * @returns {Object} Budget status after the call
+   */
+  async record(record) {
+    const periods = usagePeriods(Date.parse(record.at));
+    [
+      [this.days, periods.day],
+      [this.months, periods.month],
+    ].forEach(([map, key]) => {
+      const totals = map.get(key) || emptyTotals();
+      totals.calls += 1;
+      totals.prompt_tokens += record.prompt_tokens || 0;
+      totals.completion_tokens += record.completion_tokens || 0;
+      totals.total_tokens += record.total_tokens || 0;
+      totals.cost_usd = roundCost(totals.cost_usd + (record.cost_usd || 0));
+      const purpose = totals.by_purpose[record.purpose] || {
+        calls: 0,
+        cost_usd: 0,
+      };
+      purpose.calls += 1;
+      purpose.cost_usd = roundCost(purpose.cost_usd + (record.cost_usd || 0));
+      totals.by_purpose[record.purpose] = purpose;
+      map.set(key, totals);
+    });
+
+    if (this.persist) {
+      try {
+        await this.persist(record, periods);
+      } catch (error) {
+        console.error("❌ [USAGE] Failed to store usage:", error.message);
+      }
+    }
+    return this.budgetStatus();
+  }
+
+  /**
+   * In-memory totals for a day or month
+   * @param {string} period - "YYYY-MM-DD" or "YYYY-MM"
+   * @returns {Object} Totals (zeroed if nothing was recorded)
+   */
+  totals(period) {
+    const map = period.length === 7 ? this.months : this.days;
+    return map.get(period) || emptyTotals();
+  }
+
+  /**
+   * Spend against the monthly budget
+   * @param {number|Date} [time] - Time whose month is checked (default: now)
+   * @returns {Object} { month, spent_usd, budget_usd, remaining_usd, exceeded }
+   */
+  budgetStatus(time = Date.now()) {
+    const { month } = usagePeriods(time);
+    const spent = this.totals(month).cost_usd;
+    const budget = this.monthlyBudgetUsd;
+    return {
+      month,
+      spent_usd: spent,
+      budget_usd: budget,
+      remaining_usd: budget === null ? null : roundCost(budget - spent),
+      exceeded: budget !== null && spent >= budget,
+    };
+  }
+}
+
+module.exports = {
+  UsageLedger,
+  estimateCost,
+  buildCallRecord,
+  summarizeCalls,
+  usagePeriods,
+};
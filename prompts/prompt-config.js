@@ -7,16 +7,46 @@
  *
  * This class manages AI prompts for market peak analysis.
  * It handles loading, caching, and template filling for AI analysis prompts.
+ *
+ * Templates are versioned by file name (`<prompt>-<version>.md`). Every loaded
+ * template carries a content hash so stored analyses record exactly which
+ * prompt produced them, and the cache can be invalidated when files change
+ * (hot reload) without restarting the service.
+ *
+ * Templates are rendered by lib/template-engine.js. Partials in `partials/` are
+ * shared by every prompt version and included in the hash of each template that
+ * uses them. Placeholders without data fail the render in strict mode ("error")
+ * or are logged and left in the prompt ("warn").
  */
 
 const fs = require("fs");
 const path = require("path");
+const crypto = require("crypto");
+const {
+  parseTemplate,
+  renderTemplate,
+  checkTemplate,
+  listPartials,
+} = require("../lib/template-engine");
+
+// Versioned template file names: <prompt>-<version>.md
+const TEMPLATE_FILE_PATTERN = /^(.+)-(v[\w.-]+)\.md$/;
 
 class MarketPeakPromptManager {
-  constructor() {
+  /**
+   * @param {Object} [options] - Manager options
+   * @param {string} [options.version] - Default prompt version (default: "v1")
+   * @param {string} [options.strict] - Missing placeholder handling: "error" or "warn"
+   */
+  constructor({ version = "v1", strict = "error" } = {}) {
     this.promptsDir = path.join(__dirname); // Directory containing prompt templates
-    this.currentVersion = "v1"; // Current prompt version
-    this.promptCache = new Map(); // Cache for loaded prompts to improve performance
+    this.partialsDir = path.join(__dirname, "partials"); // Partials shared across versions
+    this.currentVersion = version; // Default prompt version
+    this.strict = strict; // "error" or "warn" on placeholders without data
+    this.promptCache = new Map(); // Cache of { template, nodes, hash } per prompt/version
+    this.partialCache = new Map(); // Cache of { source, nodes } per partial name
+    this.reportedUnused = new Set(); // Template hashes whose unused data keys were logged
+    this.watchers = []; // fs.watch handles while hot reload is enabled
   }
 
   /**
@@ -26,6 +56,17 @@ class MarketPeakPromptManager {
    * @returns {string} The loaded prompt template
    */
   loadPromptTemplate(promptName = "market-peak-analysis", version = null) {
+    return this.loadTemplateEntry(promptName, version).template;
+  }
+
+  /**
+   * Load a template together with its content hash
+   * @param {string} promptName - Name of the prompt template
+   * @param {string} version - Version of the prompt (default: current version)
+   * @returns {Object} { name, version, template, nodes, partials, hash }
+   * @throws {Error} If the file, or a partial it includes, is missing or invalid
+   */
+  loadTemplateEntry(promptName = "market-peak-analysis", version = null) {
     const promptVersion = version || this.currentVersion;
     const cacheKey = `${promptName}-${promptVersion}`;
 
@@ -33,38 +74,212 @@ class MarketPeakPromptManager {
     if (this.promptCache.has(cacheKey)) return this.promptCache.get(cacheKey);
 
     // Load template from file system
-    const promptFile = path.join(
-      this.promptsDir,
-      `${promptName}-${promptVersion}.md`
-    );
+    const promptFile = path.join(this.promptsDir, `${cacheKey}.md`);
     const template = fs.readFileSync(promptFile, "utf8");
+    const nodes = parseTemplate(template, `${cacheKey}.md`);
+    const partials = this.collectPartials(nodes);
+
+    // The hash covers the partials too, so editing one changes every prompt using it
+    const hash = crypto.createHash("sha256").update(template);
+    partials.forEach((name) =>
+      hash.update(`\0${name}\0${this.loadPartial(name).source}`)
+    );
+    const entry = {
+      name: promptName,
+      version: promptVersion,
+      template,
+      nodes,
+      partials,
+      hash: hash.digest("hex").slice(0, 16),
+    };
 
     // Cache the template for future use
-    this.promptCache.set(cacheKey, template);
-    console.log(`📝 [PROMPT] Loaded ${promptName}-${promptVersion}.md`);
-    return template;
+    this.promptCache.set(cacheKey, entry);
+    console.log(`📝 [PROMPT] Loaded ${cacheKey}.md (${entry.hash})`);
+    return entry;
+  }
+
+  /**
+   * Load a partial from `partials/<name>.md` with caching
+   * @param {string} name - Partial name
+   * @returns {Object} { source, nodes }
+   * @throws {Error} If the partial does not exist or has a syntax error
+   */
+  loadPartial(name) {
+    if (this.partialCache.has(name)) return this.partialCache.get(name);
+
+    const file = path.join(this.partialsDir, `${name}.md`);
+    if (!fs.existsSync(file))
+      throw new Error(`Unknown prompt partial "${name}"`);
+    const source = fs.readFileSync(file, "utf8");
+    const partial = {
+      source,
+      nodes: parseTemplate(source, `partials/${name}.md`),
+    };
+    this.partialCache.set(name, partial);
+    return partial;
+  }
+
+  /**
+   * Every partial a template reaches, directly or through other partials
+   * @param {Array} nodes - Parsed template
+   * @returns {Array} Partial names, sorted
+   * @throws {Error} If a partial is missing or partials include each other in a cycle
+   */
+  collectPartials(nodes) {
+    const found = new Set();
+    const visit = (list, chain) =>
+      listPartials(list).forEach((name) => {
+        if (chain.includes(name)) {
+          throw new Error(
+            `Prompt partial cycle: ${[...chain, name].join(" -> ")}`
+          );
+        }
+        found.add(name);
+        visit(this.loadPartial(name).nodes, [...chain, name]);
+      });
+    visit(nodes, []);
+    return [...found].sort();
+  }
+
+  /**
+   * Version and content hash of a template, for analysis metadata
+   * @param {string} promptName - Name of the prompt template
+   * @param {string} version - Version of the prompt (default: current version)
+   * @returns {Object} { name, version, hash }
+   */
+  getTemplateInfo(promptName = "market-peak-analysis", version = null) {
+    const {
+      name,
+      version: v,
+      hash,
+    } = this.loadTemplateEntry(promptName, version);
+    return { name, version: v, hash };
+  }
+
+  /**
+   * List the versions available on disk for a prompt
+   * @param {string} promptName - Name of the prompt template
+   * @returns {Array} Version names (e.g. ["v1", "v2"]) in natural order
+   */
+  listVersions(promptName = "market-peak-analysis") {
+    return this.listTemplates()
+      .filter((t) => t.name === promptName)
+      .map((t) => t.version);
+  }
+
+  /**
+   * List every versioned template on disk
+   * @returns {Array} { name, version } sorted by name, then version in natural order
+   */
+  listTemplates() {
+    return fs
+      .readdirSync(this.promptsDir)
+      .map((file) => file.match(TEMPLATE_FILE_PATTERN))
+      .filter(Boolean)
+      .map(([, name, version]) => ({ name, version }))
+      .sort(
+        (a, b) =>
+          a.name.localeCompare(b.name) ||
+          a.version.localeCompare(b.version, undefined, { numeric: true })
+      );
   }
 
   /**
-   * Fill a template with data by replacing placeholders
-   * @param {string} template - The template string with {{placeholder}} syntax
+   * Whether a version exists for a prompt
+   * @param {string} version - Version name
+   * @param {string} promptName - Name of the prompt template
+   * @returns {boolean} True if `<promptName>-<version>.md` exists
+   */
+  hasVersion(version, promptName = "market-peak-analysis") {
+    return this.listVersions(promptName).includes(version);
+  }
+
+  /**
+   * Whether hot reload is active
+   * @returns {boolean} True while the template directories are watched
+   */
+  get watching() {
+    return this.watchers.length > 0;
+  }
+
+  /**
+   * Watch the prompts and partials directories and drop cached templates when
+   * their file changes, so edits take effect on the next analysis without a restart
+   */
+  watch() {
+    if (this.watching) return;
+    const onError = (error) =>
+      console.error("❌ [PROMPT] Template watcher failed:", error.message);
+
+    const templates = fs.watch(this.promptsDir, (eventType, filename) => {
+      if (!filename || !filename.endsWith(".md")) return;
+      const cacheKey = filename.slice(0, -3);
+      if (this.promptCache.delete(cacheKey)) {
+        console.log(`🔄 [PROMPT] ${filename} changed, reloading on next use`);
+      }
+    });
+    templates.on("error", onError);
+    this.watchers.push(templates);
+
+    if (fs.existsSync(this.partialsDir)) {
+      // A partial can be part of any template, so every template is reloaded
+      const partials = fs.watch(this.partialsDir, (eventType, filename) => {
+        if (!filename || !filename.endsWith(".md")) return;
+        this.partialCache.clear();
+        this.promptCache.clear();
+        console.log(
+          `🔄 [PROMPT] partials/${filename} changed, reloading all templates on next use`
+        );
+      });
+      partials.on("error", onError);
+      this.watchers.push(partials);
+    }
+    console.log(`👀 [PROMPT] Watching ${this.promptsDir} for template changes`);
+  }
+
+  /**
+   * Stop watching the template directories
+   */
+  unwatch() {
+    this.watchers.forEach((watcher) => watcher.close());
+    this.watchers = [];
+  }
+
+  /**
+   * Fill a template with data
+   * @param {string|Array} template - Template text or parsed nodes
    * @param {Object} data - Data object to fill the template with
+   * @param {string} [name] - Template name used in messages
    * @returns {string} The filled template
+   * @throws {Error} In strict mode, if a placeholder has no data (`error.missing` lists them)
    */
-  fillTemplate(template, data) {
-    let filled = template;
-
-    // Replace each placeholder with corresponding data
-    Object.entries(data).forEach(([key, value]) => {
-      const placeholder = `{{${key}}}`;
-      const replacement =
-        typeof value === "object"
-          ? JSON.stringify(value, null, 2) // Pretty-print objects as JSON
-          : String(value); // Convert other types to string
-      filled = filled.replace(new RegExp(placeholder, "g"), replacement);
+  fillTemplate(template, data, name = "template") {
+    const { text, missing, unused } = renderTemplate(template, data, {
+      name,
+      loadPartial: (partial) => this.loadPartial(partial).nodes,
     });
 
-    return filled;
+    if (missing.length > 0) {
+      const message = `${name}: no data for ${missing
+        .map((p) => `{{${p}}}`)
+        .join(", ")}`;
+      if (this.strict === "error") {
+        const error = new Error(message);
+        error.missing = missing;
+        throw error;
+      }
+      console.warn(`⚠️ [PROMPT] ${message} (left in the prompt)`);
+    }
+
+    // Unused data is not an error; log it once per template content
+    const reportKey = `${name}:${unused.join(",")}`;
+    if (unused.length > 0 && !this.reportedUnused.has(reportKey)) {
+      this.reportedUnused.add(reportKey);
+      console.log(`ℹ️ [PROMPT] ${name} does not use: ${unused.join(", ")}`);
+    }
+
+    return text;
   }
 
   /**
@@ -79,8 +294,50 @@ class MarketPeakPromptManager {
     promptName = "market-peak-analysis",
     version = null
   ) {
-    const template = this.loadPromptTemplate(promptName, version);
-    return this.fillTemplate(template, templateData);
+    const entry = this.loadTemplateEntry(promptName, version);
+    return this.fillTemplate(
+      entry.nodes,
+      templateData,
+      `${entry.name}-${entry.version}.md`
+    );
+  }
+
+  /**
+   * Check every template on disk against example data
+   * @param {Object} data - Data with the shape templates are filled with
+   *   (e.g. from buildPromptData())
+   * @param {Array} [templates] - { name, version } to check (default: all)
+   * @returns {Array} { name, version, hash, partials, missing, unused, error } per template
+   */
+  validateTemplates(data, templates = this.listTemplates()) {
+    return templates.map(({ name, version }) => {
+      try {
+        const entry = this.loadTemplateEntry(name, version);
+        const { missing, unused } = checkTemplate(entry.nodes, data, {
+          name: `${name}-${version}.md`,
+          loadPartial: (partial) => this.loadPartial(partial).nodes,
+        });
+        return {
+          name,
+          version,
+          hash: entry.hash,
+          partials: entry.partials,
+          missing,
+          unused,
+          error: null,
+        };
+      } catch (error) {
+        return {
+          name,
+          version,
+          hash: null,
+          partials: [],
+          missing: [],
+          unused: [],
+          error: error.message,
+        };
+      }
+    });
   }
 }
 
@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+/**
+ * Market Peak Backtest CLI
+ * ========================
+ *
+ * Author: Muhammad Bilal Motiwala
+ * Project: Black Swan
+ *
+ * Replays a historical date range through the analysis pipeline and prints a
+ * report of score vs. subsequent return and drawdown. The report is stored in
+ * the backtests collection (when Firestore is available) and optionally written
+ * to a JSON file.
+ *
+ * Usage:
+ *   npm run backtest -- --start 2021-01-01 --end 2022-06-30 [options]
+ *
+ * Options:
+ *   --start <date>        First date to evaluate (required)
+ *   --end <date>          Last date to evaluate (default: today)
+ *   --step-days <n>       Days between evaluated dates (default: 7)
+ *   --horizons <list>     Forward horizons in days (default: 30,90,180)
+ *   --provider <name>     LLM provider, e.g. rules-only (default: BACKTEST_LLM_PROVIDER or LLM_PROVIDER)
+ *   --model <model>       Model override for the provider
+ *   --prompt-version <v>  Prompt version (default: PROMPT_VERSION)
+ *   --snapshots <file>    JSON array of indicator snapshots ({ as_of, indicators })
+ *                         instead of the Firestore archive
+ *   --out <file>          Also write the full report as JSON
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Parse `--key value` and `--key=value` arguments
+ * @param {Array} argv - Arguments after the script name
+ * @returns {Object} Options keyed by flag name
+ */
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const match = argv[i].match(/^--([^=]+)(?:=(.*))?$/);
+    if (!match) continue;
+    options[match[1]] = match[2] ?? argv[++i];
+  }
+  return options;
+}
+
+/**
+ * Print the report summary as readable tables
+ * @param {Object} report - Report from aggregator.runBacktest()
+ */
+function printReport(report) {
+  const { params, summary } = report;
+  const range = `${params.start.slice(0, 10)} -> ${params.end.slice(0, 10)}`;
+  console.log(
+    `\n📊 Backtest ${report.id}: ${range} every ${params.step_days}d (${params.provider}/${params.model})`
+  );
+  console.log(
+    `   ${summary.succeeded}/${summary.points} dates scored, score min ${summary.score.min} / mean ${summary.score.mean} / max ${summary.score.max}`
+  );
+  report.warnings.forEach((w) => console.log(`   ⚠️  ${w}`));
+
+  console.log(`\nForward ${params.primary_asset} outcomes by score band:`);
+  console.table(
+    summary.by_band.flatMap((band) =>
+      Object.entries(band.outcomes).map(([horizon, o]) => ({
+        band: band.label,
+        horizon,
+        points: o.points,
+        avg_return_pct: o.avg_return_pct,
+        avg_max_drawdown_pct: o.avg_max_drawdown_pct,
+      }))
+    )
+  );
+
+  console.log("Correlation of score with forward outcomes:");
+  console.table(summary.correlations);
+
+  console.log("Highest scores:");
+  console.table(
+    summary.top_scores.map((p) => ({
+      as_of: p.as_of.slice(0, 10),
+      score: p.score,
+      ...Object.fromEntries(
+        Object.entries(p.outcomes).map(([h, o]) => [
+          `return_${h}`,
+          o ? o.return_pct : null,
+        ])
+      ),
+    }))
+  );
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (!options.start) {
+    console.error(
+      "Usage: npm run backtest -- --start <date> [--end <date>] [--step-days 7] [--horizons 30,90,180] [--provider rules-only] [--snapshots file.json] [--out report.json]"
+    );
+    process.exit(1);
+  }
+
+  // Loaded after argument checks: requiring the service initializes Firestore
+  const { aggregator, CONFIG, configParseErrors } = require("../index");
+  const { normalizeBacktestParams } = require("../lib/backtest");
+  if (configParseErrors.length > 0) {
+    console.error("❌ [CONFIG] Invalid configuration:");
+    configParseErrors.forEach((e) => console.error(`   - ${e}`));
+    process.exit(1);
+  }
+
+  const { params, error } = normalizeBacktestParams(
+    {
+      start: options.start,
+      end: options.end,
+      step_days: options["step-days"],
+      horizons: options.horizons,
+      provider: options.provider,
+      model: options.model,
+      prompt_version: options["prompt-version"],
+      snapshots: options.snapshots
+        ? JSON.parse(fs.readFileSync(path.resolve(options.snapshots), "utf8"))
+        : undefined,
+    },
+    {
+      stepDays: CONFIG.BACKTEST.STEP_DAYS,
+      horizons: CONFIG.BACKTEST.HORIZONS_DAYS,
+      maxPoints: CONFIG.BACKTEST.MAX_POINTS,
+      provider: CONFIG.BACKTEST.LLM_PROVIDER || aggregator.llmProvider.name,
+    }
+  );
+  if (error) {
+    console.error(`❌ [BACKTEST] ${error}`);
+    process.exit(1);
+  }
+
+  const report = await aggregator.runBacktest(params, {
+    onPoint: (point, index) =>
+      console.log(
+        `   [${index + 1}/${params.dates.length}] ${point.as_of.slice(0, 10)} ${
+          point.success ? `score ${point.score}` : `failed: ${point.error}`
+        }`
+      ),
+  });
+  printReport(report);
+
+  if (options.out) {
+    fs.writeFileSync(
+      path.resolve(options.out),
+      JSON.stringify(report, null, 2)
+    );
+    console.log(`💾 [BACKTEST] Report written to ${options.out}`);
+  }
+  if (report.storage.stored) {
+    console.log(`💾 [BACKTEST] Report stored as ${report.storage.id}`);
+  }
+  process.exit(0);
+}
+
+main().catch((error) => {
+  console.error("❌ [BACKTEST] Backtest failed:", error.message);
+  process.exit(1);
+});
@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+/**
+ * Analysis Storage Migration CLI
+ * ==============================
+ *
+ * Author: Muhammad Bilal Motiwala
+ * Project: Black Swan
+ *
+ * Copies stored analyses from one storage backend to another, oldest first,
+ * keeping their ids and timestamps. Analyses whose id already exists in the
+ * target are left unchanged, so an interrupted migration can simply be re-run.
+ *
+ * Usage:
+ *   npm run migrate -- --from firestore --to jsonl [options]
+ *
+ * Options:
+ *   --from <backend>      Source backend: firestore or jsonl (required)
+ *   --to <backend>        Target backend: firestore or jsonl (required)
+ *   --file <path>         JSONL file for the jsonl side (default: STORAGE_FILE)
+ *   --since <date>        Only analyses at or after this date
+ *   --until <date>        Only analyses before this date (default: now)
+ *   --batch <n>           Analyses read per page (default: 500)
+ *   --dry-run             Count the analyses without writing them
+ */
+
+const path = require("path");
+
+const BACKENDS = ["firestore", "jsonl"];
+
+/**
+ * Parse `--key value`, `--key=value` and `--flag` arguments
+ * @param {Array} argv - Arguments after the script name
+ * @returns {Object} Options keyed by flag name
+ */
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const match = argv[i].match(/^--([^=]+)(?:=(.*))?$/);
+    if (!match) continue;
+    if (match[2] !== undefined) options[match[1]] = match[2];
+    else if (argv[i + 1] && !argv[i + 1].startsWith("--")) {
+      options[match[1]] = argv[++i];
+    } else options[match[1]] = true;
+  }
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (
+    !BACKENDS.includes(options.from) ||
+    !BACKENDS.includes(options.to) ||
+    options.from === options.to
+  ) {
+    console.error(
+      "Usage: npm run migrate -- --from firestore|jsonl --to jsonl|firestore [--file analyses.jsonl] [--since <date>] [--until <date>] [--batch 500] [--dry-run]"
+    );
+    process.exit(1);
+  }
+  const from = options.since ? Date.parse(options.since) : 0;
+  const to = options.until ? Date.parse(options.until) : Date.now() + 1;
+  const batch = parseInt(options.batch) || 500;
+  if (!Number.isFinite(from) || !Number.isFinite(to) || from >= to) {
+    console.error(
+      "❌ [MIGRATE] --since/--until must be dates with since < until"
+    );
+    process.exit(1);
+  }
+
+  // Loaded after argument checks: requiring the service initializes Firestore
+  const { CONFIG, db } = require("../index");
+  const { createAnalysisRepository } = require("../lib/analysis-repository");
+
+  const open = (backend) =>
+    createAnalysisRepository(
+      {
+        ...CONFIG,
+        STORAGE: {
+          BACKEND: backend,
+          FILE: options.file ? path.resolve(options.file) : CONFIG.STORAGE.FILE,
+        },
+      },
+      { db }
+    );
+  const source = open(options.from);
+  const target = open(options.to);
+  for (const repo of [source, target]) {
+    if (!repo.available) {
+      console.error(
+        `❌ [MIGRATE] ${repo.name} is not available (is serviceAccountKey.json present?)`
+      );
+      process.exit(1);
+    }
+  }
+
+  console.log(
+    `🚚 [MIGRATE] ${options.from} -> ${options.to}${
+      options["dry-run"] ? " (dry run)" : ""
+    }: analyses from ${new Date(from).toISOString()} to ${new Date(
+      to
+    ).toISOString()}`
+  );
+
+  let after = null;
+  let read = 0;
+  let copied = 0;
+  let skipped = 0;
+  let hasMore = true;
+  while (hasMore) {
+    const page = await source.range({ from, to, after, limit: batch });
+    hasMore = page.hasMore && page.analyses.length > 0;
+    for (const { id, ...doc } of page.analyses) {
+      read++;
+      if (options["dry-run"]) continue;
+      const result = await target.save(doc, { id });
+      if (result.skipped) skipped++;
+      else copied++;
+    }
+    if (page.analyses.length > 0) {
+      // Timestamp and id: rows sharing a timestamp may straddle the page boundary
+      const { timestamp, id } = page.analyses[page.analyses.length - 1];
+      after = { timestamp, id };
+      console.log(`   ${read} read, up to ${timestamp}`);
+    }
+  }
+
+  console.log(
+    `✅ [MIGRATE] ${read} analyses read, ${copied} copied, ${skipped} already present`
+  );
+  process.exit(0);
+}
+
+main().catch((error) => {
+  console.error("❌ [MIGRATE] Migration failed:", error.message);
+  process.exit(1);
+});
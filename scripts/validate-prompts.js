@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+/**
+ * Prompt Template Validator
+ * =========================
+ *
+ * Author: Muhammad Bilal Motiwala
+ * Project: Black Swan
+ *
+ * Checks every prompt template in `prompts/` against the shape of the data the
+ * service fills it with (buildPromptData() for the configured ASSETS): syntax
+ * errors, missing partials, and placeholders that would have no data. Data keys
+ * a template does not use are listed for information. Exits with status 1 when
+ * any template would fail to render.
+ *
+ * Usage:
+ *   npm run validate [-- --version v2]
+ */
+
+/**
+ * Parse `--key value` and `--key=value` arguments
+ * @param {Array} argv - Arguments after the script name
+ * @returns {Object} Options keyed by flag name
+ */
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const match = argv[i].match(/^--([^=]+)(?:=(.*))?$/);
+    if (!match) continue;
+    options[match[1]] = match[2] ?? argv[++i];
+  }
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  // Requiring the service initializes Firestore but starts nothing else
+  const { aggregator, configParseErrors } = require("../index");
+  if (configParseErrors.length > 0) {
+    console.error("❌ [CONFIG] Invalid configuration:");
+    configParseErrors.forEach((e) => console.error(`   - ${e}`));
+    process.exit(1);
+  }
+  const templates = aggregator.promptManager
+    .listTemplates()
+    .filter((t) => !options.version || t.version === options.version);
+  if (templates.length === 0) {
+    console.error("❌ [PROMPT] No templates to validate");
+    process.exit(1);
+  }
+
+  const results = await aggregator.validatePrompts(templates);
+  let failed = 0;
+  results.forEach((r) => {
+    const file = `${r.name}-${r.version}.md`;
+    if (r.error || r.missing.length > 0) failed++;
+
+    if (r.error) {
+      console.log(`❌ ${file}: ${r.error}`);
+      return;
+    }
+    console.log(
+      `${r.missing.length ? "❌" : "✅"} ${file} (${r.hash})${
+        r.partials.length ? ` partials: ${r.partials.join(", ")}` : ""
+      }`
+    );
+    if (r.missing.length) {
+      console.log(`   no data for: ${r.missing.join(", ")}`);
+    }
+    if (r.unused.length) {
+      console.log(`   unused data: ${r.unused.join(", ")}`);
+    }
+  });
+
+  console.log(`\n${results.length - failed}/${results.length} templates valid`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch((error) => {
+  console.error("❌ [PROMPT] Validation failed:", error.message);
+  process.exit(1);
+});
@@ -0,0 +1,111 @@
+/**
+ * Model Output Parsing and Repair Tests
+ * =====================================
+ *
+ * Author: Muhammad Bilal Motiwala
+ * Project: Black Swan
+ *
+ * Exercises MarketPeakDataAggregator.parseJsonFromText() and the repair loop of
+ * generateValidatedOutput(), with callLLM() answering from a list of responses.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { aggregator, CONFIG } = require("../index");
+
+const validOutput = {
+  score: 64,
+  analysis: "Peak indicators are building but not yet conclusive.",
+  reasoning: "Nine of thirty indicators are hit; the trend is still intact.",
+  key_factors: ["Nine indicators hit", "RSI elevated"],
+};
+
+/**
+ * Make callLLM() answer with the given responses in order, recording its calls
+ * @param {Array} responses - Raw response texts
+ * @returns {Array} Calls made ({ followUp } copies)
+ */
+function answerWith(responses) {
+  const calls = [];
+  aggregator.callLLM = async (templateData, { followUp = [] } = {}) => {
+    calls.push({ followUp: [...followUp] });
+    return { text: responses.shift(), usage: { prompt_tokens: 1200 } };
+  };
+  return calls;
+}
+
+test("parses plain, fenced and surrounded JSON", () => {
+  const json = JSON.stringify(validOutput);
+  assert.deepEqual(aggregator.parseJsonFromText(json), validOutput);
+  assert.deepEqual(
+    aggregator.parseJsonFromText("```json\n" + json + "\n```"),
+    validOutput
+  );
+  assert.deepEqual(
+    aggregator.parseJsonFromText(`Here is the analysis:\n${json}\nThanks`),
+    validOutput
+  );
+});
+
+test("cleanup keeps empty strings and non-ASCII text intact", () => {
+  const text = '{"note":"","label":"Übertreibung — 🚀","n":1}\u0007';
+  assert.deepEqual(aggregator.parseJsonFromText(text), {
+    note: "",
+    label: "Übertreibung — 🚀",
+    n: 1,
+  });
+});
+
+test("output that no cleanup level parses is rejected, not rewritten", () => {
+  assert.throws(
+    () => aggregator.parseJsonFromText('{"score": 70, "analysis": "cut off'),
+    /JSON parsing failed at all sanitization levels/
+  );
+  assert.throws(() => aggregator.parseJsonFromText(""), /Empty AI response/);
+});
+
+test("unparseable output is sent back to the model for repair", async () => {
+  const broken = '{"score": 64, "analysis": "Peak indicators are';
+  const calls = answerWith([broken, JSON.stringify(validOutput)]);
+  const steps = [];
+  const result = await aggregator.generateValidatedOutput(
+    {},
+    { onProgress: (step, status) => steps.push(`${step}:${status}`) }
+  );
+
+  assert.deepEqual(result.output, validOutput);
+  assert.equal(result.attempts, 2);
+  assert.equal(result.promptTokens, 1200);
+  assert.equal(calls.length, 2);
+  const [assistant, user] = calls[1].followUp;
+  assert.deepEqual(assistant, { role: "assistant", content: broken });
+  assert.match(user.content, /Response was not valid JSON/);
+  assert.ok(steps.includes("parse:failed"));
+  assert.equal(steps.at(-1), "validate:completed");
+});
+
+test("schema violations are listed in the repair request", async () => {
+  const invalid = { ...validOutput, score: 140, extra: true };
+  const calls = answerWith([
+    JSON.stringify(invalid),
+    JSON.stringify(validOutput),
+  ]);
+  const result = await aggregator.generateValidatedOutput({});
+
+  assert.equal(result.attempts, 2);
+  const repairRequest = calls[1].followUp[1].content;
+  assert.match(repairRequest, /- \$\.score must be <= 100/);
+  assert.match(repairRequest, /- \$\.extra is not an allowed property/);
+});
+
+test("gives up after MAX_REPAIR_ATTEMPTS repairs", async () => {
+  const maxAttempts = 1 + CONFIG.STRUCTURED_OUTPUT.MAX_REPAIR_ATTEMPTS;
+  const calls = answerWith(Array(maxAttempts).fill("not json at all"));
+  await assert.rejects(
+    aggregator.generateValidatedOutput({}),
+    new RegExp(`Model output invalid after ${maxAttempts} attempts`)
+  );
+  assert.equal(calls.length, maxAttempts);
+  // Each repair round carries the whole conversation so far
+  assert.equal(calls.at(-1).followUp.length, 2 * (maxAttempts - 1));
+});
@@ -0,0 +1,112 @@
+/**
+ * Analysis Repository Tests
+ * =========================
+ *
+ * Author: Muhammad Bilal Motiwala
+ * Project: Black Swan
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { JsonlAnalysisRepository } = require("../lib/analysis-repository");
+const {
+  encodeHistoryCursor,
+  decodeHistoryCursor,
+} = require("../lib/score-history");
+
+const FROM = Date.parse("2024-01-01T00:00:00Z");
+const TO = Date.parse("2024-02-01T00:00:00Z");
+
+/**
+ * Create a repository on a fresh temporary file
+ * @param {Object} t - Test context (removes the file afterwards)
+ * @returns {JsonlAnalysisRepository} Repository
+ */
+function tempRepository(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "analyses-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return new JsonlAnalysisRepository({ file: path.join(dir, "a.jsonl") });
+}
+
+/**
+ * Read every page of a range
+ * @param {Object} repo - Repository
+ * @param {number} limit - Page size
+ * @returns {Array} Rows in the order they were returned
+ */
+async function readAllPages(repo, limit) {
+  const rows = [];
+  let after = null;
+  for (let pages = 0; pages < 100; pages++) {
+    const page = await repo.range({ from: FROM, to: TO, after, limit });
+    rows.push(...page.analyses);
+    if (!page.hasMore) return rows;
+    const { timestamp, id } = page.analyses[page.analyses.length - 1];
+    after = { timestamp, id };
+  }
+  throw new Error("pagination did not finish");
+}
+
+test("pages do not skip analyses that share a timestamp", async (t) => {
+  const repo = tempRepository(t);
+  const shared = "2024-01-10T12:00:00.000Z";
+  // Saved out of id order, as a migration from another backend might
+  for (const id of ["e", "b", "d", "a", "c"]) {
+    await repo.save({ timestamp: shared, score: 50 }, { id });
+  }
+  await repo.save({ timestamp: "2024-01-09T00:00:00.000Z" }, { id: "z" });
+  await repo.save({ timestamp: "2024-01-11T00:00:00.000Z" }, { id: "y" });
+
+  for (const limit of [1, 2, 3, 4]) {
+    const ids = (await readAllPages(repo, limit)).map((r) => r.id);
+    assert.deepEqual(
+      ids,
+      ["z", "a", "b", "c", "d", "e", "y"],
+      `limit ${limit}`
+    );
+  }
+});
+
+test("the order survives reloading the file", async (t) => {
+  const repo = tempRepository(t);
+  const shared = "2024-01-10T12:00:00.000Z";
+  for (const id of ["c", "a", "b"]) {
+    await repo.save({ timestamp: shared, score: 50 }, { id });
+  }
+  const reloaded = new JsonlAnalysisRepository({ file: repo.file });
+  const ids = (await readAllPages(reloaded, 2)).map((r) => r.id);
+  assert.deepEqual(ids, ["a", "b", "c"]);
+});
+
+test("a cursor without an id resumes after its whole timestamp", async (t) => {
+  const repo = tempRepository(t);
+  await repo.save({ timestamp: "2024-01-10T00:00:00.000Z" }, { id: "a" });
+  await repo.save({ timestamp: "2024-01-10T00:00:00.000Z" }, { id: "b" });
+  await repo.save({ timestamp: "2024-01-12T00:00:00.000Z" }, { id: "c" });
+  const page = await repo.range({
+    from: FROM,
+    to: TO,
+    after: { timestamp: "2024-01-10T00:00:00.000Z" },
+    limit: 10,
+  });
+  assert.deepEqual(
+    page.analyses.map((r) => r.id),
+    ["c"]
+  );
+});
+
+test("history cursors carry the id of the last point", () => {
+  const point = { id: "abc", timestamp: Date.parse("2024-01-10T12:00:00Z") };
+  assert.deepEqual(decodeHistoryCursor(encodeHistoryCursor(point)), {
+    timestamp: "2024-01-10T12:00:00.000Z",
+    id: "abc",
+  });
+  // Cursors issued before ids were added hold only the timestamp
+  const legacy = Buffer.from("2024-01-10T12:00:00.000Z").toString("base64url");
+  assert.deepEqual(decodeHistoryCursor(legacy), {
+    timestamp: "2024-01-10T12:00:00.000Z",
+  });
+});
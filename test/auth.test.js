@@ -0,0 +1,225 @@
+/**
+ * API Authentication Tests
+ * ========================
+ *
+ * Author: Muhammad Bilal Motiwala
+ * Project: Black Swan
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const {
+  Authenticator,
+  parseApiKeys,
+  roleAllows,
+  verifyJwt,
+} = require("../lib/auth");
+
+const SECRET = "test-secret";
+const NOW = Date.parse("2024-01-15T12:00:00Z");
+const nowSeconds = NOW / 1000;
+
+/**
+ * Build a compact JWT
+ * @param {Object} claims - Token claims
+ * @param {Object} [options] - { header, secret }
+ * @returns {string} Token
+ */
+function signJwt(
+  claims,
+  { header = { alg: "HS256", typ: "JWT" }, secret = SECRET } = {}
+) {
+  const encode = (value) =>
+    Buffer.from(JSON.stringify(value)).toString("base64url");
+  const body = `${encode(header)}.${encode(claims)}`;
+  const signature = crypto
+    .createHmac("sha256", secret)
+    .update(body)
+    .digest("base64url");
+  return `${body}.${signature}`;
+}
+
+test("verifyJwt accepts a valid token", () => {
+  const token = signJwt({ sub: "dash", exp: nowSeconds + 60 });
+  assert.equal(verifyJwt(token, { secret: SECRET }, NOW).sub, "dash");
+});
+
+test("verifyJwt rejects expired tokens, including at the exp second", () => {
+  const options = { secret: SECRET };
+  assert.throws(
+    () => verifyJwt(signJwt({ exp: nowSeconds - 1 }), options, NOW),
+    /token expired/
+  );
+  assert.throws(
+    () => verifyJwt(signJwt({ exp: nowSeconds }), options, NOW),
+    /token expired/
+  );
+});
+
+test("verifyJwt rejects tokens that are not yet valid", () => {
+  const token = signJwt({ nbf: nowSeconds + 30 });
+  assert.throws(
+    () => verifyJwt(token, { secret: SECRET }, NOW),
+    /not yet valid/
+  );
+  assert.ok(verifyJwt(token, { secret: SECRET }, NOW + 30000));
+});
+
+test("verifyJwt checks the issuer and audience when configured", () => {
+  const token = signJwt({ iss: "other", aud: ["api", "web"] });
+  assert.throws(
+    () => verifyJwt(token, { secret: SECRET, issuer: "black-swan" }, NOW),
+    /wrong issuer/
+  );
+  assert.throws(
+    () => verifyJwt(token, { secret: SECRET, audience: "admin" }, NOW),
+    /wrong audience/
+  );
+  assert.ok(verifyJwt(token, { secret: SECRET, audience: "web" }, NOW));
+  assert.throws(
+    () =>
+      verifyJwt(
+        signJwt({ sub: "x" }),
+        { secret: SECRET, audience: "api" },
+        NOW
+      ),
+    /wrong audience/
+  );
+});
+
+test("verifyJwt rejects tampered claims and foreign signatures", () => {
+  const token = signJwt({ sub: "dash", role: "reader" });
+  const [header, , signature] = token.split(".");
+  const forgedClaims = Buffer.from(
+    JSON.stringify({ sub: "dash", role: "admin" })
+  ).toString("base64url");
+  assert.throws(
+    () =>
+      verifyJwt(
+        `${header}.${forgedClaims}.${signature}`,
+        { secret: SECRET },
+        NOW
+      ),
+    /invalid signature/
+  );
+  assert.throws(
+    () =>
+      verifyJwt(
+        signJwt({ sub: "dash" }, { secret: "other" }),
+        { secret: SECRET },
+        NOW
+      ),
+    /invalid signature/
+  );
+  assert.throws(
+    () => verifyJwt(`${token.slice(0, -2)}`, { secret: SECRET }, NOW),
+    /invalid signature/
+  );
+});
+
+test("verifyJwt rejects alg none and other algorithms", () => {
+  const unsigned = signJwt(
+    { sub: "dash", role: "admin" },
+    {
+      header: { alg: "none" },
+    }
+  ).replace(/[^.]+$/, "");
+  assert.throws(
+    () => verifyJwt(`${unsigned}x`, { secret: SECRET }, NOW),
+    /unsupported algorithm none/
+  );
+  assert.throws(
+    () => verifyJwt(unsigned, { secret: SECRET }, NOW),
+    /malformed token/
+  );
+  const hs512 = signJwt({ sub: "dash" }, { header: { alg: "HS512" } });
+  assert.throws(
+    () => verifyJwt(hs512, { secret: SECRET }, NOW),
+    /unsupported algorithm HS512/
+  );
+});
+
+test("roleAllows orders reader < operator < admin", () => {
+  assert.ok(roleAllows("admin", "reader"));
+  assert.ok(roleAllows("admin", "operator"));
+  assert.ok(roleAllows("operator", "reader"));
+  assert.ok(roleAllows("reader", "reader"));
+  assert.ok(!roleAllows("reader", "operator"));
+  assert.ok(!roleAllows("operator", "admin"));
+  assert.ok(!roleAllows("superuser", "reader"));
+  assert.ok(!roleAllows(undefined, "reader"));
+});
+
+test("Authenticator matches plain and sha256 API keys", () => {
+  const digest = crypto.createHash("sha256").update("ops-key").digest("hex");
+  const authenticator = new Authenticator({
+    apiKeys: parseApiKeys(
+      `dash:reader:dash-key,ops:operator:sha256.${digest}:600`
+    ),
+  });
+  assert.deepEqual(authenticator.authenticate({ "x-api-key": "dash-key" }), {
+    principal: {
+      name: "dash",
+      role: "reader",
+      method: "api_key",
+      rateLimit: null,
+    },
+  });
+  assert.equal(
+    authenticator.authenticate({ authorization: "Bearer ops-key" }).principal
+      .rateLimit,
+    600
+  );
+  assert.deepEqual(authenticator.authenticate({ "x-api-key": "nope" }), {
+    error: "invalid API key",
+  });
+  assert.deepEqual(authenticator.authenticate({}), {});
+});
+
+test("Authenticator takes the highest known role from a JWT", () => {
+  const authenticator = new Authenticator({
+    apiKeys: [],
+    jwt: { secret: SECRET, roleClaim: "roles" },
+  });
+  const token = signJwt({ sub: "svc", roles: ["reader", "admin", "root"] });
+  const { principal } = authenticator.authenticate({
+    authorization: `Bearer ${token}`,
+  });
+  assert.equal(principal.role, "admin");
+  assert.equal(principal.method, "jwt");
+  const noRole = signJwt({ sub: "svc", roles: ["root"] });
+  assert.match(
+    authenticator.authenticate({ authorization: `Bearer ${noRole}` }).error,
+    /no known role/
+  );
+});
+
+test("access_token is only honoured on the configured paths", () => {
+  const authenticator = new Authenticator({
+    apiKeys: parseApiKeys("dash:reader:dash-key"),
+    queryTokenPaths: ["/api/stream"],
+  });
+  const request = (path) => ({
+    path,
+    headers: {},
+    query: { access_token: "dash-key" },
+  });
+  assert.equal(
+    authenticator.authenticateRequest(request("/api/stream")).principal.name,
+    "dash"
+  );
+  assert.deepEqual(
+    authenticator.authenticateRequest(request("/api/status")),
+    {}
+  );
+  // A repeated parameter (?access_token=a&access_token=b) is not a credential
+  assert.deepEqual(
+    authenticator.authenticateRequest({
+      path: "/api/stream",
+      headers: {},
+      query: { access_token: ["dash-key", "x"] },
+    }),
+    {}
+  );
+});
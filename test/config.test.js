@@ -0,0 +1,184 @@
+/**
+ * Service Configuration Tests
+ * ===========================
+ *
+ * Author: Muhammad Bilal Motiwala
+ * Project: Black Swan
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const { parseSetting, envNumber, validateConfig } = require("../lib/config");
+
+const ROOT = path.join(__dirname, "..");
+
+/**
+ * Run a Node snippet in the repository with extra environment variables
+ * @param {string} code - Script to run
+ * @param {Object} env - Environment overrides
+ * @returns {Object} spawnSync result
+ */
+function runNode(code, env) {
+  return spawnSync(process.execPath, ["-e", code], {
+    cwd: ROOT,
+    env: { ...process.env, LOG_FORMAT: "pretty", ...env },
+    encoding: "utf8",
+    timeout: 20000,
+  });
+}
+
+test("parseSetting records the error and returns the fallback", () => {
+  const errors = [];
+  const value = parseSetting(
+    () => {
+      throw new Error("Invalid asset id in ASSETS");
+    },
+    ["fallback"],
+    errors
+  );
+  assert.deepEqual(value, ["fallback"]);
+  assert.deepEqual(errors, ["Invalid asset id in ASSETS"]);
+  assert.equal(
+    parseSetting(() => 42, 0, errors),
+    42
+  );
+  assert.equal(errors.length, 1);
+});
+
+test("envNumber keeps bad input visible instead of using the default", () => {
+  const env = { EMPTY: " ", ZERO: "0", FRACTION: "1.5", WORD: "abc" };
+  assert.equal(envNumber("UNSET", 2, env), 2);
+  assert.equal(envNumber("EMPTY", 2, env), 2);
+  assert.equal(envNumber("ZERO", 2, env), 0);
+  assert.equal(envNumber("FRACTION", 2, env), 1.5);
+  assert.ok(Number.isNaN(envNumber("WORD", 2, env)));
+});
+
+test("non-numeric and out-of-range numeric settings are reported", () => {
+  const result = runNode(
+    'const { CONFIG, configParseErrors } = require("./index"); const { validateConfig } = require("./lib/config"); console.log(JSON.stringify(validateConfig(CONFIG, configParseErrors)));',
+    {
+      DATA_SERVICE_RETRIES: "abc",
+      ALERT_HYSTERESIS: "abc",
+      REQUEST_TIMEOUT: "90s",
+      MAX_REPAIR_ATTEMPTS: "-1",
+      DAILY_CACHE_TTL_HOURS: "0",
+      RATE_LIMIT_IP: "0",
+      LLM_PROVIDER: "rules-only",
+      DATA_SERVICE_URL: "http://localhost:1",
+    }
+  );
+  assert.equal(result.status, 0, result.stderr);
+  const errors = JSON.parse(result.stdout.trim().split("\n").pop());
+  assert.deepEqual(errors.sort(), [
+    'ALERT_HYSTERESIS must be a non-negative integer (got "NaN")',
+    'DAILY_CACHE_TTL_HOURS must be a positive number (got "0")',
+    'DATA_SERVICE_RETRIES must be a non-negative integer (got "NaN")',
+    'MAX_REPAIR_ATTEMPTS must be a non-negative integer (got "-1")',
+    'RATE_LIMIT_IP must be a positive integer (got "0")',
+    'REQUEST_TIMEOUT must be a positive integer (got "NaN")',
+  ]);
+});
+
+test("a budget needs token prices with an openai-compatible provider", () => {
+  const validate = (env) => {
+    const result = runNode(
+      'const { CONFIG } = require("./index"); const { validateConfig } = require("./lib/config"); console.log(JSON.stringify(validateConfig(CONFIG)));',
+      {
+        LLM_PROVIDER: "openai-compatible",
+        OPENAI_COMPATIBLE_URL: "http://localhost:1/v1/chat/completions",
+        DATA_SERVICE_URL: "http://localhost:1",
+        LLM_MONTHLY_BUDGET_USD: "50",
+        ...env,
+      }
+    );
+    assert.equal(result.status, 0, result.stderr);
+    return JSON.parse(result.stdout.trim().split("\n").pop());
+  };
+  const [error, ...rest] = validate({});
+  assert.match(
+    error,
+    /LLM_MONTHLY_BUDGET_USD .* needs LLM_PROMPT_PRICE_PER_MTOK/
+  );
+  assert.deepEqual(rest, []);
+  assert.deepEqual(
+    validate({
+      LLM_PROMPT_PRICE_PER_MTOK: "0.25",
+      LLM_COMPLETION_PRICE_PER_MTOK: "2",
+    }),
+    []
+  );
+});
+
+test("bad ASSETS and API_KEYS do not throw when index.js is required", () => {
+  const result = runNode(
+    'const { configParseErrors } = require("./index"); console.log(JSON.stringify(configParseErrors));',
+    { ASSETS: ":::", API_KEYS: "foo", DATA_SERVICE_URL: "http://localhost:1" }
+  );
+  assert.equal(result.status, 0, result.stderr);
+  const errors = JSON.parse(result.stdout.trim().split("\n").pop());
+  assert.equal(errors.length, 2);
+  assert.match(errors[0], /ASSETS/);
+  assert.match(errors[1], /API_KEYS/);
+});
+
+test("parse errors are reported with the other startup errors", () => {
+  const result = runNode(
+    'const { CONFIG, configParseErrors } = require("./index"); const { validateConfig } = require("./lib/config"); console.log(JSON.stringify(validateConfig(CONFIG, configParseErrors)));',
+    { API_KEYS: "foo", ANALYSIS_INTERVAL: "every hour", DATA_SERVICE_URL: "" }
+  );
+  assert.equal(result.status, 0, result.stderr);
+  const errors = JSON.parse(result.stdout.trim().split("\n").pop());
+  assert.match(errors[0], /API_KEYS/);
+  assert.ok(errors.includes("DATA_SERVICE_URL is required"));
+  assert.ok(errors.some((e) => /ANALYSIS_INTERVAL/.test(e)));
+});
+
+test("unknown provider, source and backend names are reported, not thrown", () => {
+  const result = runNode(
+    'const { CONFIG, configParseErrors } = require("./index"); const { validateConfig } = require("./lib/config"); console.log(JSON.stringify(validateConfig(CONFIG, configParseErrors)));',
+    {
+      LLM_PROVIDER: "foo",
+      INDICATOR_SOURCE: "bogus",
+      STORAGE_BACKEND: "sqlite",
+      DATA_SERVICE_URL: "http://localhost:1",
+    }
+  );
+  assert.equal(result.status, 0, result.stderr);
+  assert.deepEqual(JSON.parse(result.stdout.trim().split("\n").pop()), [
+    'LLM_PROVIDER must be one of openrouter, openai-compatible, rules-only (got "foo")',
+    'INDICATOR_SOURCE must be one of firestore, http, file (got "bogus")',
+    'STORAGE_BACKEND must be one of firestore, jsonl (got "sqlite")',
+  ]);
+});
+
+test("the service refuses to start on parse errors", () => {
+  const result = runNode('require("./index").startService();', {
+    ASSETS: "bitcoin,bitcoin",
+    DATA_SERVICE_URL: "http://localhost:1",
+    LLM_PROVIDER: "rules-only",
+    PORT: "0",
+  });
+  assert.equal(result.status, 1);
+  assert.match(result.stderr, /Invalid configuration/);
+  assert.match(result.stderr, /Duplicate asset id "bitcoin" in ASSETS/);
+  assert.doesNotMatch(result.stderr, /at parseAssetList/);
+});
+
+test("unknown prompt versions are refused at startup", () => {
+  const result = runNode('require("./index").startService();', {
+    PROMPT_VERSION: "v9",
+    PROMPT_SHADOW_VERSION: "v1-typo",
+    DATA_SERVICE_URL: "http://localhost:1",
+    LLM_PROVIDER: "rules-only",
+    PORT: "0",
+  });
+  assert.equal(result.status, 1);
+  assert.match(result.stderr, /PROMPT_VERSION must be one of .*\(got "v9"\)/);
+  assert.match(
+    result.stderr,
+    /PROMPT_SHADOW_VERSION must be one of .*\(got "v1-typo"\)/
+  );
+});
@@ -0,0 +1,102 @@
+/**
+ * Readiness Check Tests
+ * =====================
+ *
+ * Author: Muhammad Bilal Motiwala
+ * Project: Black Swan
+ */
+
+// Fixed gaps between runs: no daylight saving change inside the scanned window
+process.env.TZ = "UTC";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { scheduleIntervalMs } = require("../lib/health");
+const { aggregator, CONFIG, readinessChecks } = require("../index");
+
+const HOUR = 3600000;
+
+test("schedule intervals follow the cron expression", () => {
+  assert.equal(scheduleIntervalMs("0 * * * *"), HOUR);
+  assert.equal(scheduleIntervalMs("*/15 * * * *"), 15 * 60000);
+  assert.equal(scheduleIntervalMs("0 */6 * * *"), 6 * HOUR);
+  assert.equal(scheduleIntervalMs("30 2 * * *"), 24 * HOUR);
+  // Weekdays only: the weekend is the longest gap
+  assert.equal(scheduleIntervalMs("0 9 * * 1-5"), 72 * HOUR);
+  assert.equal(scheduleIntervalMs("*/10 * * * * *"), 60000);
+});
+
+/**
+ * Run the analyses check with the given state, restoring it afterwards
+ * @param {Object} t - Test context
+ * @param {Object} state - { interval, maxAgeHours, lastAnalysisAt, lastSkippedAt }
+ * @returns {Object} Check result
+ */
+function checkAnalyses(t, state) {
+  const saved = {
+    interval: CONFIG.ANALYSIS_INTERVAL,
+    maxAge: CONFIG.HEALTH.MAX_ANALYSIS_AGE_HOURS,
+    lastAnalysisAt: aggregator.lastAnalysisAt,
+  };
+  t.after(() => {
+    CONFIG.ANALYSIS_INTERVAL = saved.interval;
+    CONFIG.HEALTH.MAX_ANALYSIS_AGE_HOURS = saved.maxAge;
+    aggregator.lastAnalysisAt = saved.lastAnalysisAt;
+  });
+  t.mock.method(aggregator.jobs, "lastFinished", (status) =>
+    status === "skipped" && state.lastSkippedAt
+      ? { finished_at: state.lastSkippedAt }
+      : null
+  );
+  CONFIG.ANALYSIS_INTERVAL = state.interval || "0 * * * *";
+  CONFIG.HEALTH.MAX_ANALYSIS_AGE_HOURS = state.maxAgeHours || null;
+  aggregator.lastAnalysisAt = state.lastAnalysisAt;
+  return readinessChecks.analyses();
+}
+
+const hoursAgo = (hours) => new Date(Date.now() - hours * HOUR).toISOString();
+
+test("the default age limit is two schedule intervals plus an hour", (t) => {
+  const hourly = checkAnalyses(t, { lastAnalysisAt: hoursAgo(2.5) });
+  assert.equal(hourly.status, "pass");
+  assert.equal(hourly.max_age_hours, 3);
+
+  const stale = checkAnalyses(t, { lastAnalysisAt: hoursAgo(3.5) });
+  assert.equal(stale.status, "fail");
+  assert.match(stale.error, /no successful analysis for 3\.5h \(maximum 3h\)/);
+
+  // A six-hourly schedule (set at runtime) is not stale after one run
+  const sixHourly = checkAnalyses(t, {
+    interval: "0 */6 * * *",
+    lastAnalysisAt: hoursAgo(7),
+  });
+  assert.equal(sixHourly.status, "pass");
+  assert.equal(sixHourly.max_age_hours, 13);
+});
+
+test("HEALTH_MAX_ANALYSIS_AGE_HOURS overrides the default", (t) => {
+  const result = checkAnalyses(t, {
+    interval: "0 0 * * *",
+    maxAgeHours: 2,
+    lastAnalysisAt: hoursAgo(2.5),
+  });
+  assert.equal(result.status, "fail");
+  assert.equal(result.max_age_hours, 2);
+});
+
+test("runs skipped for the LLM budget are not counted as missing", (t) => {
+  const result = checkAnalyses(t, {
+    lastAnalysisAt: hoursAgo(30),
+    lastSkippedAt: hoursAgo(0.5),
+  });
+  assert.equal(result.status, "pass");
+  assert.equal(result.hours_since_success, 30);
+  assert.ok(result.last_skipped_for_budget_at);
+
+  // Once the skips stop too, the limit applies again
+  const stopped = checkAnalyses(t, {
+    lastAnalysisAt: hoursAgo(30),
+    lastSkippedAt: hoursAgo(4),
+  });
+  assert.equal(stopped.status, "fail");
+});
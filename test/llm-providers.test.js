@@ -0,0 +1,45 @@
+/**
+ * LLM Provider Tests
+ * ==================
+ *
+ * Author: Muhammad Bilal Motiwala
+ * Project: Black Swan
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { RulesOnlyProvider } = require("../lib/llm-providers");
+const {
+  ANALYSIS_OUTPUT_SCHEMA,
+  validateAgainstSchema,
+} = require("../lib/output-schema");
+
+const indicators = [
+  { indicator_name: "Pi Cycle Top", hit_status: true },
+  { indicator_name: "Puell Multiple", hit_status: false },
+];
+
+test("rules-only output describes the configured primary asset", async () => {
+  const provider = new RulesOnlyProvider();
+  const { text } = await provider.complete({
+    templateData: {
+      bull_market_peak_raw: { indicators },
+      primary_asset: { id: "ethereum", symbol: "ETH" },
+      cycle_metrics: { ethereum: { mayer_multiple: 1.9, rsi_14d: 82 } },
+    },
+  });
+  const output = JSON.parse(text);
+
+  assert.deepEqual(validateAgainstSchema(output, ANALYSIS_OUTPUT_SCHEMA), []);
+  assert.match(output.reasoning, /adjusted for the ETH Mayer multiple/);
+  assert.doesNotMatch(output.reasoning, /BTC/);
+  assert.ok(output.key_factors.includes("ETH Mayer multiple at 1.9"));
+});
+
+test("rules-only output defaults to BTC without a primary asset", async () => {
+  const provider = new RulesOnlyProvider();
+  const { text } = await provider.complete({
+    templateData: { bull_market_peak_raw: { indicators } },
+  });
+  assert.match(JSON.parse(text).reasoning, /adjusted for the BTC Mayer/);
+});
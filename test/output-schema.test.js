@@ -0,0 +1,115 @@
+/**
+ * Analysis Output Schema Tests
+ * ============================
+ *
+ * Author: Muhammad Bilal Motiwala
+ * Project: Black Swan
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  ANALYSIS_OUTPUT_SCHEMA,
+  validateAgainstSchema,
+  buildResponseFormat,
+} = require("../lib/output-schema");
+
+const validOutput = () => ({
+  score: 72,
+  analysis: "Several peak indicators are close to their thresholds.",
+  reasoning: "Seven of thirty indicators are hit and momentum is stretched.",
+  key_factors: ["Pi Cycle Top near cross", "Mayer multiple 2.3"],
+});
+
+const validate = (output) =>
+  validateAgainstSchema(output, ANALYSIS_OUTPUT_SCHEMA);
+
+test("a complete output is valid", () => {
+  assert.deepEqual(validate(validOutput()), []);
+});
+
+test("score must be an integer from 1 to 100", () => {
+  assert.deepEqual(validate({ ...validOutput(), score: 1 }), []);
+  assert.deepEqual(validate({ ...validOutput(), score: 100 }), []);
+  assert.deepEqual(validate({ ...validOutput(), score: 0 }), [
+    "$.score must be >= 1",
+  ]);
+  assert.deepEqual(validate({ ...validOutput(), score: 101 }), [
+    "$.score must be <= 100",
+  ]);
+  assert.deepEqual(validate({ ...validOutput(), score: 72.5 }), [
+    "$.score must be of type integer",
+  ]);
+  assert.deepEqual(validate({ ...validOutput(), score: "72" }), [
+    "$.score must be of type integer",
+  ]);
+});
+
+test("analysis and reasoning lengths are bounded", () => {
+  assert.deepEqual(validate({ ...validOutput(), analysis: "too short" }), [
+    "$.analysis must be at least 20 characters",
+  ]);
+  assert.deepEqual(
+    validate({ ...validOutput(), reasoning: "x".repeat(12001) }),
+    ["$.reasoning must be at most 12000 characters"]
+  );
+  assert.deepEqual(
+    validate({ ...validOutput(), reasoning: "x".repeat(12000) }),
+    []
+  );
+});
+
+test("key_factors needs 1-8 strings of 3-400 characters", () => {
+  assert.deepEqual(validate({ ...validOutput(), key_factors: [] }), [
+    "$.key_factors must have at least 1 items",
+  ]);
+  const nine = Array.from({ length: 9 }, (_, i) => `factor ${i}`);
+  assert.deepEqual(validate({ ...validOutput(), key_factors: nine }), [
+    "$.key_factors must have at most 8 items",
+  ]);
+  assert.deepEqual(validate({ ...validOutput(), key_factors: ["ok!", "no"] }), [
+    "$.key_factors[1] must be at least 3 characters",
+  ]);
+  assert.deepEqual(validate({ ...validOutput(), key_factors: [42] }), [
+    "$.key_factors[0] must be of type string",
+  ]);
+  assert.deepEqual(validate({ ...validOutput(), key_factors: "one" }), [
+    "$.key_factors must be of type array",
+  ]);
+});
+
+test("required keys are enforced and additional keys rejected", () => {
+  const { reasoning, ...missing } = validOutput();
+  assert.deepEqual(validate(missing), ["$.reasoning is required"]);
+  assert.deepEqual(validate({ ...validOutput(), confidence: "high" }), [
+    "$.confidence is not an allowed property",
+  ]);
+  assert.deepEqual(validate([validOutput()]), ["$ must be of type object"]);
+  assert.deepEqual(validate(null), ["$ must be of type object"]);
+});
+
+test("every violation is reported at once", () => {
+  const errors = validate({ score: 0, analysis: "", key_factors: [] });
+  assert.deepEqual(errors, [
+    "$.reasoning is required",
+    "$.score must be >= 1",
+    "$.analysis must be at least 20 characters",
+    "$.key_factors must have at least 1 items",
+  ]);
+});
+
+test("the strict response_format omits locally enforced keywords", () => {
+  const format = buildResponseFormat("json_schema");
+  const { schema } = format.json_schema;
+  assert.equal(format.json_schema.strict, true);
+  assert.deepEqual(schema.properties.score, { type: "integer" });
+  assert.deepEqual(schema.properties.key_factors, {
+    type: "array",
+    items: { type: "string" },
+  });
+  assert.equal(schema.additionalProperties, false);
+  assert.deepEqual(buildResponseFormat("json_object"), {
+    type: "json_object",
+  });
+  assert.equal(buildResponseFormat("none"), null);
+});
@@ -0,0 +1,67 @@
+/**
+ * LLM Usage Ledger Tests
+ * ======================
+ *
+ * Author: Muhammad Bilal Motiwala
+ * Project: Black Swan
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  UsageLedger,
+  estimateCost,
+  buildCallRecord,
+} = require("../lib/usage-ledger");
+
+const prices = { promptPerMtok: 0.25, completionPerMtok: 2 };
+
+const call = (usage) => ({
+  provider: "openai-compatible",
+  model: "llama3",
+  purpose: "analysis",
+  usage,
+  latencyMs: 1000,
+  prices,
+});
+
+test("costs are estimated from token counts and prices", () => {
+  assert.equal(estimateCost(40000, 3000, prices), 0.016);
+  assert.equal(estimateCost(40000, null, prices), 0.01);
+  assert.equal(estimateCost(40000, 3000, { promptPerMtok: 1 }), 0.04);
+  assert.equal(estimateCost(40000, 3000, null), null);
+  assert.equal(estimateCost(null, null, prices), null);
+});
+
+test("a reported cost wins over the estimate", () => {
+  const record = buildCallRecord(
+    call({ prompt_tokens: 40000, completion_tokens: 3000, cost: 0.05 })
+  );
+  assert.equal(record.cost_usd, 0.05);
+  assert.equal(record.cost_estimated, false);
+});
+
+test("calls without a reported cost are estimated and marked", () => {
+  const record = buildCallRecord(
+    call({ prompt_tokens: 40000, completion_tokens: 3000 })
+  );
+  assert.equal(record.cost_usd, 0.016);
+  assert.equal(record.cost_estimated, true);
+
+  const unpriced = buildCallRecord({
+    ...call({ prompt_tokens: 40000 }),
+    prices: null,
+  });
+  assert.equal(unpriced.cost_usd, null);
+  assert.equal(unpriced.cost_estimated, false);
+});
+
+test("estimated costs count towards the monthly budget", async () => {
+  const ledger = new UsageLedger({ monthlyBudgetUsd: 0.03 });
+  const usage = { prompt_tokens: 40000, completion_tokens: 3000 };
+  let budget = await ledger.record(buildCallRecord(call(usage)));
+  assert.equal(budget.exceeded, false);
+  budget = await ledger.record(buildCallRecord(call(usage)));
+  assert.equal(budget.spent_usd, 0.032);
+  assert.equal(budget.exceeded, true);
+});